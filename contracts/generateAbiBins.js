@@ -21,7 +21,7 @@
 'use strict';
 
 /**
- * Generates ABI/BIN using truffle compiler.
+ * Generates ABI/BIN and versioned artifacts using truffle compiler.
  *
  * Steps to generate ABI/BIN:
  *
@@ -29,21 +29,93 @@
  * 2. Checkout develop or any branch of your liking.
  * 3. run: ./node_modules/.bin/truffle compile.
  * 4. Come back to brandedtoken.js/contracts.
- * 5. run: node ./generateAbiBins.js.
+ * 5. run: node ./generateAbiBins.js [<truffle build path>] [<version>].
+ *    The version defaults to the version in package.json of
+ *    brandedtoken-contracts. It is mandatory if the build path is not inside
+ *    a checkout of brandedtoken-contracts. The source commit is left out if
+ *    the checkout is not a git repository.
  * 6. Make sure commit only the contracts that are needed.
+ *
+ * Artifacts are written to artifacts/<version>/<ContractName>.json with the
+ * ABI, creation and runtime bytecode, compiler settings and source commit, so
+ * that several contract versions can be served side by side by
+ * AbiBinProvider. If the version is the default version of AbiBinProvider,
+ * update the abi, bin and bin-runtime folders too.
  */
 const fs = require('fs');
 const path = require('path');
+const { execSync } = require('child_process');
 
 let contractsRepoPath = path.join(__dirname, '../../brandedtoken-contracts/build/contracts/');
 const abiOutputPath = path.join(__dirname, './abi');
 const binOutputPath = path.join(__dirname, './bin');
+const binRuntimeOutputPath = path.join(__dirname, './bin-runtime');
 
 if (process.argv.length > 2) {
   [, , contractsRepoPath] = process.argv;
 }
 
+const contractsRepoRoot = path.join(contractsRepoPath, '../..');
+
+/**
+ * Returns package.json of brandedtoken-contracts, or an empty object if the
+ * build path is not inside a checkout of it.
+ */
+const readContractsPackage = () => {
+  try {
+    /* eslint global-require: "off", import/no-dynamic-require: "off" */
+    return require(path.join(contractsRepoRoot, 'package.json'));
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Returns the commit of the brandedtoken-contracts checkout, or undefined if
+ * it is not a git checkout or git is not installed.
+ */
+const readCommit = () => {
+  try {
+    return execSync('git rev-parse HEAD', {
+      cwd: contractsRepoRoot,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).toString().trim();
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const contractsPackage = readContractsPackage();
+const version = process.argv[3] || contractsPackage.version;
+if (!version) {
+  throw new Error(
+    `No package.json found in ${contractsRepoRoot}. Pass the version: node ./generateAbiBins.js <truffle build path> <version>`,
+  );
+}
+const { repository } = contractsPackage;
+const source = {
+  repository: repository && (repository.url || repository),
+  commit: readCommit(),
+};
+const artifactsOutputPath = path.join(__dirname, './artifacts', version);
+
 console.log(`Looking for truffle compile output in path ${contractsRepoPath}`);
+console.log(`Generating artifacts of version ${version} from commit ${source.commit || 'unknown'}`);
+
+/**
+ * Returns compiler name, version and settings of a truffle artifact.
+ */
+const getCompiler = (json) => {
+  const compiler = Object.assign({}, json.compiler);
+  if (json.metadata) {
+    const { settings } = JSON.parse(json.metadata);
+    compiler.settings = {
+      optimizer: settings.optimizer,
+      evmVersion: settings.evmVersion,
+    };
+  }
+  return compiler;
+};
 
 const metadata = {
   abi: {
@@ -54,6 +126,9 @@ const metadata = {
     generated: [],
     ignored: [],
   },
+  artifact: {
+    generated: [],
+  },
   total: 0,
 };
 
@@ -88,7 +163,6 @@ fs.readdir(contractsRepoPath, (err, items) => {
 
     const jsonFilePath = path.join(contractsRepoPath, fileName);
     console.log(`jsonFilePath ${jsonFilePath}`);
-    /* eslint global-require: "off", import/no-dynamic-require: "off" */
     const json = require(jsonFilePath);
 
     // Generate Abi files
@@ -112,12 +186,38 @@ fs.readdir(contractsRepoPath, (err, items) => {
       const fileContent = json.bytecode;
       const outputFile = path.join(binOutputPath, `${contractName}.bin`);
       fs.writeFileSync(outputFile, fileContent);
+      fs.writeFileSync(
+        path.join(binRuntimeOutputPath, `${contractName}.bin`),
+        json.deployedBytecode,
+      );
       // Update Metadata
       metadata.bin.generated.push(contractName);
     } else {
       console.log('--- bin file not generated');
       metadata.bin.ignored.push(contractName);
     }
+
+    // Generate versioned artifact
+    if (json.abi && json.abi.length && json.bytecode && json.bytecode !== '0x') {
+      console.log('--- Generating artifact file');
+      const artifact = {
+        contractName,
+        version,
+        abi: json.abi,
+        bytecode: json.bytecode,
+        deployedBytecode: json.deployedBytecode,
+        compiler: getCompiler(json),
+        source,
+      };
+      [path.dirname(artifactsOutputPath), artifactsOutputPath].forEach((dir) => {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir);
+        }
+      });
+      const outputFile = path.join(artifactsOutputPath, `${contractName}.json`);
+      fs.writeFileSync(outputFile, JSON.stringify(artifact, null, 2));
+      metadata.artifact.generated.push(contractName);
+    }
   }
 
   console.log('------ Task Completed ------');
@@ -134,6 +234,18 @@ fs.readdir(contractsRepoPath, (err, items) => {
     'contracts. Artifacts can be found here: ',
     binOutputPath,
   );
+  console.log(
+    'Runtime bin generated for',
+    metadata.bin.generated.length,
+    'contracts. Artifacts can be found here: ',
+    binRuntimeOutputPath,
+  );
+  console.log(
+    'Artifact generated for',
+    metadata.artifact.generated.length,
+    'contracts. Artifacts can be found here: ',
+    artifactsOutputPath,
+  );
   if (metadata.abi.ignored.length) {
     console.log('Abi generation ignored for \n\t', metadata.abi.ignored.join('\n\t '));
   }
@@ -25,19 +25,42 @@
 const AbiBinProvider = require('./lib/AbiBinProvider');
 const BrandedToken = require('./lib/ContractInteract/BrandedToken');
 const Contracts = require('./lib/Contracts');
+const ConversionQuote = require('./lib/helpers/conversion/ConversionQuote');
+const Converter = require('./lib/helpers/conversion/Converter');
+const EIP20Token = require('./lib/ContractInteract/EIP20Token');
+const Economy = require('./lib/Economy');
 const EconomySetup = require('./lib/EconomySetup');
+const Errors = require('./lib/Errors');
+const EventIndexer = require('./lib/EventIndexer');
 const Facilitator = require('./lib/Facilitator');
+const GasPriceStrategy = require('./utils/GasPriceStrategy');
 const GatewayComposer = require('./lib/ContractInteract/GatewayComposer');
+const KycWorker = require('./lib/KycWorker');
+const Logger = require('./utils/Logger');
+const Metrics = require('./utils/Metrics');
+const NonceManager = require('./utils/NonceManager');
+const OfflineTransactionBuilder = require('./lib/helpers/transaction/OfflineTransactionBuilder');
+const RevertReason = require('./utils/RevertReason');
 const StakeHelper = require('./lib/helpers/stake/gateway_composer/StakeHelper');
+const StakeOrchestrator = require('./lib/StakeOrchestrator');
+const StakeRequestTracker = require('./lib/StakeRequestTracker');
 const Staker = require('./lib/Staker');
 const UtilityBrandedToken = require('./lib/ContractInteract/UtilityBrandedToken');
+const Utils = require('./utils/Utils');
 
 module.exports = {
   AbiBinProvider,
+  Economy,
   EconomySetup,
+  EventIndexer,
   Contracts,
+  Errors,
+  Logger,
+  Metrics,
+  Utils,
   ContractInteract: {
     BrandedToken,
+    EIP20Token,
     GatewayComposer,
     UtilityBrandedToken,
   },
@@ -45,5 +68,14 @@ module.exports = {
     StakeHelper,
     Staker,
     Facilitator,
+    StakeOrchestrator,
+    StakeRequestTracker,
+    KycWorker,
+    Converter,
+    ConversionQuote,
+    OfflineTransactionBuilder,
+    NonceManager,
+    GasPriceStrategy,
+    RevertReason,
   },
 };
@@ -30,20 +30,60 @@ const { AbiBinProvider } = Mosaic;
 // __NOT_FOR_WEB__BEGIN__
 const DEFAULT_ABI_FOLDER_PATH = path.resolve(__dirname, '../contracts/abi/');
 const DEFAULT_BIN_FOLDER_PATH = path.resolve(__dirname, '../contracts/bin/');
+const DEFAULT_BIN_RUNTIME_FOLDER_PATH = path.resolve(__dirname, '../contracts/bin-runtime/');
+const DEFAULT_ARTIFACTS_FOLDER_PATH = path.resolve(__dirname, '../contracts/artifacts/');
 // __NOT_FOR_WEB__END__
 
+// Release of brandedtoken-contracts the files in contracts/abi and
+// contracts/bin are built from. Generated artifacts are keyed by the same
+// release scheme.
+const DEFAULT_VERSION = '0.10.0-alpha.1';
+
+// Solidity appends a swarm hash of the contract metadata to the bytecode.
+const METADATA_PATTERN = /a165627a7a72305820([0-9a-f]{64})0029/g;
+
+/**
+ * @typedef {Object} ContractArtifact
+ * @property {string} contractName Name of the contract.
+ * @property {string} version Release of brandedtoken-contracts.
+ * @property {Array<Object>} abi ABI of the contract.
+ * @property {string} bytecode Creation bytecode of the contract.
+ * @property {string} [deployedBytecode] Runtime bytecode of the contract, i.e.
+ *                                       the code at its address.
+ * @property {Object} [compiler] Compiler the bytecode is built with:
+ *                               { name, version, settings }
+ * @property {Object} [source] Source the contract is built from:
+ *                             { repository, commit }
+ */
+
 /**
  * The class provides getter to get ABIs and BINs for different contracts.
- * ABI and BIN files sit in contracts/abi, contracts/bin folder.
+ * ABI and BIN files sit in contracts/abi, contracts/bin folder, runtime BIN
+ * files in contracts/bin-runtime. Artifacts of
+ * other contract versions sit in contracts/artifacts/<version>/ folders, one
+ * JSON file per contract, as generated by contracts/generateAbiBins.js.
  */
 class BtAbiBinProvider extends AbiBinProvider {
-  constructor(abiFolderPath, binFolderPath) {
+  /**
+   * BtAbiBinProvider constructor.
+   *
+   * @param abiFolderPath Folder of ABI files of the default version.
+   * @param binFolderPath Folder of BIN files of the default version.
+   * @param artifactsFolderPath Folder of versioned artifact folders.
+   * @param binRuntimeFolderPath Folder of runtime BIN files of the default
+   *                             version.
+   */
+  constructor(abiFolderPath, binFolderPath, artifactsFolderPath, binRuntimeFolderPath) {
     const abiDirectoryPath = abiFolderPath || DEFAULT_ABI_FOLDER_PATH;
     const binDirectoryPath = binFolderPath || DEFAULT_BIN_FOLDER_PATH;
+    const artifactsDirectoryPath = artifactsFolderPath || DEFAULT_ARTIFACTS_FOLDER_PATH;
+    const binRuntimeDirectoryPath = binRuntimeFolderPath || DEFAULT_BIN_RUNTIME_FOLDER_PATH;
     super();
 
     const oThis = this;
     oThis.mosaicAbiBinProvider = new AbiBinProvider();
+    oThis.artifacts = {};
+    oThis.runtimeBins = {};
 
     // add all ABIs from abiDirectoryPath
     fs.readdirSync(abiDirectoryPath).forEach((abiFile) => {
@@ -60,15 +100,106 @@ class BtAbiBinProvider extends AbiBinProvider {
       const contractBin = fs.readFileSync(fPath, 'utf8');
       oThis.addBIN(contractName, contractBin);
     });
+
+    // add all runtime bins from binRuntimeDirectoryPath
+    if (fs.existsSync(binRuntimeDirectoryPath)) {
+      fs.readdirSync(binRuntimeDirectoryPath).forEach((binFile) => {
+        const fPath = path.resolve(binRuntimeDirectoryPath, binFile);
+        const contractName = path.basename(binFile, path.extname(binFile));
+        oThis.runtimeBins[contractName] = fs.readFileSync(fPath, 'utf8');
+      });
+    }
+
+    // add all artifacts from artifactsDirectoryPath/<version>
+    if (fs.existsSync(artifactsDirectoryPath)) {
+      fs.readdirSync(artifactsDirectoryPath).forEach((version) => {
+        const versionPath = path.resolve(artifactsDirectoryPath, version);
+        if (!fs.statSync(versionPath).isDirectory()) {
+          return;
+        }
+        fs.readdirSync(versionPath)
+          .filter(artifactFile => path.extname(artifactFile) === '.json')
+          .forEach((artifactFile) => {
+            const fPath = path.resolve(versionPath, artifactFile);
+            oThis.addArtifact(Object.assign({ version }, JSON.parse(fs.readFileSync(fPath))));
+          });
+      });
+    }
+  }
+
+  /**
+   * Adds an artifact of a contract version.
+   *
+   * @param {ContractArtifact} artifact Contract artifact.
+   */
+  addArtifact(artifact) {
+    const oThis = this;
+    if (!artifact || !artifact.contractName || !artifact.version) {
+      throw new TypeError('Artifact must have contractName and version.');
+    }
+
+    oThis.artifacts[artifact.contractName] = oThis.artifacts[artifact.contractName] || {};
+    oThis.artifacts[artifact.contractName][artifact.version] = artifact;
+  }
+
+  /**
+   * Returns the artifact of a contract version. The files in contracts/abi
+   * and contracts/bin are the artifact of the default version, unless an
+   * artifact with compiler and source information is added for it.
+   *
+   * @param contractName Name of the contract.
+   * @param options Optional. { version }, defaults to the default version.
+   * @returns {ContractArtifact} Contract artifact.
+   */
+  getArtifact(contractName, options) {
+    const oThis = this;
+    const version = (options && options.version) || DEFAULT_VERSION;
+
+    const versions = oThis.artifacts[contractName] || {};
+    if (versions[version]) {
+      return versions[version];
+    }
+
+    if (version === DEFAULT_VERSION) {
+      return {
+        contractName,
+        version,
+        abi: oThis.getABI(contractName),
+        bytecode: oThis.getBIN(contractName),
+        deployedBytecode: oThis.runtimeBins[contractName],
+      };
+    }
+
+    throw new Error(`Artifact of ${contractName} version ${version} not found.`);
+  }
+
+  /**
+   * Returns the versions a contract is available in.
+   *
+   * @param contractName Name of the contract.
+   * @returns {Array<string>} Versions, including the default version.
+   */
+  getVersions(contractName) {
+    const oThis = this;
+    const versions = Object.keys(oThis.artifacts[contractName] || {});
+    if (!versions.includes(DEFAULT_VERSION)) {
+      versions.unshift(DEFAULT_VERSION);
+    }
+    return versions;
   }
 
   /**
    * Getter to get ABI for a contract.
    * @param contractName Name of the contract.
+   * @param options Optional. { version } to get the ABI of another version.
    * @returns {String} ABI JSON string.
    */
-  getABI(contractName) {
+  getABI(contractName, options) {
     const oThis = this;
+    if (options && options.version) {
+      return oThis.getArtifact(contractName, options).abi;
+    }
+
     let abi = null;
     try {
       abi = super.getABI(contractName);
@@ -88,10 +219,15 @@ class BtAbiBinProvider extends AbiBinProvider {
   /**
    * Getter to get BIN for a contract.
    * @param contractName Name of the contract.
+   * @param options Optional. { version } to get the BIN of another version.
    * @returns {String} Binary string.
    */
-  getBIN(contractName) {
+  getBIN(contractName, options) {
     const oThis = this;
+    if (options && options.version) {
+      return oThis.getArtifact(contractName, options).bytecode;
+    }
+
     let bin = null;
     try {
       bin = super.getBIN(contractName);
@@ -106,6 +242,140 @@ class BtAbiBinProvider extends AbiBinProvider {
     }
     return bin;
   }
+
+  /**
+   * Getter to get runtime BIN for a contract, i.e. the code at the address of
+   * a deployed contract.
+   * @param contractName Name of the contract.
+   * @param options Optional. { version } to get the runtime BIN of another
+   *                version.
+   * @returns {String} Binary string.
+   */
+  getRuntimeBIN(contractName, options) {
+    const oThis = this;
+    const artifact = oThis.getArtifact(contractName, options);
+    if (!artifact.deployedBytecode) {
+      throw new Error(`Runtime BIN of ${contractName} version ${artifact.version} not found.`);
+    }
+    return artifact.deployedBytecode;
+  }
+
+  /**
+   * Compares bytecode with the shipped BINs of a contract. The bytecode can
+   * be the deployed runtime code, which must equal the shipped runtime BIN,
+   * or the creation code of a deployment transaction, which must start with
+   * the shipped BIN and has the constructor arguments appended. Metadata
+   * hashes are compared separately, as they change with compiler settings and
+   * source paths without changing the code.
+   *
+   * @param contractName Name of the contract.
+   * @param bytecode Runtime or creation bytecode.
+   * @param options Optional. { version } to compare with another version.
+   * @returns {Object} Comparison result:
+   *          {
+   *            matches: true if the code matches the shipped BINs,
+   *            type: 'runtime' or 'creation', undefined if not matching,
+   *            metadataMatches: true if the metadata hash matches too, i.e.
+   *                             it is the exact build of this version,
+   *            constructorArguments: ABI encoded constructor arguments, for
+   *                                  creation code
+   *          }
+   */
+  compareBytecode(contractName, bytecode, options) {
+    const oThis = this;
+
+    const shippedCode = BtAbiBinProvider._normalize(oThis.getBIN(contractName, options));
+    const shippedRuntimeCode = BtAbiBinProvider._normalize(
+      oThis.getRuntimeBIN(contractName, options),
+    );
+    const code = BtAbiBinProvider._normalize(bytecode);
+    const shippedCodeWithoutMetadata = shippedCode.replace(METADATA_PATTERN, '');
+    const shippedRuntimeCodeWithoutMetadata = shippedRuntimeCode.replace(METADATA_PATTERN, '');
+    const codeWithoutMetadata = code.replace(METADATA_PATTERN, '');
+
+    const result = {
+      matches: false,
+      type: undefined,
+      metadataMatches: false,
+      constructorArguments: undefined,
+    };
+
+    if (codeWithoutMetadata.length === 0 || shippedCodeWithoutMetadata.length === 0) {
+      return result;
+    }
+
+    let shippedMetadata = [];
+    if (codeWithoutMetadata === shippedRuntimeCodeWithoutMetadata) {
+      result.matches = true;
+      result.type = 'runtime';
+      shippedMetadata = BtAbiBinProvider._metadataHashes(shippedRuntimeCode);
+    } else if (codeWithoutMetadata.startsWith(shippedCodeWithoutMetadata)) {
+      result.matches = true;
+      result.type = 'creation';
+      result.constructorArguments = `0x${codeWithoutMetadata.slice(shippedCodeWithoutMetadata.length)}`;
+      shippedMetadata = BtAbiBinProvider._metadataHashes(shippedCode);
+    }
+
+    if (result.matches) {
+      const metadata = BtAbiBinProvider._metadataHashes(code);
+      result.metadataMatches = shippedMetadata.length > 0
+        && shippedMetadata.join() === metadata.slice(0, shippedMetadata.length).join();
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetches the deployed code at an address and compares it with the shipped
+   * BIN of a contract.
+   *
+   * @param web3 Web3 object of the chain the contract is deployed on.
+   * @param address Contract address.
+   * @param contractName Name of the contract, e.g. 'BrandedToken'.
+   * @param options Optional. { version } to compare with another version.
+   * @returns {Promise<Object>} Promise that resolves to the comparison result
+   *                            of {@link BtAbiBinProvider#compareBytecode}
+   *                            with `address` and `contractName`.
+   */
+  verifyDeployedCode(web3, address, contractName, options) {
+    const oThis = this;
+
+    return web3.eth.getCode(address).then(code => Object.assign(
+      {
+        address,
+        contractName,
+      },
+      oThis.compareBytecode(contractName, code, options),
+    ));
+  }
+
+  /**
+   * @returns {string} Version of the files in contracts/abi and contracts/bin.
+   */
+  static get DEFAULT_VERSION() {
+    return DEFAULT_VERSION;
+  }
+
+  /**
+   * @private
+   */
+  static _normalize(bytecode) {
+    return (bytecode || '').replace(/^0x/, '').toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  static _metadataHashes(bytecode) {
+    const hashes = [];
+    const pattern = new RegExp(METADATA_PATTERN.source, 'g');
+    let match = pattern.exec(bytecode);
+    while (match !== null) {
+      hashes.push(match[1]);
+      match = pattern.exec(bytecode);
+    }
+    return hashes;
+  }
 }
 
 module.exports = BtAbiBinProvider;
@@ -3,8 +3,11 @@
 const Web3 = require('web3');
 const Contracts = require('../Contracts');
 const AbiBinProvider = require('../AbiBinProvider');
+const EIP20Token = require('./EIP20Token');
 const Utils = require('../../utils/Utils');
 
+const { BN } = Web3.utils;
+
 const ContractName = 'BrandedToken';
 
 /**
@@ -16,8 +19,11 @@ class BrandedToken {
    *
    * @param {Object} web3 Web3 object.
    * @param {string} address BrandedToken contract address.
+   * @param {Object} [options] Optional. { version } of the contract ABI, see
+   *                           {@link BtAbiBinProvider#getArtifact}. Defaults
+   *                           to the default version.
    */
-  constructor(web3, address) {
+  constructor(web3, address, options) {
     if (!(web3 instanceof Web3)) {
       throw new TypeError("Mandatory Parameter 'web3' is missing or invalid");
     }
@@ -30,7 +36,8 @@ class BrandedToken {
     this.web3 = web3;
     this.address = address;
 
-    this.contract = Contracts.getBrandedToken(this.web3, this.address);
+    this.version = options && options.version;
+    this.contract = Contracts.getBrandedToken(this.web3, this.address, options);
 
     if (!this.contract) {
       throw new TypeError(
@@ -39,6 +46,8 @@ class BrandedToken {
     }
 
     this.convertToBrandedTokens = this.convertToBrandedTokens.bind(this);
+    this.convertToValueTokens = this.convertToValueTokens.bind(this);
+    this.getConversionRate = this.getConversionRate.bind(this);
     this.requestStake = this.requestStake.bind(this);
     this.requestStakeRawTx = this.requestStakeRawTx.bind(this);
     this.acceptStakeRequest = this.acceptStakeRequest.bind(this);
@@ -46,8 +55,15 @@ class BrandedToken {
     this.liftRestriction = this.liftRestriction.bind(this);
     this.liftRestrictionRawTx = this.liftRestrictionRawTx.bind(this);
     this.isUnrestricted = this.isUnrestricted.bind(this);
+    this.getStakeRequest = this.getStakeRequest.bind(this);
+    this.getStakeRequestHash = this.getStakeRequestHash.bind(this);
+    this.getNonce = this.getNonce.bind(this);
     this.rejectStakeRequest = this.rejectStakeRequest.bind(this);
     this.rejectStakeRequestRawTx = this.rejectStakeRequestRawTx.bind(this);
+    this.revokeStakeRequest = this.revokeStakeRequest.bind(this);
+    this.revokeStakeRequestRawTx = this.revokeStakeRequestRawTx.bind(this);
+    this.redeem = this.redeem.bind(this);
+    this.redeemRawTx = this.redeemRawTx.bind(this);
   }
 
   /**
@@ -111,6 +127,10 @@ class BrandedToken {
       organization,
     );
 
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions);
+    }
+
     return Utils.sendTransaction(tx, txOptions).then((txReceipt) => {
       const address = txReceipt.contractAddress;
       return new BrandedToken(web3, address);
@@ -209,14 +229,58 @@ class BrandedToken {
       .call();
   }
 
+  /**
+   * This calculates value tokens equivalent to given branded tokens.
+   *
+   * @param {string} brandedTokens Amount of branded token.
+   *
+   * @return {Promise<string>} Promise that resolves to amount of value token.
+   */
+  convertToValueTokens(brandedTokens) {
+    return this.contract.methods
+      .convertToValueTokens(brandedTokens)
+      .call();
+  }
+
+  /**
+   * Returns the conversion rate and its scale. Both are fixed at deployment,
+   * so they are read once and cached.
+   *
+   * @return {Promise<Object>} Promise that resolves to:
+   *                           {
+   *                             conversionRate: conversion rate,
+   *                             conversionRateDecimals: conversion rate
+   *                                                     decimals
+   *                           }
+   */
+  getConversionRate() {
+    if (!this.conversionRatePromise) {
+      this.conversionRatePromise = Promise.all([
+        this.contract.methods.conversionRate().call(),
+        this.contract.methods.conversionRateDecimals().call(),
+      ]).then(([conversionRate, conversionRateDecimals]) => ({
+        conversionRate,
+        conversionRateDecimals: Number(conversionRateDecimals),
+      })).catch((error) => {
+        this.conversionRatePromise = null;
+        return Promise.reject(error);
+      });
+    }
+
+    return this.conversionRatePromise;
+  }
+
   /**
    * Request stake for given amount. Approval for stake amount to branded
    * token is required before calling this method.
    *
    * @param {string} stakeAmount Stake amount.
-   * @param {Object} txOptions Transaction options.
+   * @param {Object} txOptions Transaction options. With `dryRun`, nothing is
+   *                           sent and the value token allowance is checked
+   *                           instead, see {@link Utils.dryRun}.
    *
-   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   * @return {Promise<Object>} Promise that resolves to transaction receipt,
+   *                           or to the detected problems with `dryRun`.
    */
   async requestStake(stakeAmount, txOptions) {
     if (!txOptions) {
@@ -232,6 +296,19 @@ class BrandedToken {
 
     const mintedAmount = await this.convertToBrandedTokens(stakeAmount);
     const tx = await this.requestStakeRawTx(stakeAmount, mintedAmount);
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, {
+        allowance: async () => {
+          const valueTokenAddress = await this.contract.methods.valueToken().call();
+          const allowance = await new EIP20Token(this.web3, valueTokenAddress)
+            .allowance(txOptions.from, this.address);
+          return new BN(allowance).lt(new BN(stakeAmount))
+            ? `Value token allowance ${allowance} of ${txOptions.from} is less than stake amount ${stakeAmount}.`
+            : null;
+        },
+      });
+    }
+
     return Utils.sendTransaction(tx, txOptions);
   }
 
@@ -255,9 +332,12 @@ class BrandedToken {
    * @param {string} r R of signature received from worker.
    * @param {string} s s of signature received from worker.
    * @param {string} v v of signature received from worker.
-   * @param {Object} txOptions Transaction options
+   * @param {Object} txOptions Transaction options. With `dryRun`, nothing is
+   *                           sent and the stake request is checked instead,
+   *                           see {@link Utils.dryRun}.
    *
-   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   * @return {Promise<Object>} Promise that resolves to transaction receipt,
+   *                           or to the detected problems with `dryRun`.
    */
   async acceptStakeRequest(stakeRequestHash, r, s, v, txOptions) {
     if (!txOptions) {
@@ -272,6 +352,12 @@ class BrandedToken {
     }
 
     const tx = await this.acceptStakeRequestRawTx(stakeRequestHash, r, s, v);
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, {
+        stakeRequest: () => this._stakeRequestCheck(stakeRequestHash),
+      });
+    }
+
     return Utils.sendTransaction(tx, txOptions);
   }
 
@@ -369,6 +455,66 @@ class BrandedToken {
       .call();
   }
 
+  /**
+   * Returns the stake request identified by the given hash. Staker is the
+   * zero address if there is no open stake request for the hash.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   *
+   * @returns {Promise<Object>} Promise that resolves to stake request:
+   *                            {
+   *                              staker: address of the staker,
+   *                              stake: amount of value tokens staked,
+   *                              nonce: nonce of the stake request
+   *                            }
+   */
+  getStakeRequest(stakeRequestHash) {
+    if (!stakeRequestHash) {
+      const err = new TypeError(`Invalid stakeRequestHash: ${stakeRequestHash}.`);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .stakeRequests(stakeRequestHash)
+      .call()
+      .then(stakeRequest => ({
+        staker: stakeRequest.staker,
+        stake: stakeRequest.stake,
+        nonce: stakeRequest.nonce,
+      }));
+  }
+
+  /**
+   * Returns the hash of the open stake request of the given staker. Hash is
+   * zero bytes if the staker has no open stake request.
+   *
+   * @param {string} staker Address of the staker.
+   *
+   * @returns {Promise<string>} Promise that resolves to stake request hash.
+   */
+  getStakeRequestHash(staker) {
+    if (!Web3.utils.isAddress(staker)) {
+      const err = new TypeError(`Invalid staker address: ${staker}.`);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .stakeRequestHashes(staker)
+      .call();
+  }
+
+  /**
+   * Returns the nonce that will be used for the next stake request.
+   *
+   * @returns {Promise<string>} Promise that resolves to nonce.
+   */
+  getNonce() {
+    return this.contract.methods
+      .nonce()
+      .call();
+  }
+
   /**
    * This rejects a stake request, must be called by organization worker.
    *
@@ -390,6 +536,12 @@ class BrandedToken {
     }
 
     const tx = await this.rejectStakeRequestRawTx(stakeRequestHash);
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, {
+        stakeRequest: () => this._stakeRequestCheck(stakeRequestHash),
+      });
+    }
+
     return Utils.sendTransaction(tx, txOptions);
   }
 
@@ -411,6 +563,190 @@ class BrandedToken {
       this.contract.methods.rejectStakeRequest(stakeRequestHash),
     );
   }
+
+  /**
+   * Revokes a stake request that has not been accepted or rejected yet.
+   * Must be called by the staker who requested the stake.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to revocation result:
+   *                           {
+   *                             stakeRequestHash: hash of revoked request,
+   *                             staker: address of the staker,
+   *                             stake: amount of value tokens returned,
+   *                             receipt: transaction receipt
+   *                           }
+   */
+  async revokeStakeRequest(stakeRequestHash, txOptions) {
+    if (!txOptions) {
+      const err = new TypeError(`Invalid transaction options: ${txOptions}.`);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const err = new TypeError(
+        `Invalid from address ${txOptions.from} in transaction options.`,
+      );
+      return Promise.reject(err);
+    }
+
+    const tx = await this.revokeStakeRequestRawTx(stakeRequestHash);
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, {
+        stakeRequest: () => this._stakeRequestCheck(stakeRequestHash),
+      });
+    }
+
+    const receipt = await Utils.sendTransaction(tx, txOptions);
+    if (!receipt.events || !receipt.events.StakeRequestRevoked) {
+      const err = new Error(
+        `Revoke stake request failed with transactionHash: ${receipt.transactionHash}`,
+      );
+      return Promise.reject(err);
+    }
+
+    const { returnValues } = receipt.events.StakeRequestRevoked;
+    return {
+      stakeRequestHash: returnValues._stakeRequestHash,
+      staker: returnValues._staker,
+      stake: returnValues._stake,
+      receipt,
+    };
+  }
+
+  /**
+   * Raw transaction for revoke stake request.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   *
+   * @return {Promise<Object>} Raw transaction object.
+   */
+  revokeStakeRequestRawTx(stakeRequestHash) {
+    if (!stakeRequestHash) {
+      const err = new TypeError(`Invalid stakeRequestHash: ${stakeRequestHash}.`);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(
+      this.contract.methods.revokeStakeRequest(stakeRequestHash),
+    );
+  }
+
+  /**
+   * Redeems branded tokens for value tokens. The caller must hold at least
+   * the given amount of branded tokens and must be unrestricted, unless all
+   * restrictions have been lifted.
+   *
+   * @param {string} brandedTokens Amount of branded tokens to redeem.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to redemption result:
+   *                           {
+   *                             redeemer: address of the redeemer,
+   *                             valueTokens: amount of value tokens released,
+   *                             receipt: transaction receipt
+   *                           }
+   */
+  async redeem(brandedTokens, txOptions) {
+    if (!txOptions) {
+      const err = new TypeError(`Invalid transaction options: ${txOptions}.`);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const err = new TypeError(
+        `Invalid from address ${txOptions.from} in transaction options.`,
+      );
+      return Promise.reject(err);
+    }
+
+    const tx = await this.redeemRawTx(brandedTokens);
+
+    const checks = {
+      balance: async () => {
+        const balance = await this.contract.methods
+          .balanceOf(txOptions.from)
+          .call();
+        return new BN(balance).lt(new BN(brandedTokens))
+          ? `Insufficient branded token balance ${balance} of ${txOptions.from} to redeem ${brandedTokens}.`
+          : null;
+      },
+      restriction: async () => {
+        const allRestrictionsLifted = await this.contract.methods
+          .allRestrictionsLifted()
+          .call();
+        if (allRestrictionsLifted) {
+          return null;
+        }
+        const unrestricted = await this.isUnrestricted(txOptions.from);
+        return unrestricted ? null : `Redeemer ${txOptions.from} is restricted.`;
+      },
+    };
+
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, checks);
+    }
+
+    const problems = await Utils.runChecks(checks);
+    if (problems.length > 0) {
+      const err = new Error(problems[0].message);
+      return Promise.reject(err);
+    }
+
+    const receipt = await Utils.sendTransaction(tx, txOptions);
+    if (!receipt.events || !receipt.events.Redeemed) {
+      const err = new Error(
+        `Redeem failed with transactionHash: ${receipt.transactionHash}`,
+      );
+      return Promise.reject(err);
+    }
+
+    const { returnValues } = receipt.events.Redeemed;
+    return {
+      redeemer: returnValues._redeemer,
+      valueTokens: returnValues._valueTokens,
+      receipt,
+    };
+  }
+
+  /**
+   * Raw transaction for redeem.
+   *
+   * @param {string} brandedTokens Amount of branded tokens to redeem.
+   *
+   * @return {Promise<Object>} Raw transaction object.
+   */
+  redeemRawTx(brandedTokens) {
+    if (
+      (typeof brandedTokens !== 'string' && typeof brandedTokens !== 'number')
+      || !/^[0-9]+$/.test(String(brandedTokens))
+    ) {
+      const err = new TypeError(`Invalid branded tokens amount: ${brandedTokens}.`);
+      return Promise.reject(err);
+    }
+    if (!new BN(brandedTokens).gtn(0)) {
+      const err = new TypeError(
+        `Branded tokens amount must be greater than zero: ${brandedTokens}.`,
+      );
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(this.contract.methods.redeem(brandedTokens));
+  }
+
+  /**
+   * Checks that the stake request exists.
+   *
+   * @private
+   */
+  async _stakeRequestCheck(stakeRequestHash) {
+    const stakeRequest = await this.getStakeRequest(stakeRequestHash);
+    return /^0x0*$/.test(stakeRequest.staker)
+      ? `Stake request ${stakeRequestHash} not found.`
+      : null;
+  }
 }
 
 module.exports = BrandedToken;
@@ -0,0 +1,52 @@
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openstfoundation/mosaic.js');
+
+const Utils = require('../../utils/Utils');
+
+/**
+ * Contract interact for EIP20Token contract. It sends transactions with
+ * {@link Utils.sendTransaction}, so that signers and the nonce manager in
+ * transaction options apply to value token transactions too.
+ */
+class EIP20Token extends Mosaic.ContractInteract.EIP20Token {
+  /**
+   * Constructor for EIP20Token.
+   *
+   * @param {Object} web3 Web3 object.
+   * @param {string} address EIP20Token contract address.
+   */
+  constructor(web3, address) {
+    super(web3, address);
+
+    this.approve = this.approve.bind(this);
+  }
+
+  /**
+   * Approves spender to spend amount of tokens.
+   *
+   * @param {string} spenderAddress Spender address.
+   * @param {string} amount Amount to approve.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  async approve(spenderAddress, amount, txOptions) {
+    if (!txOptions) {
+      const err = new TypeError(`Invalid transaction options: ${txOptions}.`);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const err = new TypeError(
+        `Invalid from address ${txOptions.from} in transaction options.`,
+      );
+      return Promise.reject(err);
+    }
+
+    const tx = await this.approveRawTx(spenderAddress, amount);
+    return Utils.sendTransaction(tx, txOptions);
+  }
+}
+
+module.exports = EIP20Token;
@@ -3,11 +3,14 @@
 const Web3 = require('web3');
 const Contracts = require('../Contracts');
 const AbiBinProvider = require('../AbiBinProvider');
+const BrandedToken = require('./BrandedToken');
+const EIP20Token = require('./EIP20Token');
 const Utils = require('../../utils/Utils');
 
 const { BN } = Web3.utils;
 
 const ContractName = 'GatewayComposer';
+const ZERO_BYTES32 = /^0x0*$/;
 
 /**
  * Contract interact for Gateway composer.
@@ -18,8 +21,11 @@ class GatewayComposer {
    *
    * @param {Web3} web3 Web3 instance that points to origin.
    * @param {string} address Gateway composer contract address.
+   * @param {Object} [options] Optional. { version } of the contract ABI, see
+   *                           {@link BtAbiBinProvider#getArtifact}. Defaults
+   *                           to the default version.
    */
-  constructor(web3, address) {
+  constructor(web3, address, options) {
     if (!(web3 instanceof Web3)) {
       throw new TypeError("Mandatory Parameter 'web3' is missing or invalid");
     }
@@ -32,7 +38,8 @@ class GatewayComposer {
     this.web3 = web3;
     this.address = address;
 
-    this.contract = Contracts.getGatewayComposer(this.web3, this.address);
+    this.version = options && options.version;
+    this.contract = Contracts.getGatewayComposer(this.web3, this.address, options);
 
     if (!this.contract) {
       throw new TypeError(
@@ -85,6 +92,10 @@ class GatewayComposer {
       brandedToken,
     );
 
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions);
+    }
+
     return Utils.sendTransaction(tx, txOptions).then((txReceipt) => {
       const address = txReceipt.contractAddress;
       return new GatewayComposer(web3, address);
@@ -149,9 +160,14 @@ class GatewayComposer {
    * @param {string} gasPrice Gas price that staker is willing to pay for the reward.
    * @param {string} gasLimit Maximum gas limit for reward calculation.
    * @param {string} nonce Staker nonce managed by gateway contract.
-   * @param {Object} txOptions Transaction options.
+   * @param {Object} txOptions Transaction options. With `dryRun`, nothing is
+   *                           sent and the problems are checked instead:
+   *                           value token allowance, mint amount, pending
+   *                           stake request and gateway nonce, see
+   *                           {@link Utils.dryRun}.
    *
-   * @returns {Promise<Object>} Promise that resolves to transaction receipt.
+   * @returns {Promise<Object>} Promise that resolves to transaction receipt,
+   *                            or to the detected problems with `dryRun`.
    */
   async requestStake(
     stakeVT,
@@ -182,9 +198,85 @@ class GatewayComposer {
       nonce,
     );
 
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, this._requestStakeChecks(
+        stakeVT,
+        mintBT,
+        gateway,
+        nonce,
+        txOptions.from,
+      ));
+    }
+
     return Utils.sendTransaction(tx, txOptions);
   }
 
+  /**
+   * Checks of request stake for dry runs.
+   *
+   * @private
+   */
+  _requestStakeChecks(stakeVT, mintBT, gateway, nonce, owner) {
+    const brandedToken = () => this.contract.methods
+      .brandedToken()
+      .call()
+      .then(address => new BrandedToken(this.web3, address));
+
+    return {
+      allowance: () => this._allowanceCheck(owner, stakeVT, 'stake amount'),
+      mintAmount: async () => {
+        const expectedMintBT = await (await brandedToken()).convertToBrandedTokens(stakeVT);
+        return new BN(expectedMintBT).eq(new BN(mintBT))
+          ? null
+          : `Mint amount ${mintBT} does not match converted stake amount ${expectedMintBT}.`;
+      },
+      pendingStakeRequest: async () => {
+        const stakeRequestHash = await (await brandedToken()).getStakeRequestHash(this.address);
+        return ZERO_BYTES32.test(stakeRequestHash)
+          ? null
+          : `GatewayComposer has a pending stake request ${stakeRequestHash}.`;
+      },
+      nonce: async () => {
+        const gatewayNonce = await Contracts.getEIP20Gateway(this.web3, gateway)
+          .methods
+          .getNonce(this.address)
+          .call();
+        return new BN(gatewayNonce).eq(new BN(nonce))
+          ? null
+          : `Nonce ${nonce} does not match gateway nonce ${gatewayNonce}.`;
+      },
+    };
+  }
+
+  /**
+   * Checks that the value token allowance of the owner for this contract
+   * covers the amount.
+   *
+   * @private
+   */
+  async _allowanceCheck(owner, amount, amountName) {
+    const valueTokenAddress = await this.contract.methods.valueToken().call();
+    const allowance = await new EIP20Token(this.web3, valueTokenAddress)
+      .allowance(owner, this.address);
+    return new BN(allowance).lt(new BN(amount))
+      ? `Value token allowance ${allowance} of ${owner} is less than ${amountName} ${amount}.`
+      : null;
+  }
+
+  /**
+   * Checks that the stake request exists.
+   *
+   * @private
+   */
+  async _stakeRequestCheck(stakeRequestHash) {
+    const stakeRequest = await this.contract.methods
+      .stakeRequests(stakeRequestHash)
+      .call();
+    return new BN(stakeRequest.stakeVT).gtn(0)
+      ? null
+      : `Stake request ${stakeRequestHash} not found.`;
+  }
+
 
   /**
    * Raw transaction for request stake.
@@ -267,9 +359,13 @@ class GatewayComposer {
    * @param {string} s s of signature received from worker.
    * @param {string} v v of signature received from worker.
    * @param {string} hashLock hashLock provided by the facilitator.
-   * @param {Object} txOptions Transaction options
+   * @param {Object} txOptions Transaction options. With `dryRun`, nothing is
+   *                           sent and the problems are checked instead:
+   *                           stake request and value token allowance for
+   *                           the bounty, see {@link Utils.dryRun}.
    *
-   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   * @return {Promise<Object>} Promise that resolves to transaction receipt,
+   *                           or to the detected problems with `dryRun`.
    */
   async acceptStakeRequest(stakeRequestHash, r, s, v, hashLock, txOptions) {
     if (!txOptions) {
@@ -284,6 +380,24 @@ class GatewayComposer {
     }
 
     const tx = await this.acceptStakeRequestRawTx(stakeRequestHash, r, s, v, hashLock);
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, {
+        stakeRequest: () => this._stakeRequestCheck(stakeRequestHash),
+        bountyAllowance: async () => {
+          const stakeRequest = await this.contract.methods.stakeRequests(stakeRequestHash).call();
+          // A missing stake request is reported by the stakeRequest check.
+          if (new BN(stakeRequest.stakeVT).isZero()) {
+            return null;
+          }
+          const bounty = await Contracts.getEIP20Gateway(this.web3, stakeRequest.gateway)
+            .methods
+            .bounty()
+            .call();
+          return this._allowanceCheck(txOptions.from, bounty, 'bounty');
+        },
+      });
+    }
+
     return Utils.sendTransaction(tx, txOptions);
   }
 
@@ -356,6 +470,12 @@ class GatewayComposer {
     }
 
     const tx = await this.revokeStakeRequestRawTx(stakeRequestHash);
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions, {
+        stakeRequest: () => this._stakeRequestCheck(stakeRequestHash),
+      });
+    }
+
     return Utils.sendTransaction(tx, txOptions);
   }
 
@@ -18,10 +18,14 @@ class UtilityBrandedToken extends Mosaic.ContractInteract.UtilityToken {
    *
    * @param {Object} web3 Web3 object.
    * @param {string} address UtilityBrandedToken contract address.
+   * @param {Object} [options] Optional. { version } of the contract ABI, see
+   *                           {@link BtAbiBinProvider#getArtifact}. Defaults
+   *                           to the default version.
    */
-  constructor(web3, address) {
+  constructor(web3, address, options) {
     super(web3, address);
-    this.contract = Contracts.getUtilityBrandedToken(this.web3, this.address);
+    this.version = options && options.version;
+    this.contract = Contracts.getUtilityBrandedToken(this.web3, this.address, options);
 
     if (!this.contract) {
       throw new Error(`Could not load Utility contract for: ${this.address}`);
@@ -73,6 +77,10 @@ class UtilityBrandedToken extends Mosaic.ContractInteract.UtilityToken {
       organization,
     );
 
+    if (txOptions.dryRun) {
+      return Utils.dryRun(tx, txOptions);
+    }
+
     return Utils.sendTransaction(tx, txOptions).then((txReceipt) => {
       const address = txReceipt.contractAddress;
       return new UtilityBrandedToken(web3, address);
@@ -51,7 +51,8 @@ class BTContracts extends Contracts {
    * Method which returns BrandedToken contract instance.
    *
    * @param address BrandedToken contract address.
-   * @param options Tx options.
+   * @param options Tx options. Optional `version` selects the contract
+   *                version, see {@link BtAbiBinProvider#getArtifact}.
    * @returns {web3.eth.Contract}
    * @constructor
    */
@@ -65,7 +66,8 @@ class BTContracts extends Contracts {
    * Method which returns GatewayComposer contract instance.
    *
    * @param address GatewayComposer contract address.
-   * @param options Tx options.
+   * @param options Tx options. Optional `version` selects the contract
+   *                version, see {@link BtAbiBinProvider#getArtifact}.
    * @returns {web3.eth.Contract}
    * @constructor
    */
@@ -79,7 +81,8 @@ class BTContracts extends Contracts {
    * Method which returns UtilityBrandedToken contract instance.
    *
    * @param address UtilityBrandedToken contract address.
-   * @param options Tx options.
+   * @param options Tx options. Optional `version` selects the contract
+   *                version, see {@link BtAbiBinProvider#getArtifact}.
    * @returns {web3.eth.Contract}
    * @constructor
    */
@@ -94,15 +97,14 @@ class BTContracts extends Contracts {
    *
    * @param originWeb3 Origin chain web3 object.
    * @param address BrandedToken contract address.
-   * @param options Tx options.
+   * @param options Tx options. Optional `version` selects the contract
+   *                version, see {@link BtAbiBinProvider#getArtifact}.
    * @returns {web3.eth.Contract} Contract instance.
    * @constructor
    */
   static getBrandedToken(originWeb3, address, options) {
     const originWeb3Object = Contracts._getWeb3(originWeb3);
-    const jsonInterface = abiBinProvider.getABI('BrandedToken');
-    const contract = new originWeb3Object.eth.Contract(jsonInterface, address, options);
-    return contract;
+    return BTContracts._getContract(originWeb3Object, 'BrandedToken', address, options);
   }
 
   /**
@@ -110,15 +112,14 @@ class BTContracts extends Contracts {
    *
    * @param originWeb3 Origin chain web3 object.
    * @param address GatewayComposer contract instance.
-   * @param options Tx options.
+   * @param options Tx options. Optional `version` selects the contract
+   *                version, see {@link BtAbiBinProvider#getArtifact}.
    * @returns {web3.eth.Contract} Contract instance.
    * @constructor
    */
   static getGatewayComposer(originWeb3, address, options) {
     const originWeb3Object = Contracts._getWeb3(originWeb3);
-    const jsonInterface = abiBinProvider.getABI('GatewayComposer');
-    const contract = new originWeb3Object.eth.Contract(jsonInterface, address, options);
-    return contract;
+    return BTContracts._getContract(originWeb3Object, 'GatewayComposer', address, options);
   }
 
   /**
@@ -126,15 +127,33 @@ class BTContracts extends Contracts {
    *
    * @param auxiliaryWeb3 Auxiliary chain web3 object.
    * @param address UtilityBrandedToken contract address.
-   * @param options Tx options.
+   * @param options Tx options. Optional `version` selects the contract
+   *                version, see {@link BtAbiBinProvider#getArtifact}.
    * @returns {web3.eth.Contract} Contract instance.
    * @constructor
    */
   static getUtilityBrandedToken(auxiliaryWeb3, address, options) {
     const auxiliaryWeb3Object = Contracts._getWeb3(auxiliaryWeb3);
-    const jsonInterface = abiBinProvider.getABI('UtilityBrandedToken');
-    const contract = new auxiliaryWeb3Object.eth.Contract(jsonInterface, address, options);
-    return contract;
+    return BTContracts._getContract(auxiliaryWeb3Object, 'UtilityBrandedToken', address, options);
+  }
+
+  /**
+   * Returns contract instance with the ABI of the version in options.
+   *
+   * @param web3 Web3 object.
+   * @param contractName Name of the contract.
+   * @param address Contract address.
+   * @param options Tx options with optional `version`.
+   * @returns {web3.eth.Contract} Contract instance.
+   * @private
+   */
+  static _getContract(web3, contractName, address, options) {
+    const contractOptions = Object.assign({}, options);
+    const { version } = contractOptions;
+    delete contractOptions.version;
+
+    const jsonInterface = abiBinProvider.getABI(contractName, { version });
+    return new web3.eth.Contract(jsonInterface, address, contractOptions);
   }
 
   /**
@@ -0,0 +1,271 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3 = require('web3');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Facilitator = require('../Facilitator');
+const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const StakeHelper = require('../helpers/stake/gateway_composer/StakeHelper');
+const Staker = require('../Staker');
+const UtilityBrandedToken = require('../ContractInteract/UtilityBrandedToken');
+
+/**
+ * Economy gives cached access to the contract interacts and helpers of one
+ * branded token economy, built from a single address manifest.
+ */
+class Economy {
+  /**
+   * Creates the economy of a staker from the address manifest written by
+   * {@link EconomySetup.deployFromManifest}. The GatewayComposer is the one
+   * of the given owner.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {Object} addresses Address manifest of the economy setup:
+   *                           {
+   *                             valueToken, brandedToken,
+   *                             utilityBrandedToken,
+   *                             gatewayComposers: { <owner>: <address> }
+   *                           }
+   * @param {string} [owner] Owner of the GatewayComposer to use. Without an
+   *                         owner, the economy has no GatewayComposer.
+   * @param {Object} [logger] Logger of the helpers, see {@link Logger}.
+   * @param {Object} [metrics] Instrumentation of the helpers, see
+   *                           {@link Metrics}.
+   *
+   * @returns {Economy} Economy instance.
+   */
+  static fromManifest(originWeb3, auxiliaryWeb3, addresses, owner, logger, metrics) {
+    if (!addresses) {
+      throw new TypeError("Mandatory Parameter 'addresses' is missing or invalid");
+    }
+
+    const economyAddresses = Object.assign({}, addresses);
+    if (owner !== undefined) {
+      const gatewayComposers = addresses.gatewayComposers || {};
+      const gatewayComposerOwner = Object.keys(gatewayComposers)
+        .find(address => Economy._isSameAddress(address, owner));
+      if (!gatewayComposerOwner) {
+        throw new Error(`Address manifest has no gatewayComposer of owner ${owner}.`);
+      }
+      economyAddresses.gatewayComposer = gatewayComposers[gatewayComposerOwner];
+    }
+
+    return new Economy(originWeb3, auxiliaryWeb3, economyAddresses, logger, metrics);
+  }
+
+  /**
+   * Economy constructor.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {Object} addresses Address manifest:
+   *                           {
+   *                             valueToken: value token address [Orig],
+   *                             brandedToken: BrandedToken address [Orig],
+   *                             utilityBrandedToken: UtilityBrandedToken
+   *                                                  address [Aux],
+   *                             gatewayComposer: GatewayComposer address
+   *                                              [Orig], optional
+   *                           }
+   *                           See {@link Economy.fromManifest} for the
+   *                           address manifest of the economy setup.
+   * @param {Object} [logger] Logger of the helpers, defaults to the global
+   *                          logger, see {@link Logger}.
+   * @param {Object} [metrics] Instrumentation of the helpers, defaults to the
+   *                           global one, see {@link Metrics}.
+   */
+  constructor(originWeb3, auxiliaryWeb3, addresses, logger, metrics) {
+    if (!(originWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'originWeb3' is missing or invalid");
+    }
+    if (!(auxiliaryWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'auxiliaryWeb3' is missing or invalid");
+    }
+    if (!addresses) {
+      throw new TypeError("Mandatory Parameter 'addresses' is missing or invalid");
+    }
+    ['valueToken', 'brandedToken', 'utilityBrandedToken'].forEach((name) => {
+      if (!Web3.utils.isAddress(addresses[name])) {
+        throw new TypeError(`Invalid ${name} address: ${addresses[name]}.`);
+      }
+    });
+    if (addresses.gatewayComposer !== undefined
+      && !Web3.utils.isAddress(addresses.gatewayComposer)) {
+      throw new TypeError(`Invalid gatewayComposer address: ${addresses.gatewayComposer}.`);
+    }
+
+    this.originWeb3 = originWeb3;
+    this.auxiliaryWeb3 = auxiliaryWeb3;
+    this.addresses = Object.assign({}, addresses);
+    this.logger = logger;
+    this.metrics = metrics;
+    this.instances = {};
+
+    this.validateLinks = this.validateLinks.bind(this);
+  }
+
+  /**
+   * @returns {BrandedToken} BrandedToken contract interact.
+   */
+  get brandedToken() {
+    return this._cached('brandedToken', () => new BrandedToken(
+      this.originWeb3,
+      this.addresses.brandedToken,
+    ));
+  }
+
+  /**
+   * @returns {UtilityBrandedToken} UtilityBrandedToken contract interact.
+   */
+  get utilityBrandedToken() {
+    return this._cached('utilityBrandedToken', () => new UtilityBrandedToken(
+      this.auxiliaryWeb3,
+      this.addresses.utilityBrandedToken,
+    ));
+  }
+
+  /**
+   * @returns {GatewayComposer} GatewayComposer contract interact.
+   */
+  get gatewayComposer() {
+    return this._cached('gatewayComposer', () => new GatewayComposer(
+      this.originWeb3,
+      this._gatewayComposerAddress(),
+    ));
+  }
+
+  /**
+   * @returns {Staker} Staker helper.
+   */
+  get staker() {
+    return this._cached('staker', () => new Staker(
+      this.originWeb3,
+      this.addresses.valueToken,
+      this.addresses.brandedToken,
+      this._gatewayComposerAddress(),
+      this.logger,
+      this.metrics,
+    ));
+  }
+
+  /**
+   * @returns {Facilitator} Facilitator helper.
+   */
+  get facilitator() {
+    return this._cached('facilitator', () => new Facilitator(
+      this.originWeb3,
+      this.addresses.valueToken,
+      this.addresses.brandedToken,
+      this._gatewayComposerAddress(),
+      this.logger,
+      this.metrics,
+    ));
+  }
+
+  /**
+   * @returns {StakeHelper} StakeHelper.
+   */
+  get stakeHelper() {
+    return this._cached('stakeHelper', () => new StakeHelper(
+      this.originWeb3,
+      this.addresses.brandedToken,
+      this._gatewayComposerAddress(),
+    ));
+  }
+
+  /**
+   * Checks that the contracts of the economy point at each other:
+   * - UtilityBrandedToken.brandedToken is BrandedToken
+   * - BrandedToken.valueToken is the value token
+   * - GatewayComposer.brandedToken is BrandedToken, if given
+   * - GatewayComposer.valueToken is BrandedToken.valueToken, if given
+   *
+   * @returns {Promise<boolean>} Promise that resolves to `true` if all links
+   *                             match, otherwise rejects with the list of
+   *                             mismatches.
+   */
+  async validateLinks() {
+    const { addresses } = this;
+
+    const checks = [
+      ['UtilityBrandedToken.brandedToken', this.utilityBrandedToken.contract, 'brandedToken', addresses.brandedToken],
+      ['BrandedToken.valueToken', this.brandedToken.contract, 'valueToken', addresses.valueToken],
+    ];
+    if (addresses.gatewayComposer) {
+      checks.push(
+        ['GatewayComposer.brandedToken', this.gatewayComposer.contract, 'brandedToken', addresses.brandedToken],
+        ['GatewayComposer.valueToken', this.gatewayComposer.contract, 'valueToken', addresses.valueToken],
+      );
+    }
+
+    const actualAddresses = await Promise.all(
+      checks.map(([, contract, method]) => contract.methods[method]().call()),
+    );
+
+    const mismatches = [];
+    checks.forEach(([name, , , expected], index) => {
+      if (!Economy._isSameAddress(actualAddresses[index], expected)) {
+        mismatches.push(`${name} is ${actualAddresses[index]}, expected ${expected}`);
+      }
+    });
+
+    if (mismatches.length > 0) {
+      const err = new Error(`Economy contracts are not linked: ${mismatches.join('; ')}.`);
+      return Promise.reject(err);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the cached instance or creates it.
+   *
+   * @private
+   */
+  _cached(name, create) {
+    if (!this.instances[name]) {
+      this.instances[name] = create();
+    }
+    return this.instances[name];
+  }
+
+  /**
+   * @private
+   */
+  _gatewayComposerAddress() {
+    if (!this.addresses.gatewayComposer) {
+      throw new Error('Address manifest has no gatewayComposer address.');
+    }
+    return this.addresses.gatewayComposer;
+  }
+
+  /**
+   * @private
+   */
+  static _isSameAddress(actual, expected) {
+    return typeof actual === 'string'
+      && actual.toLowerCase() === expected.toLowerCase();
+  }
+}
+
+module.exports = Economy;
@@ -20,10 +20,15 @@
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
 const Mosaic = require('@openstfoundation/mosaic.js');
 const BTHelper = require('./helpers/setup/BTHelper');
+const EconomyVerifier = require('./helpers/setup/EconomyVerifier');
 const UBTHelper = require('./helpers/setup/UBTHelper');
 const GCHelper = require('./helpers/setup/GCHelper');
+const SetupCheckpoint = require('./helpers/setup/SetupCheckpoint');
 
 /**
  * The class performs economy setup. Steps of economy setup are listed below:
@@ -75,6 +80,10 @@ const GCHelper = require('./helpers/setup/GCHelper');
    |                     G.  Deploy GatewayComposer (Optional)                     |
    |---------------------------------------|---------------------------------------|
  *
+ * {@link EconomySetup.deployFromManifest} runs the economy setup steps from a
+ * single manifest. Anchors, libs and gateways (C, D and E) are deployed during
+ * chain setup, so the manifest references them by address. With a checkpoint
+ * file, a failed setup can be re-run and resumes where it stopped.
  */
 class EconomySetup extends Mosaic.ChainSetup {
   /**
@@ -97,6 +106,289 @@ class EconomySetup extends Mosaic.ChainSetup {
   static get GatewayComposerHelper() {
     return GCHelper;
   }
+
+  /**
+   * @returns {SetupCheckpoint} Returns SetupCheckpoint class.
+   */
+  static get SetupCheckpoint() {
+    return SetupCheckpoint;
+  }
+
+  /**
+   * @returns {EconomyVerifier} Returns EconomyVerifier class.
+   */
+  static get EconomyVerifier() {
+    return EconomyVerifier;
+  }
+
+  /**
+   * Deploys and links a whole economy described by a manifest:
+   * - origin and auxiliary organizations, unless addresses are given
+   * - BrandedToken [Orig] and UtilityBrandedToken [Aux]
+   * - sets CoGateway in UBT and lifts restrictions of gateway and stake vault
+   *   in BT, if gateway addresses are given
+   * - GatewayComposer [Orig] per staker
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {Object|string} manifest Manifest object or path of a JSON or YAML
+   *                                 manifest file:
+   *        {
+   *          deployer: origin deployer address,
+   *          auxiliaryDeployer: auxiliary deployer address, defaults to
+   *                             deployer,
+   *          txOptions: transaction options for all transactions, optional.
+   *                     A signer or nonce manager is only supported when
+   *                     both organization addresses are given,
+   *          valueToken: value token address [Orig],
+   *          originOrganization: { address } or { owner, workers,
+   *                              workerExpirationHeight },
+   *          auxiliaryOrganization: { address } or { owner, workers,
+   *                                 workerExpirationHeight },
+   *          brandedToken: { symbol, name, decimals, conversionRate,
+   *                        conversionRateDecimals },
+   *          utilityBrandedToken: { symbol, name, decimals },
+   *          gateway: { gateway, coGateway, organizationWorker,
+   *                   auxiliaryOrganizationOwner }, optional,
+   *          gatewayComposers: [{ owner }], optional,
+   *          checkpoint: path of the checkpoint file, optional. Steps already
+   *                      done are skipped on re-run.
+   *        }
+   * @param {string} [outputPath] Path to write the address manifest to.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the address manifest:
+   *        {
+   *          valueToken, originOrganization, brandedToken,
+   *          auxiliaryOrganization, utilityBrandedToken, gateway, coGateway,
+   *          gatewayComposers: { <owner>: <gateway composer address> }
+   *        }
+   *        The address manifest is read by {@link Economy.fromManifest}.
+   */
+  static async deployFromManifest(originWeb3, auxiliaryWeb3, manifest, outputPath) {
+    const config = EconomySetup.loadManifest(manifest);
+    EconomySetup.validateManifest(config);
+
+    const txOptions = config.txOptions || {};
+    const checkpoint = config.checkpoint ? new SetupCheckpoint(config.checkpoint) : undefined;
+    const auxiliaryDeployer = config.auxiliaryDeployer || config.deployer;
+    const addresses = {
+      valueToken: config.valueToken,
+    };
+
+    // A. Origin organization and BrandedToken.
+    addresses.originOrganization = await EconomySetup._setupOrganization(
+      originWeb3,
+      config.originOrganization,
+      config.deployer,
+      txOptions,
+      checkpoint,
+      'originOrganization',
+    );
+
+    const btHelper = new BTHelper(originWeb3, undefined, checkpoint);
+    await btHelper.setup(
+      Object.assign({}, config.brandedToken, {
+        deployer: config.deployer,
+        valueToken: config.valueToken,
+        organization: addresses.originOrganization,
+      }),
+      txOptions,
+    );
+    addresses.brandedToken = btHelper.address;
+
+    // B. Auxiliary organization and UtilityBrandedToken.
+    addresses.auxiliaryOrganization = await EconomySetup._setupOrganization(
+      auxiliaryWeb3,
+      config.auxiliaryOrganization,
+      auxiliaryDeployer,
+      txOptions,
+      checkpoint,
+      'auxiliaryOrganization',
+    );
+
+    const ubtHelper = new UBTHelper(auxiliaryWeb3, undefined, checkpoint);
+    await ubtHelper.setup(
+      Object.assign({}, config.utilityBrandedToken, {
+        deployer: auxiliaryDeployer,
+        token: addresses.brandedToken,
+        organization: addresses.auxiliaryOrganization,
+      }),
+      txOptions,
+    );
+    addresses.utilityBrandedToken = ubtHelper.address;
+
+    // F. Set CoGateway in UBT and lift restrictions in BT.
+    if (config.gateway) {
+      addresses.gateway = config.gateway.gateway;
+      addresses.coGateway = config.gateway.coGateway;
+
+      await ubtHelper.setCoGateway(
+        config.gateway.coGateway,
+        Object.assign({}, txOptions, { from: config.gateway.auxiliaryOrganizationOwner }),
+      );
+      await btHelper.setGateway(
+        config.gateway.gateway,
+        config.gateway.organizationWorker,
+        txOptions,
+      );
+    }
+
+    // G. GatewayComposer per staker.
+    addresses.gatewayComposers = {};
+    const gatewayComposers = config.gatewayComposers || [];
+    await gatewayComposers.reduce(
+      (previous, gatewayComposer) => previous.then(() => {
+        const gcHelper = new GCHelper(originWeb3, undefined, checkpoint);
+        return gcHelper.setup(
+          {
+            deployer: config.deployer,
+            owner: gatewayComposer.owner,
+            valueToken: config.valueToken,
+            brandedToken: addresses.brandedToken,
+          },
+          txOptions,
+        ).then(() => {
+          addresses.gatewayComposers[gatewayComposer.owner] = gcHelper.address;
+        });
+      }),
+      Promise.resolve(),
+    );
+
+    if (outputPath) {
+      fs.writeFileSync(outputPath, JSON.stringify(addresses, null, 2));
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Verifies that a deployed economy is wired correctly. See
+   * {@link EconomyVerifier#verify} for the checks and the report format.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {Object} addresses Address manifest returned by deployFromManifest.
+   * @param {Object} [expected] Expected BrandedToken configuration:
+   *                            { conversionRate, conversionRateDecimals }
+   *
+   * @returns {Promise<Object>} Promise that resolves to the pass/fail report.
+   */
+  static verifyEconomy(originWeb3, auxiliaryWeb3, addresses, expected) {
+    return new EconomyVerifier(originWeb3, auxiliaryWeb3).verify(addresses, expected);
+  }
+
+  /**
+   * Reads a manifest from a JSON or YAML file. Objects are returned as is.
+   *
+   * @param {Object|string} manifest Manifest object or file path.
+   *
+   * @returns {Object} Manifest object.
+   */
+  static loadManifest(manifest) {
+    if (typeof manifest !== 'string') {
+      return manifest;
+    }
+
+    const content = fs.readFileSync(manifest, 'utf8');
+    const extension = path.extname(manifest).toLowerCase();
+    if (extension === '.yml' || extension === '.yaml') {
+      return yaml.safeLoad(content);
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Performs validation of a manifest.
+   *
+   * @param {Object} manifest Manifest object.
+   *
+   * @returns {boolean} True on successful validation.
+   */
+  static validateManifest(manifest) {
+    if (!manifest) {
+      throw new Error('Mandatory parameter "manifest" missing. ');
+    }
+
+    ['deployer', 'valueToken', 'originOrganization', 'auxiliaryOrganization',
+      'brandedToken', 'utilityBrandedToken'].forEach((key) => {
+      if (!manifest[key]) {
+        throw new Error(`Mandatory manifest entry "${key}" missing. Set manifest.${key}`);
+      }
+    });
+
+    if (manifest.gateway) {
+      ['gateway', 'coGateway', 'organizationWorker', 'auxiliaryOrganizationOwner'].forEach((key) => {
+        if (!manifest.gateway[key]) {
+          throw new Error(`Mandatory manifest entry "gateway.${key}" missing. Set manifest.gateway.${key}`);
+        }
+      });
+    }
+
+    // Mosaic deploys organizations with the node account of the deployer.
+    const txOptions = manifest.txOptions || {};
+    ['originOrganization', 'auxiliaryOrganization'].forEach((key) => {
+      if (!manifest[key].address && (txOptions.signer || txOptions.nonceManager)) {
+        throw new Error(`Manifest entry "${key}" must have an address when txOptions have a signer or nonceManager, as organizations are deployed with node accounts.`);
+      }
+    });
+
+    (manifest.gatewayComposers || []).forEach((gatewayComposer, index) => {
+      if (!gatewayComposer.owner) {
+        throw new Error(`Mandatory manifest entry "gatewayComposers[${index}].owner" missing.`);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Returns the given organization address or deploys a new organization.
+   * With a checkpoint, an organization deployed by an earlier run is reused
+   * if it has the configured owner.
+   *
+   * @private
+   */
+  static async _setupOrganization(
+    web3,
+    organizationConfig,
+    deployer,
+    txOptions,
+    checkpoint,
+    checkpointStep,
+  ) {
+    if (organizationConfig.address) {
+      return organizationConfig.address;
+    }
+
+    // Mosaic sends with the node account, so options of Utils.sendTransaction
+    // must not be passed on to the node. Signers are rejected by
+    // validateManifest.
+    const organizationTxOptions = Object.assign({}, txOptions, { from: deployer });
+    [
+      'gasPriceStrategy',
+      'confirmations',
+      'confirmationPollInterval',
+      'confirmationTimeout',
+    ].forEach((option) => {
+      delete organizationTxOptions[option];
+    });
+
+    const deploy = () => Mosaic.ContractInteract.Organization.setup(
+      web3,
+      Object.assign({ deployer }, organizationConfig),
+      organizationTxOptions,
+    ).then(organization => ({ contractAddress: organization.address }));
+
+    const verify = address => SetupCheckpoint.readsMatch(
+      new Mosaic.ContractInteract.Organization(web3, address).contract,
+      { owner: organizationConfig.owner },
+    );
+
+    const { contractAddress } = checkpoint
+      ? await checkpoint.deployOnce(checkpointStep, web3, deploy, verify)
+      : await deploy();
+    return contractAddress;
+  }
 }
 
 module.exports = EconomySetup;
@@ -0,0 +1,69 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+/**
+ * Error of a transaction reverted by the EVM. Subclasses tell the cause, so
+ * that callers can branch with instanceof.
+ */
+class RevertError extends Error {
+  /**
+   * RevertError constructor.
+   *
+   * @param {string|null} reason Decoded revert reason, null if the contract
+   *                             gave none.
+   * @param {string} [transactionHash] Hash of the reverted transaction,
+   *                                   undefined if it was not sent.
+   * @param {Object} [receipt] Receipt of the reverted transaction, if known.
+   */
+  constructor(reason, transactionHash, receipt) {
+    const transaction = transactionHash ? `Transaction ${transactionHash}` : 'Transaction';
+    super(reason ? `${transaction} reverted: ${reason}` : `${transaction} reverted.`);
+
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.transactionHash = transactionHash;
+    this.receipt = receipt;
+  }
+}
+
+/**
+ * The stake request does not exist, e.g. it was accepted, revoked or
+ * rejected meanwhile.
+ */
+class StakeRequestNotFoundError extends RevertError {}
+
+/**
+ * The spender is not allowed to transfer the amount of tokens.
+ */
+class InsufficientAllowanceError extends RevertError {}
+
+/**
+ * The sender or recipient is restricted for BrandedToken transfers.
+ */
+class RestrictedActorError extends RevertError {}
+
+module.exports = {
+  RevertError,
+  StakeRequestNotFoundError,
+  InsufficientAllowanceError,
+  RestrictedActorError,
+};
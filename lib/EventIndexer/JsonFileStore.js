@@ -0,0 +1,86 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const fs = require('fs');
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * Keeps indexed events in a JSON file, so that indexing resumes from the last
+ * processed block after a restart.
+ */
+class JsonFileStore extends MemoryStore {
+  /**
+   * JsonFileStore constructor.
+   *
+   * @param {string} filePath Path of the JSON file. It is created on first
+   *                          write if it does not exist.
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new TypeError(`Mandatory Parameter 'filePath' is missing or invalid: ${filePath}`);
+    }
+
+    let state;
+    if (fs.existsSync(filePath)) {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    super(state);
+
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {number} blockNumber Last block processed by the indexer.
+   *
+   * @returns {Promise} Promise that resolves once written to file.
+   */
+  setLastProcessedBlock(blockNumber) {
+    return super.setLastProcessedBlock(blockNumber).then(() => this._write());
+  }
+
+  /**
+   * Adds events to the store. Events already stored are ignored.
+   *
+   * @param {Array<Object>} events Indexed events.
+   * @param {number} [blockNumber] Last block processed by the indexer, written
+   *                               with the events if given.
+   *
+   * @returns {Promise} Promise that resolves once written to file.
+   */
+  addEvents(events, blockNumber) {
+    return super.addEvents(events, blockNumber).then(() => this._write());
+  }
+
+  /**
+   * Writes the state to a temporary file and renames it, so that the file is
+   * never left half written.
+   *
+   * @private
+   */
+  _write() {
+    const tmpFilePath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpFilePath, JSON.stringify(this.toJSON()));
+    fs.renameSync(tmpFilePath, this.filePath);
+  }
+}
+
+module.exports = JsonFileStore;
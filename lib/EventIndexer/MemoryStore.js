@@ -0,0 +1,127 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+/**
+ * Keeps indexed events in memory. Any store passed to EventIndexer must
+ * implement the same asynchronous methods.
+ */
+class MemoryStore {
+  /**
+   * MemoryStore constructor.
+   *
+   * @param {Object} [state] Previously persisted state:
+   *                         {
+   *                           lastProcessedBlock: block number,
+   *                           events: list of stored events
+   *                         }
+   */
+  constructor(state) {
+    const initialState = state || {};
+
+    this.lastProcessedBlock = initialState.lastProcessedBlock !== undefined
+      ? initialState.lastProcessedBlock
+      : null;
+    this.events = [];
+    this.eventKeys = new Set();
+
+    (initialState.events || []).forEach(event => this._add(event));
+  }
+
+  /**
+   * @returns {Promise<number|null>} Promise that resolves to the last block
+   *                                 processed by the indexer, `null` if no
+   *                                 block has been processed yet.
+   */
+  getLastProcessedBlock() {
+    return Promise.resolve(this.lastProcessedBlock);
+  }
+
+  /**
+   * @param {number} blockNumber Last block processed by the indexer.
+   *
+   * @returns {Promise} Promise that resolves once stored.
+   */
+  setLastProcessedBlock(blockNumber) {
+    this.lastProcessedBlock = blockNumber;
+    return Promise.resolve();
+  }
+
+  /**
+   * Adds events to the store. Events already stored are ignored.
+   *
+   * @param {Array<Object>} events Indexed events.
+   * @param {number} [blockNumber] Last block processed by the indexer, stored
+   *                               with the events if given.
+   *
+   * @returns {Promise} Promise that resolves once stored.
+   */
+  addEvents(events, blockNumber) {
+    events.forEach(event => this._add(event));
+    if (blockNumber !== undefined) {
+      this.lastProcessedBlock = blockNumber;
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Returns stored events in the order they were emitted on chain.
+   *
+   * @param {string} [eventName] Name of the event to filter on. All events are
+   *                             returned if not given.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to stored events.
+   */
+  getEvents(eventName) {
+    const events = eventName
+      ? this.events.filter(event => event.event === eventName)
+      : this.events.slice();
+    return Promise.resolve(events);
+  }
+
+  /**
+   * @returns {Object} Serializable state of the store.
+   */
+  toJSON() {
+    return {
+      lastProcessedBlock: this.lastProcessedBlock,
+      events: this.events,
+    };
+  }
+
+  /**
+   * Adds a single event unless already stored.
+   *
+   * @param {Object} event Indexed event.
+   *
+   * @private
+   */
+  _add(event) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (this.eventKeys.has(key)) {
+      return;
+    }
+    this.eventKeys.add(key);
+    this.events.push(event);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,278 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3 = require('web3');
+const Contracts = require('../Contracts');
+const MemoryStore = require('./MemoryStore');
+const JsonFileStore = require('./JsonFileStore');
+
+const INDEXED_EVENTS = [
+  'StakeRequested',
+  'StakeRequestAccepted',
+  'StakeRequestRevoked',
+  'StakeRequestRejected',
+  'Redeemed',
+  'Transfer',
+];
+const DEFAULT_BATCH_SIZE = 1000;
+const DEFAULT_POLL_INTERVAL = 15000;
+// Indexed events are not removed on a reorg, so only blocks this deep are read.
+const DEFAULT_CONFIRMATIONS = 12;
+
+/**
+ * EventIndexer walks BrandedToken logs from a start block and keeps the
+ * decoded events in a store. Indexing resumes from the last processed block
+ * recorded in the store.
+ */
+class EventIndexer {
+  /**
+   * EventIndexer constructor.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {string} brandedToken BrandedToken contract address.
+   * @param {Object} [store] Store for indexed events. Defaults to MemoryStore.
+   * @param {Object} [options] Indexer options:
+   *                           {
+   *                             fromBlock: block to start indexing from when
+   *                                        the store is empty, defaults to 0,
+   *                             batchSize: number of blocks read per request,
+   *                             confirmations: number of blocks behind the
+   *                                            latest block to index up to,
+   *                                            defaults to 12
+   *                           }
+   */
+  constructor(originWeb3, brandedToken, store, options) {
+    if (!(originWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'originWeb3' is missing or invalid");
+    }
+    if (!Web3.utils.isAddress(brandedToken)) {
+      throw new TypeError(
+        `Mandatory Parameter 'brandedToken' is missing or invalid: ${brandedToken}`,
+      );
+    }
+
+    const indexerOptions = Object.assign(
+      {
+        fromBlock: 0,
+        batchSize: DEFAULT_BATCH_SIZE,
+        confirmations: DEFAULT_CONFIRMATIONS,
+      },
+      options,
+    );
+
+    this.originWeb3 = originWeb3;
+    this.brandedToken = brandedToken;
+    this.store = store || new MemoryStore();
+    this.fromBlock = indexerOptions.fromBlock;
+    this.batchSize = indexerOptions.batchSize;
+    this.confirmations = indexerOptions.confirmations;
+    this.pollTimer = null;
+
+    this.contract = Contracts.getBrandedToken(originWeb3, brandedToken);
+
+    this.sync = this.sync.bind(this);
+    this.getEvents = this.getEvents.bind(this);
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+  }
+
+  /**
+   * Indexes events from the block after the last processed block up to the
+   * given block.
+   *
+   * @param {number} [toBlock] Last block to index. Defaults to the latest block
+   *                           less the configured confirmations.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to events indexed
+   *                                   in this call.
+   */
+  async sync(toBlock) {
+    let lastBlock = toBlock;
+    if (lastBlock === undefined) {
+      const latestBlock = await this.originWeb3.eth.getBlockNumber();
+      lastBlock = latestBlock - this.confirmations;
+    }
+
+    const lastProcessedBlock = await this.store.getLastProcessedBlock();
+    const fromBlock = lastProcessedBlock === null
+      ? this.fromBlock
+      : lastProcessedBlock + 1;
+
+    return this._syncBatches(fromBlock, lastBlock, []);
+  }
+
+  /**
+   * Returns indexed events from the store.
+   *
+   * @param {string} [eventName] Name of the event to filter on.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to indexed events.
+   */
+  getEvents(eventName) {
+    if (eventName && !INDEXED_EVENTS.includes(eventName)) {
+      const err = new TypeError(`Event ${eventName} is not indexed.`);
+      return Promise.reject(err);
+    }
+    return this.store.getEvents(eventName);
+  }
+
+  /**
+   * Starts polling for new events.
+   *
+   * @param {Function} onEvents Called with the list of newly indexed events
+   *                            after every sync that found events.
+   * @param {Function} [onError] Called with the error if a sync fails.
+   *                             Polling continues after an error.
+   * @param {number} [pollInterval] Time between syncs in milliseconds.
+   */
+  start(onEvents, onError, pollInterval) {
+    if (this.pollTimer) {
+      throw new Error('Indexer is already started.');
+    }
+
+    const interval = pollInterval || DEFAULT_POLL_INTERVAL;
+    const timer = {};
+    const poll = () => this.sync()
+      .then((events) => {
+        if (events.length > 0 && onEvents) {
+          return onEvents(events);
+        }
+        return undefined;
+      })
+      .catch((error) => {
+        if (onError) {
+          onError(error);
+        }
+      })
+      .then(() => {
+        // A stop, or a stop followed by a new start, ends this polling loop.
+        if (this.pollTimer === timer) {
+          timer.handle = setTimeout(poll, interval);
+        }
+      });
+
+    timer.handle = setTimeout(poll, 0);
+    this.pollTimer = timer;
+  }
+
+  /**
+   * Stops polling for new events.
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer.handle);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Indexes the blocks from fromBlock to lastBlock in batches, storing the
+   * events and the last processed block of every batch together.
+   *
+   * @private
+   */
+  _syncBatches(fromBlock, lastBlock, indexedEvents) {
+    if (fromBlock > lastBlock) {
+      return Promise.resolve(indexedEvents);
+    }
+
+    const batchToBlock = Math.min(fromBlock + this.batchSize - 1, lastBlock);
+    return this._getEvents(fromBlock, batchToBlock)
+      .then(events => Promise.resolve(this.store.addEvents(events, batchToBlock))
+        .then(() => this._syncBatches(
+          batchToBlock + 1,
+          lastBlock,
+          indexedEvents.concat(events),
+        )));
+  }
+
+  /**
+   * Reads and decodes indexed events within the given block range.
+   *
+   * @param {number} fromBlock First block of the range.
+   * @param {number} toBlock Last block of the range.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to decoded events
+   *                                   in the order they were emitted.
+   * @private
+   */
+  async _getEvents(fromBlock, toBlock) {
+    const events = await this.contract.getPastEvents('allEvents', {
+      fromBlock,
+      toBlock,
+    });
+
+    return events
+      .filter(event => INDEXED_EVENTS.includes(event.event))
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex))
+      .map(event => EventIndexer._decode(event));
+  }
+
+  /**
+   * Converts a web3 event to a serializable object with named return values
+   * only.
+   *
+   * @param {Object} event Web3 event object.
+   *
+   * @returns {Object} Decoded event.
+   * @private
+   */
+  static _decode(event) {
+    const returnValues = {};
+    Object.keys(event.returnValues)
+      .filter(key => Number.isNaN(Number(key)))
+      .forEach((key) => {
+        returnValues[key] = event.returnValues[key];
+      });
+
+    return {
+      event: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      returnValues,
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Names of the indexed BrandedToken events.
+   */
+  static get INDEXED_EVENTS() {
+    return INDEXED_EVENTS.slice();
+  }
+
+  /**
+   * @returns {MemoryStore} In-memory store class.
+   */
+  static get MemoryStore() {
+    return MemoryStore;
+  }
+
+  /**
+   * @returns {JsonFileStore} JSON file store class.
+   */
+  static get JsonFileStore() {
+    return JsonFileStore;
+  }
+}
+
+module.exports = EventIndexer;
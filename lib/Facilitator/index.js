@@ -1,7 +1,15 @@
 'use strict';
 
-const Mosaic = require('@openstfoundation/mosaic.js');
+const Web3 = require('web3');
+const EIP20Token = require('../ContractInteract/EIP20Token');
 const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const Logger = require('../../utils/Logger');
+const Metrics = require('../../utils/Metrics');
+const StakeRequestTracker = require('../StakeRequestTracker');
+const Utils = require('../../utils/Utils');
+
+const { BN } = Web3.utils;
+
 /**
  * Facilitator performs below tasks:
  * - approves bounty amount to GatewayComposer
@@ -15,22 +23,38 @@ class Facilitator {
    * @param {string} valueToken Value token contract address.
    * @param {string} brandedToken Branded Token contract address.
    * @param {string} gatewayComposer Gateway composer contract address.
+   * @param {Object} [logger] Logger, defaults to the global logger, see
+   *                          {@link Logger}.
+   * @param {Object} [metrics] Instrumentation, defaults to the global one,
+   *                           see {@link Metrics}.
    */
-  constructor(originWeb3, valueToken, brandedToken, gatewayComposer) {
+  constructor(originWeb3, valueToken, brandedToken, gatewayComposer, logger, metrics) {
+    if (logger) {
+      Logger.validate(logger);
+    }
+    if (metrics) {
+      Metrics.validate(metrics);
+    }
+
     this.originWeb3 = originWeb3;
+    this.logger = logger;
+    this.metrics = metrics;
     this.gatewayComposerAddress = gatewayComposer;
     this.brandedToken = brandedToken;
 
     this.gatewayComposer = new GatewayComposer(originWeb3, gatewayComposer);
-    this.valueToken = new Mosaic.ContractInteract.EIP20Token(originWeb3, valueToken);
+    this.valueToken = new EIP20Token(originWeb3, valueToken);
   }
 
   /**
    * Facilitator performs below tasks:
-   * - approves bounty amount to GatewayComposer
+   * - approves bounty amount to GatewayComposer, unless the allowance of the
+   *   facilitator covers it already; the receipts then have no
+   *   approveForBountyReceipt
    * - calls GatewayComposer.acceptStakeRequest
    *
-   * Note: Add KYC worker account/private key in web3 wallet before calling acceptStakeRequest.
+   * Note: The facilitator account must be unlocked on the node, added to web3
+   * wallet or given as `signer` in txOptions, see Utils.sendTransaction.
    *
    * @param {string} stakeRequestHash Stake request hash unique for each stake.
    * @param {Object} signature Signature object format:
@@ -44,7 +68,13 @@ class Facilitator {
    * @param {string} bountyInWei Bounty amount in wei's that needs to be
    *                             approved.
    * @param {string} hashLock HashLock of facilitator.
-   * @param {Object} txOptions - Tx options.
+   * @param {Object} txOptions - Tx options. With `dryRun`, nothing is sent
+   *                             and it resolves to the problems of both
+   *                             steps, see {@link Utils.mergeApprovalDryRun}.
+   *
+   * The duration and outcome of the approve and acceptStakeRequest flow are
+   * reported to the metrics as the `acceptStakeRequest` flow, and the
+   * transactions are logged and reported to the same logger and metrics.
    */
   async acceptStakeRequest(
     stakeRequestHash,
@@ -53,22 +83,66 @@ class Facilitator {
     hashLock,
     txOptions,
   ) {
-    const approveForBountyReceipt = await this.valueToken.approve(
-      this.gatewayComposerAddress,
-      bountyInWei,
-      txOptions,
+    if (txOptions && txOptions.dryRun) {
+      const [approveProblems, acceptStakeRequestProblems] = await Promise.all([
+        this.valueToken.approve(this.gatewayComposerAddress, bountyInWei, txOptions),
+        this.gatewayComposer.acceptStakeRequest(
+          stakeRequestHash,
+          signature.r,
+          signature.s,
+          signature.v,
+          hashLock,
+          txOptions,
+        ),
+      ]);
+      return Utils.mergeApprovalDryRun(
+        approveProblems,
+        'acceptStakeRequest',
+        acceptStakeRequestProblems,
+        'bountyAllowance',
+      );
+    }
+
+    return Metrics.measureFlow(
+      Metrics.resolve(this.metrics),
+      'acceptStakeRequest',
+      this._acceptStakeRequest(stakeRequestHash, signature, bountyInWei, hashLock, txOptions),
     );
+  }
 
-    let receipts = {
-      approveForBountyReceipt,
-    };
-    console.log('approveForBounty status:', approveForBountyReceipt.status);
+  /**
+   * Sends the approve and acceptStakeRequest transactions. The approve is
+   * skipped if the facilitator allowance covers the bounty already, e.g.
+   * when a failed accept is retried.
+   *
+   * @private
+   */
+  async _acceptStakeRequest(
+    stakeRequestHash,
+    signature,
+    bountyInWei,
+    hashLock,
+    txOptions,
+  ) {
+    const logger = Logger.resolve(this.logger);
+    const sendOptions = Utils.instrumentTxOptions(txOptions, {
+      logger: this.logger,
+      metrics: this.metrics,
+    });
+    let receipts = {};
 
-    if (!approveForBountyReceipt.status) {
-      const err = new Error(
-        `Approval for bounty is failed with transactionHash: ${approveForBountyReceipt.transactionHash}`,
-      );
-      return Promise.reject(err);
+    const allowance = Web3.utils.isAddress(txOptions && txOptions.from)
+      ? await this.valueToken.allowance(txOptions.from, this.gatewayComposerAddress)
+      : '0';
+    if (new BN(allowance).lt(new BN(bountyInWei))) {
+      receipts = {
+        approveForBountyReceipt: await this._approveForBounty(
+          stakeRequestHash,
+          bountyInWei,
+          sendOptions,
+          logger,
+        ),
+      };
     }
 
     const acceptStakeRequestReceipt = await this.gatewayComposer.acceptStakeRequest(
@@ -77,17 +151,13 @@ class Facilitator {
       signature.s,
       signature.v,
       hashLock,
-      txOptions,
-    );
-
-    console.log('acceptStakeRequest status:', acceptStakeRequestReceipt.status);
+      sendOptions,
+    ).catch(Facilitator._logFailure(logger, 'acceptStakeRequest', stakeRequestHash));
 
-    if (!acceptStakeRequestReceipt.status) {
-      const err = new Error(
-        `Accept stake request failed with transactionHash: ${acceptStakeRequestReceipt.transactionHash}`,
-      );
-      return Promise.reject(err);
-    }
+    logger.info('acceptStakeRequest', Object.assign(
+      Logger.receiptFields(acceptStakeRequestReceipt),
+      { stakeRequestHash },
+    ));
 
     receipts = {
       acceptStakeRequestReceipt,
@@ -95,6 +165,61 @@ class Facilitator {
     };
     return receipts;
   }
+
+  /**
+   * Approves the bounty to GatewayComposer.
+   *
+   * @private
+   */
+  async _approveForBounty(stakeRequestHash, bountyInWei, txOptions, logger) {
+    const approveForBountyReceipt = await this.valueToken.approve(
+      this.gatewayComposerAddress,
+      bountyInWei,
+      txOptions,
+    ).catch(Facilitator._logFailure(logger, 'approveForBounty', stakeRequestHash));
+
+    logger.info('approveForBounty', Object.assign(
+      Logger.receiptFields(approveForBountyReceipt),
+      { stakeRequestHash },
+    ));
+    return approveForBountyReceipt;
+  }
+
+  /**
+   * Returns a rejection handler that logs the failed step and passes the
+   * error on.
+   *
+   * @private
+   */
+  static _logFailure(logger, step, stakeRequestHash) {
+    return (err) => {
+      logger.error(step, {
+        transactionHash: err.transactionHash,
+        stakeRequestHash,
+        error: err.message,
+      });
+      return Promise.reject(err);
+    };
+  }
+
+  /**
+   * Returns the lifecycle tracker of a stake request built from chain reads
+   * and past events.
+   *
+   * @param {string} stakeRequestHash Stake request hash unique for each stake.
+   * @param {Object} [options] Gateway lookups, see
+   *                           {@link StakeRequestTracker.fromChain}.
+   *
+   * @returns {Promise<StakeRequestTracker>} Promise that resolves to tracker.
+   */
+  trackStakeRequest(stakeRequestHash, options) {
+    return StakeRequestTracker.fromChain(
+      this.originWeb3,
+      this.brandedToken,
+      stakeRequestHash,
+      options,
+    );
+  }
 }
 
 module.exports = Facilitator;
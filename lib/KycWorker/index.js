@@ -0,0 +1,359 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openstfoundation/mosaic.js');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Contracts = require('../Contracts');
+const EventIndexer = require('../EventIndexer');
+const Facilitator = require('../Facilitator');
+const Logger = require('../../utils/Logger');
+const StakeHelper = require('../helpers/stake/gateway_composer/StakeHelper');
+const Utils = require('../../utils/Utils');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_INTERVAL = 5000;
+
+/**
+ * KycWorker performs below tasks for every new stake request on
+ * BrandedToken:
+ * - asks the policy whether the stake request should be accepted
+ * - signs the StakeRequest typed data with the worker account and calls
+ *   Facilitator.acceptStakeRequest, or
+ * - calls BrandedToken.rejectStakeRequest
+ *
+ * Stake requests are expected to be made through GatewayComposer. A stake
+ * request hash is not processed again while it is being processed.
+ */
+class KycWorker {
+  /**
+   * KycWorker constructor object.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {string} brandedToken Branded Token contract address.
+   * @param {string} valueToken Value token contract address.
+   * @param {Object} workerAccount Web3 account of an organization worker,
+   *                               used to sign stake requests.
+   * @param {Function} policy Async callback called with the stake request
+   *                          {stakeRequestHash, staker, stake, nonce}. It
+   *                          resolves to `true` to accept and `false` to
+   *                          reject the stake request.
+   * @param {Object} options Worker options:
+   *                         {
+   *                           getHashLock: async callback called with the
+   *                                        stake request hash, resolves to
+   *                                        the facilitator hash lock,
+   *                           txOptions: transaction options of the
+   *                                      facilitator for accept,
+   *                           rejectTxOptions: transaction options for
+   *                                            reject, defaults to the gas
+   *                                            and gasPrice of txOptions,
+   *                                            signed by the worker account,
+   *                           store: EventIndexer store,
+   *                           fromBlock: block to watch from,
+   *                           pollInterval: time between polls in ms,
+   *                           maxRetries: retries of a failed stake request,
+   *                                       one per poll interval,
+   *                           logger: logger of the decisions and
+   *                                   transactions, see {@link Logger}
+   *                         }
+   */
+  constructor(originWeb3, brandedToken, valueToken, workerAccount, policy, options) {
+    if (!(originWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'originWeb3' is missing or invalid");
+    }
+    if (!workerAccount || !Web3.utils.isAddress(workerAccount.address)) {
+      throw new TypeError("Mandatory Parameter 'workerAccount' is missing or invalid");
+    }
+    if (typeof policy !== 'function') {
+      throw new TypeError("Mandatory Parameter 'policy' is missing or invalid");
+    }
+    if (!options || typeof options.getHashLock !== 'function') {
+      throw new TypeError("Mandatory option 'getHashLock' is missing or invalid");
+    }
+    if (!options.txOptions || !Web3.utils.isAddress(options.txOptions.from)) {
+      throw new TypeError("Mandatory option 'txOptions' is missing or invalid");
+    }
+    if (options.logger) {
+      Logger.validate(options.logger);
+    }
+
+    this.originWeb3 = originWeb3;
+    this.brandedTokenAddress = brandedToken;
+    this.valueToken = valueToken;
+    this.workerAccount = workerAccount;
+    this.policy = policy;
+    this.getHashLock = options.getHashLock;
+    this.txOptions = options.txOptions;
+    this.rejectTxOptions = options.rejectTxOptions
+      || KycWorker._rejectTxOptions(workerAccount, options.txOptions);
+    this.pollInterval = options.pollInterval;
+    this.maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : DEFAULT_MAX_RETRIES;
+    this.logger = options.logger;
+
+    this.brandedToken = new BrandedToken(originWeb3, brandedToken);
+    this.indexer = new EventIndexer(originWeb3, brandedToken, options.store, {
+      fromBlock: options.fromBlock,
+    });
+    this.processing = new Map();
+    this.failed = new Map();
+    this.retryTimer = null;
+    this.onError = null;
+
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.handleEvents = this.handleEvents.bind(this);
+    this.processStakeRequest = this.processStakeRequest.bind(this);
+  }
+
+  /**
+   * Transaction options of the worker account for reject. Only the gas
+   * fields are taken from the facilitator transaction options, the signer
+   * and nonce manager belong to the facilitator.
+   *
+   * @param {Object} workerAccount Web3 account of an organization worker.
+   * @param {Object} txOptions Transaction options of the facilitator.
+   *
+   * @returns {Object} Transaction options for reject.
+   *
+   * @private
+   */
+  static _rejectTxOptions(workerAccount, txOptions) {
+    const rejectTxOptions = { from: workerAccount.address, signer: workerAccount };
+    ['gas', 'gasPrice'].forEach((field) => {
+      if (txOptions[field] !== undefined) {
+        rejectTxOptions[field] = txOptions[field];
+      }
+    });
+    return rejectTxOptions;
+  }
+
+  /**
+   * Starts watching BrandedToken for StakeRequested events. Stake requests
+   * that failed are retried every poll interval.
+   *
+   * @param {Function} [onError] Called with the error if processing fails.
+   */
+  start(onError) {
+    this.onError = onError || null;
+    this.indexer.start(this.handleEvents, onError, this.pollInterval);
+
+    const interval = this.pollInterval || DEFAULT_RETRY_INTERVAL;
+    const timer = {};
+    const retry = () => {
+      const retried = this.failed.size > 0 ? this.handleEvents([]) : Promise.resolve();
+      retried.then(() => {
+        if (this.retryTimer === timer) {
+          timer.handle = setTimeout(retry, interval);
+        }
+      });
+    };
+    timer.handle = setTimeout(retry, interval);
+    this.retryTimer = timer;
+  }
+
+  /**
+   * Stops watching BrandedToken.
+   */
+  stop() {
+    this.indexer.stop();
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer.handle);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Processes the stake requests of StakeRequested events and the ones that
+   * failed before, one after another. A failed stake request is reported to
+   * the onError callback of {@link KycWorker#start} and kept for a retry, as
+   * the indexer does not return its event again. It is dropped after
+   * maxRetries failed retries.
+   *
+   * @param {Array<Object>} events Indexed BrandedToken events.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to results of
+   *                                   processed stake requests, with decision
+   *                                   'failed' and the error for failures.
+   */
+  handleEvents(events) {
+    const stakeRequestHashes = events
+      .filter(event => event.event === 'StakeRequested')
+      .map(event => event.returnValues._stakeRequestHash);
+    const hashes = Array.from(new Set([...this.failed.keys(), ...stakeRequestHashes]));
+
+    return hashes.reduce(
+      (previous, stakeRequestHash) => previous.then(results => this
+        .processStakeRequest(stakeRequestHash)
+        .then((result) => {
+          this.failed.delete(stakeRequestHash);
+          Logger.resolve(this.logger).info('processStakeRequest', {
+            stakeRequestHash,
+            decision: result.decision,
+          });
+          return result;
+        }, (error) => {
+          const failures = this.failed.has(stakeRequestHash)
+            ? this.failed.get(stakeRequestHash).failures + 1
+            : 1;
+          if (failures > this.maxRetries) {
+            this.failed.delete(stakeRequestHash);
+          } else {
+            this.failed.set(stakeRequestHash, { error, failures });
+          }
+          Logger.resolve(this.logger).error('processStakeRequest', {
+            stakeRequestHash,
+            failures,
+            error: error.message,
+          });
+          if (this.onError) {
+            this.onError(error);
+          }
+          return { stakeRequestHash, decision: 'failed', error };
+        })
+        .then(result => results.concat([result]))),
+      Promise.resolve([]),
+    );
+  }
+
+  /**
+   * Decides on a stake request and accepts or rejects it. A stake request hash
+   * that is being processed is not processed again, a settled one is read
+   * again and ends 'closed' if it is no longer pending.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   *
+   * @returns {Promise<Object>} Promise that resolves to result:
+   *                            {
+   *                              stakeRequestHash: stake request hash,
+   *                              decision: 'accepted', 'rejected' or 'closed'
+   *                                        if no longer pending,
+   *                              receipts: transaction receipts
+   *                            }
+   */
+  processStakeRequest(stakeRequestHash) {
+    if (!this.processing.has(stakeRequestHash)) {
+      const processing = this._process(stakeRequestHash).then((result) => {
+        this.processing.delete(stakeRequestHash);
+        return result;
+      }, (error) => {
+        this.processing.delete(stakeRequestHash);
+        return Promise.reject(error);
+      });
+      this.processing.set(stakeRequestHash, processing);
+    }
+
+    return this.processing.get(stakeRequestHash);
+  }
+
+  /**
+   * Reads the stake request, asks the policy and executes the decision. A
+   * failed attempt may still have been mined, so a retry reads the stake
+   * request again.
+   *
+   * @private
+   */
+  async _process(stakeRequestHash) {
+    const stakeRequest = await this.brandedToken.getStakeRequest(stakeRequestHash);
+    if (stakeRequest.staker === ZERO_ADDRESS) {
+      return { stakeRequestHash, decision: 'closed' };
+    }
+
+    const accept = await this.policy(Object.assign({ stakeRequestHash }, stakeRequest));
+    const receipts = accept
+      ? await this._accept(stakeRequestHash, stakeRequest)
+      : await this._reject(stakeRequestHash);
+
+    return {
+      stakeRequestHash,
+      decision: accept ? 'accepted' : 'rejected',
+      receipts,
+    };
+  }
+
+  /**
+   * Signs the stake request and accepts it through the GatewayComposer of the
+   * staker.
+   *
+   * @private
+   */
+  async _accept(stakeRequestHash, stakeRequest) {
+    const gatewayComposer = stakeRequest.staker;
+
+    const stakeHelper = new StakeHelper(
+      this.originWeb3,
+      this.brandedTokenAddress,
+      gatewayComposer,
+    );
+    const typedData = stakeHelper.getStakeRequestTypedData(
+      stakeRequest.stake,
+      stakeRequest.nonce,
+    );
+    const signature = StakeHelper.signStakeRequest(typedData, this.workerAccount);
+
+    const gcStakeRequest = await Contracts.getGatewayComposer(this.originWeb3, gatewayComposer)
+      .methods
+      .stakeRequests(stakeRequestHash)
+      .call();
+    const gateway = new Mosaic.ContractInteract.EIP20Gateway(
+      this.originWeb3,
+      gcStakeRequest.gateway,
+    );
+    const bounty = await gateway.getBounty();
+    const hashLock = await this.getHashLock(stakeRequestHash);
+
+    const facilitator = new Facilitator(
+      this.originWeb3,
+      this.valueToken,
+      this.brandedTokenAddress,
+      gatewayComposer,
+      this.logger,
+    );
+    return facilitator.acceptStakeRequest(
+      stakeRequestHash,
+      signature,
+      bounty,
+      hashLock,
+      this.txOptions,
+    );
+  }
+
+  /**
+   * Rejects the stake request from the worker account.
+   *
+   * @private
+   */
+  async _reject(stakeRequestHash) {
+    const rejectStakeRequestReceipt = await this.brandedToken.rejectStakeRequest(
+      stakeRequestHash,
+      Utils.instrumentTxOptions(this.rejectTxOptions, { logger: this.logger }),
+    );
+    return { rejectStakeRequestReceipt };
+  }
+}
+
+module.exports = KycWorker;
@@ -0,0 +1,534 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const EventEmitter = require('events');
+const Web3 = require('web3');
+const Mosaic = require('@openstfoundation/mosaic.js');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Contracts = require('../Contracts');
+const Facilitator = require('../Facilitator');
+const Logger = require('../../utils/Logger');
+const Metrics = require('../../utils/Metrics');
+const StakeHelper = require('../helpers/stake/gateway_composer/StakeHelper');
+const Staker = require('../Staker');
+
+const DEFAULT_POLL_INTERVAL = 5000;
+const DEFAULT_ANCHOR_TIMEOUT = 600000;
+
+/**
+ * Converts a non-negative integer to a decimal string, as Mosaic only takes
+ * strings for the reward of the facilitator.
+ *
+ * @param {string|number|BN} value Decimal or hex string, number or BN.
+ *
+ * @returns {string|null} Decimal string, `null` if the value is invalid.
+ */
+const toUintString = (value) => {
+  if (Web3.utils.isBN(value)) {
+    return value.isNeg() ? null : value.toString(10);
+  }
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) && value >= 0 ? String(value) : null;
+  }
+  if (typeof value === 'string' && /^([0-9]+|0x[0-9a-fA-F]+)$/.test(value)) {
+    return Web3.utils.toBN(value).toString(10);
+  }
+  return null;
+};
+
+const Phases = {
+  REQUEST_STAKE: 'requestStake',
+  ACCEPT_STAKE_REQUEST: 'acceptStakeRequest',
+  ANCHOR: 'anchor',
+  CONFIRM_STAKE_INTENT: 'confirmStakeIntent',
+  PROGRESS_STAKE: 'progressStake',
+  PROGRESS_MINT: 'progressMint',
+};
+
+/**
+ * StakeOrchestrator takes value tokens of a staker to utility branded tokens
+ * in the wallet of the beneficiary on the auxiliary chain:
+ * - requests the stake through GatewayComposer, see {@link Staker}
+ * - signs the stake request with the worker and accepts it, which stakes
+ *   the branded tokens in the gateway, see {@link Facilitator}
+ * - waits until the auxiliary anchor has the state root of the stake, or
+ *   anchors it, e.g. on dev chains without an anchoring service
+ * - confirms the stake intent, and progresses stake and mint with the
+ *   Mosaic facilitator
+ *
+ * It emits `progress` events with {phase, status, ...details}, where status
+ * is `started`, `completed` or `failed`. Details carry the stake request
+ * hash, the message hash and the unlock secret once known, so that a failed
+ * flow can be finished with the Mosaic facilitator.
+ */
+class StakeOrchestrator extends EventEmitter {
+  /**
+   * StakeOrchestrator constructor.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {Object} addresses Addresses:
+   *                           {
+   *                             valueToken: value token address [Orig],
+   *                             brandedToken: BrandedToken address [Orig],
+   *                             gatewayComposer: GatewayComposer address
+   *                                              [Orig],
+   *                             gateway: EIP20Gateway address [Orig],
+   *                             coGateway: EIP20CoGateway address [Aux]
+   *                           }
+   * @param {Object} options Options:
+   *                         {
+   *                           worker: private key or web3 account of the
+   *                                   KYC worker,
+   *                           stakerTxOptions: tx options of the staker,
+   *                                            i.e. the GatewayComposer
+   *                                            owner [Orig],
+   *                           facilitatorTxOptions: tx options of the
+   *                                                 facilitator [Orig],
+   *                           auxiliaryTxOptions: tx options of the
+   *                                               facilitator [Aux],
+   *                           anchorTxOptions: tx options of the anchor
+   *                                            worker [Aux], optional. If
+   *                                            given, the orchestrator
+   *                                            anchors the state root,
+   *                                            otherwise it waits for it,
+   *                           pollInterval: milliseconds between anchor
+   *                                         checks, defaults to 5000,
+   *                           anchorTimeout: milliseconds to wait for the
+   *                                          anchor, defaults to 600000,
+   *                           createHashLock: function that returns a new
+   *                                           { hashLock, unlockSecret }
+   *                                           for flows without hash
+   *                                           lock, defaults to
+   *                                           Mosaic.Utils
+   *                                           .createSecretHashLock,
+   *                           logger: see {@link Logger},
+   *                           metrics: see {@link Metrics}, also
+   *                                    reported to by the transactions of
+   *                                    the Staker and Facilitator phases
+   *                         }
+   */
+  constructor(originWeb3, auxiliaryWeb3, addresses, options) {
+    super();
+
+    if (!(originWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'originWeb3' is missing or invalid");
+    }
+    if (!(auxiliaryWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'auxiliaryWeb3' is missing or invalid");
+    }
+    if (!addresses) {
+      throw new TypeError("Mandatory Parameter 'addresses' is missing or invalid");
+    }
+    ['valueToken', 'brandedToken', 'gatewayComposer', 'gateway', 'coGateway'].forEach((name) => {
+      if (!Web3.utils.isAddress(addresses[name])) {
+        throw new TypeError(`Invalid ${name} address: ${addresses[name]}.`);
+      }
+    });
+    if (!options || !options.worker) {
+      throw new TypeError("Mandatory option 'worker' is missing or invalid");
+    }
+    ['stakerTxOptions', 'facilitatorTxOptions', 'auxiliaryTxOptions'].forEach((name) => {
+      if (!options[name] || !Web3.utils.isAddress(options[name].from)) {
+        throw new TypeError(`Mandatory option '${name}' is missing or invalid`);
+      }
+    });
+    if (options.logger) {
+      Logger.validate(options.logger);
+    }
+    if (options.metrics) {
+      Metrics.validate(options.metrics);
+    }
+
+    this.originWeb3 = originWeb3;
+    this.auxiliaryWeb3 = auxiliaryWeb3;
+    this.addresses = Object.assign({}, addresses);
+    this.worker = options.worker;
+    this.stakerTxOptions = options.stakerTxOptions;
+    this.facilitatorTxOptions = options.facilitatorTxOptions;
+    this.auxiliaryTxOptions = options.auxiliaryTxOptions;
+    this.anchorTxOptions = options.anchorTxOptions;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.anchorTimeout = options.anchorTimeout || DEFAULT_ANCHOR_TIMEOUT;
+    this.createHashLock = options.createHashLock || (() => Mosaic.Utils.createSecretHashLock());
+    this.logger = options.logger;
+    this.metrics = options.metrics;
+
+    this.brandedToken = new BrandedToken(originWeb3, addresses.brandedToken);
+    this.staker = new Staker(
+      originWeb3,
+      addresses.valueToken,
+      addresses.brandedToken,
+      addresses.gatewayComposer,
+      options.logger,
+      options.metrics,
+    );
+    this.facilitator = new Facilitator(
+      originWeb3,
+      addresses.valueToken,
+      addresses.brandedToken,
+      addresses.gatewayComposer,
+      options.logger,
+      options.metrics,
+    );
+    this.stakeHelper = new StakeHelper(
+      originWeb3,
+      addresses.brandedToken,
+      addresses.gatewayComposer,
+    );
+    this.gateway = new Mosaic.ContractInteract.EIP20Gateway(originWeb3, addresses.gateway);
+
+    this.stakeAndMint = this.stakeAndMint.bind(this);
+  }
+
+  /**
+   * Runs the flow from the stake request to the minted utility branded
+   * tokens.
+   *
+   * @param {Object} params Stake parameters:
+   *                        {
+   *                          stakeVT: value tokens to stake in wei,
+   *                          mintBT: branded tokens to mint in wei, i.e.
+   *                                  utility branded tokens on auxiliary,
+   *                          beneficiary: receiver of the utility branded
+   *                                       tokens [Aux],
+   *                          gasPrice: gas price of the reward of the
+   *                                    facilitator, string, number or BN,
+   *                          gasLimit: gas limit of the reward of the
+   *                                    facilitator, string, number or BN,
+   *                          stakerGatewayNonce: gateway nonce of the
+   *                                              GatewayComposer, read from
+   *                                              the gateway if missing,
+   *                          hashLock: hash lock, a new secret is created
+   *                                    if missing,
+   *                          unlockSecret: unlock secret of the hash lock
+   *                        }
+   *
+   * @returns {Promise<Object>} Promise that resolves to:
+   *                            {
+   *                              stakeRequestHash, messageHash, hashLock,
+   *                              unlockSecret,
+   *                              receipts: receipts by phase
+   *                            }
+   */
+  stakeAndMint(params) {
+    if (!params || !params.stakeVT || !params.mintBT) {
+      const err = new TypeError(`Invalid stake amounts: ${JSON.stringify(params)}.`);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(params.beneficiary)) {
+      const err = new TypeError(`Invalid beneficiary address: ${params.beneficiary}.`);
+      return Promise.reject(err);
+    }
+    if (params.hashLock && !params.unlockSecret) {
+      const err = new TypeError("Mandatory Parameter 'unlockSecret' is missing or invalid");
+      return Promise.reject(err);
+    }
+    const gasPrice = toUintString(params.gasPrice);
+    if (gasPrice === null) {
+      const err = new TypeError(`Invalid gasPrice: ${params.gasPrice}.`);
+      return Promise.reject(err);
+    }
+    const gasLimit = toUintString(params.gasLimit);
+    if (gasLimit === null) {
+      const err = new TypeError(`Invalid gasLimit: ${params.gasLimit}.`);
+      return Promise.reject(err);
+    }
+
+    return Metrics.measureFlow(
+      Metrics.resolve(this.metrics),
+      'stakeAndMint',
+      this._stakeAndMint(Object.assign({}, params, { gasPrice, gasLimit })),
+    );
+  }
+
+  /**
+   * @returns {Object} Phases of the flow, in order.
+   */
+  static get Phases() {
+    return Object.assign({}, Phases);
+  }
+
+  /**
+   * Runs the phases one after another.
+   *
+   * @private
+   */
+  async _stakeAndMint(params) {
+    const secret = params.hashLock
+      ? { hashLock: params.hashLock, unlockSecret: params.unlockSecret }
+      : this.createHashLock();
+    const flow = {
+      hashLock: secret.hashLock,
+      unlockSecret: secret.unlockSecret,
+      receipts: {},
+    };
+
+    const stakerGatewayNonce = params.stakerGatewayNonce !== undefined
+      ? params.stakerGatewayNonce
+      : await Contracts.getEIP20Gateway(this.originWeb3, this.addresses.gateway)
+        .methods
+        .getNonce(this.addresses.gatewayComposer)
+        .call();
+
+    flow.receipts.requestStake = await this._runPhase(Phases.REQUEST_STAKE, flow, () => (
+      this.staker.requestStake(
+        params.stakeVT,
+        params.mintBT,
+        this.addresses.gateway,
+        params.gasPrice,
+        params.gasLimit,
+        params.beneficiary,
+        stakerGatewayNonce,
+        this.stakerTxOptions,
+      )
+    ));
+    flow.stakeRequestHash = await this.brandedToken.getStakeRequestHash(
+      this.addresses.gatewayComposer,
+    );
+
+    flow.receipts.acceptStakeRequest = await this._runPhase(
+      Phases.ACCEPT_STAKE_REQUEST,
+      flow,
+      () => this._acceptStakeRequest(flow),
+    );
+    const intent = await this._getStakeIntent(
+      flow.receipts.acceptStakeRequest.acceptStakeRequestReceipt,
+    );
+    flow.messageHash = intent._messageHash;
+
+    const mosaicFacilitator = await this._getMosaicFacilitator();
+
+    flow.receipts.anchor = await this._runPhase(Phases.ANCHOR, flow, () => (
+      this._anchor(flow.receipts.acceptStakeRequest.acceptStakeRequestReceipt.blockNumber)
+    ));
+
+    flow.receipts.confirmStakeIntent = await this._runPhase(
+      Phases.CONFIRM_STAKE_INTENT,
+      flow,
+      () => mosaicFacilitator.confirmStakeIntent(
+        intent._staker,
+        intent._amount,
+        intent._beneficiary,
+        params.gasPrice,
+        params.gasLimit,
+        intent._stakerNonce,
+        flow.hashLock,
+        this.auxiliaryTxOptions,
+      ),
+    );
+
+    flow.receipts.progressStake = await this._runPhase(Phases.PROGRESS_STAKE, flow, () => (
+      mosaicFacilitator.performProgressStake(
+        flow.messageHash,
+        flow.unlockSecret,
+        this.facilitatorTxOptions,
+      )
+    ));
+
+    flow.receipts.progressMint = await this._runPhase(Phases.PROGRESS_MINT, flow, () => (
+      mosaicFacilitator.performProgressMint(
+        flow.messageHash,
+        flow.unlockSecret,
+        this.auxiliaryTxOptions,
+      )
+    ));
+
+    return flow;
+  }
+
+  /**
+   * Runs a phase, reports its progress and measures it.
+   *
+   * @private
+   */
+  async _runPhase(phase, flow, run) {
+    const logger = Logger.resolve(this.logger);
+    const details = {
+      stakeRequestHash: flow.stakeRequestHash,
+      messageHash: flow.messageHash,
+      hashLock: flow.hashLock,
+      unlockSecret: flow.unlockSecret,
+    };
+    this.emit('progress', Object.assign({ phase, status: 'started' }, details));
+
+    try {
+      // Staker and Facilitator report their own flows.
+      const result = await ([Phases.REQUEST_STAKE, Phases.ACCEPT_STAKE_REQUEST].includes(phase)
+        ? run()
+        : Metrics.measureFlow(Metrics.resolve(this.metrics), phase, run()));
+      this.emit('progress', Object.assign({ phase, status: 'completed', result }, details));
+      logger.info(phase, {
+        stakeRequestHash: flow.stakeRequestHash,
+        messageHash: flow.messageHash,
+      });
+      return result;
+    } catch (error) {
+      this.emit('progress', Object.assign({ phase, status: 'failed', error }, details));
+      logger.error(phase, {
+        stakeRequestHash: flow.stakeRequestHash,
+        messageHash: flow.messageHash,
+        error: error.message,
+      });
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Signs the stake request with the worker and accepts it with the bounty
+   * of the gateway.
+   *
+   * @private
+   */
+  async _acceptStakeRequest(flow) {
+    const stakeRequest = await this.brandedToken.getStakeRequest(flow.stakeRequestHash);
+    const typedData = this.stakeHelper.getStakeRequestTypedData(
+      stakeRequest.stake,
+      stakeRequest.nonce,
+    );
+    const signature = await StakeHelper.signStakeRequest(typedData, this.worker);
+    const bounty = await this.gateway.getBounty();
+
+    return this.facilitator.acceptStakeRequest(
+      flow.stakeRequestHash,
+      signature,
+      bounty,
+      flow.hashLock,
+      this.facilitatorTxOptions,
+    );
+  }
+
+  /**
+   * Returns the StakeIntentDeclared event values of the gateway that
+   * GatewayComposer emitted in the accepting transaction.
+   *
+   * @private
+   */
+  async _getStakeIntent(acceptStakeRequestReceipt) {
+    const intents = await Contracts.getEIP20Gateway(this.originWeb3, this.addresses.gateway)
+      .getPastEvents('StakeIntentDeclared', {
+        fromBlock: acceptStakeRequestReceipt.blockNumber,
+        toBlock: acceptStakeRequestReceipt.blockNumber,
+      });
+    const intent = intents.find(
+      event => event.transactionHash === acceptStakeRequestReceipt.transactionHash,
+    );
+    if (!intent) {
+      const err = new Error(
+        `No StakeIntentDeclared event in transaction ${acceptStakeRequestReceipt.transactionHash}.`,
+      );
+      return Promise.reject(err);
+    }
+    return intent.returnValues;
+  }
+
+  /**
+   * Makes sure that the auxiliary anchor has a state root of the given
+   * origin block or later. With anchorTxOptions, it anchors the latest
+   * origin block, otherwise it polls the anchor until the timeout.
+   *
+   * @private
+   */
+  async _anchor(blockNumber) {
+    const anchor = await this._getAuxiliaryAnchor();
+
+    if (this.anchorTxOptions) {
+      const block = await this.originWeb3.eth.getBlock('latest');
+      return anchor.anchorStateRoot(block.number, block.stateRoot, this.anchorTxOptions);
+    }
+
+    return this._waitForAnchor(anchor, blockNumber, Date.now() + this.anchorTimeout);
+  }
+
+  /**
+   * Polls the anchor until it has a state root of the given block or later.
+   *
+   * @private
+   */
+  _waitForAnchor(anchor, blockNumber, deadline) {
+    return anchor.getLatestStateRootBlockHeight().then((anchoredHeight) => {
+      if (Number(anchoredHeight) >= Number(blockNumber)) {
+        return null;
+      }
+      if (Date.now() + this.pollInterval > deadline) {
+        const err = new Error(
+          `Anchor ${anchor.address} did not anchor block ${blockNumber} within ${this.anchorTimeout} ms.`,
+        );
+        return Promise.reject(err);
+      }
+      return new Promise(resolve => setTimeout(resolve, this.pollInterval))
+        .then(() => this._waitForAnchor(anchor, blockNumber, deadline));
+    });
+  }
+
+  /**
+   * Returns the anchor of the auxiliary chain that the co-gateway proves
+   * against.
+   *
+   * @private
+   */
+  async _getAuxiliaryAnchor() {
+    const address = await Contracts.getEIP20CoGateway(this.auxiliaryWeb3, this.addresses.coGateway)
+      .methods
+      .stateRootProvider()
+      .call();
+    return new Mosaic.ContractInteract.Anchor(this.auxiliaryWeb3, address);
+  }
+
+  /**
+   * Returns the Mosaic facilitator of the gateway pair, with the anchors
+   * read from the gateways.
+   *
+   * @private
+   */
+  async _getMosaicFacilitator() {
+    if (this.mosaicFacilitator) {
+      return this.mosaicFacilitator;
+    }
+
+    const [originAnchor, auxiliaryAnchor] = await Promise.all([
+      Contracts.getEIP20Gateway(this.originWeb3, this.addresses.gateway)
+        .methods
+        .stateRootProvider()
+        .call(),
+      Contracts.getEIP20CoGateway(this.auxiliaryWeb3, this.addresses.coGateway)
+        .methods
+        .stateRootProvider()
+        .call(),
+    ]);
+    const mosaic = new Mosaic(
+      new Mosaic.Chain(this.originWeb3, {
+        Anchor: originAnchor,
+        EIP20Gateway: this.addresses.gateway,
+      }),
+      new Mosaic.Chain(this.auxiliaryWeb3, {
+        Anchor: auxiliaryAnchor,
+        EIP20CoGateway: this.addresses.coGateway,
+      }),
+    );
+    this.mosaicFacilitator = new Mosaic.Facilitator(mosaic);
+    return this.mosaicFacilitator;
+  }
+}
+
+module.exports = StakeOrchestrator;
@@ -0,0 +1,442 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3 = require('web3');
+const Contracts = require('../Contracts');
+const BrandedToken = require('../ContractInteract/BrandedToken');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const States = {
+  REQUESTED: 'requested',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  REVOKED: 'revoked',
+  STAKED: 'staked',
+  STAKE_PROGRESSED: 'stakeProgressed',
+  MINTED: 'minted',
+  REVERTED: 'reverted',
+};
+
+const Actions = {
+  ACCEPT_STAKE_REQUEST: 'acceptStakeRequest',
+  REJECT_STAKE_REQUEST: 'rejectStakeRequest',
+  REVOKE_STAKE_REQUEST: 'revokeStakeRequest',
+  STAKE: 'stake',
+  PROGRESS_STAKE: 'progressStake',
+  PROGRESS_MINT: 'progressMint',
+  REVERT_STAKE: 'revertStake',
+};
+
+// Event that moves a stake request into a state.
+const EventStates = {
+  StakeRequested: States.REQUESTED,
+  StakeRequestAccepted: States.ACCEPTED,
+  StakeRequestRejected: States.REJECTED,
+  StakeRequestRevoked: States.REVOKED,
+  StakeIntentDeclared: States.STAKED,
+  StakeProgressed: States.STAKE_PROGRESSED,
+  MintProgressed: States.MINTED,
+  StakeReverted: States.REVERTED,
+};
+
+// States a state may move to. Stake and mint progress happen on different
+// chains, so either may be observed first; minted stays the current state
+// once reached.
+const Transitions = {
+  [States.REQUESTED]: [States.ACCEPTED, States.REJECTED, States.REVOKED],
+  [States.ACCEPTED]: [States.STAKED],
+  [States.STAKED]: [States.STAKE_PROGRESSED, States.MINTED, States.REVERTED],
+  [States.STAKE_PROGRESSED]: [States.MINTED],
+  [States.MINTED]: [],
+  [States.REJECTED]: [],
+  [States.REVOKED]: [],
+  [States.REVERTED]: [],
+};
+
+/**
+ * StakeRequestTracker models a stake request through its lifecycle:
+ * requested, then accepted, rejected or revoked on BrandedToken, then staked,
+ * progressed and minted through the Mosaic gateways.
+ */
+class StakeRequestTracker {
+  /**
+   * StakeRequestTracker constructor.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   */
+  constructor(stakeRequestHash) {
+    if (!stakeRequestHash) {
+      throw new TypeError(`Invalid stakeRequestHash: ${stakeRequestHash}.`);
+    }
+
+    this.stakeRequestHash = stakeRequestHash;
+    this.state = null;
+    this.staker = null;
+    this.stake = null;
+    this.messageHash = null;
+    this.history = [];
+    this.unexpectedTransitions = [];
+
+    this.applyEvent = this.applyEvent.bind(this);
+    this.applyStakeRequest = this.applyStakeRequest.bind(this);
+    this.getState = this.getState.bind(this);
+    this.getAllowedActions = this.getAllowedActions.bind(this);
+    this.getTimestamps = this.getTimestamps.bind(this);
+  }
+
+  /**
+   * Applies a BrandedToken or gateway event to the tracker. Events of other
+   * stake requests or messages are ignored. If the history is partial, e.g.
+   * events were read from a later block, the first event starts it. Events
+   * that do not follow from the current state are recorded in
+   * `unexpectedTransitions` and do not change the state.
+   *
+   * @param {Object} event Web3 event or event indexed by EventIndexer.
+   * @param {number} [timestamp] Timestamp of the block of the event in
+   *                             seconds. Defaults to current time.
+   *
+   * @returns {boolean} `true` if the event changed the state.
+   */
+  applyEvent(event, timestamp) {
+    const nextState = EventStates[event.event];
+    if (!nextState || !this._isRelevant(event)) {
+      return false;
+    }
+    if (this._hasReached(nextState)) {
+      return false;
+    }
+
+    const moved = this._transition(nextState, {
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp,
+    });
+    if (!moved) {
+      return false;
+    }
+
+    const { returnValues } = event;
+    if (nextState === States.REQUESTED) {
+      this.staker = returnValues._staker;
+      this.stake = returnValues._stake;
+    }
+    if (nextState === States.STAKED) {
+      this.messageHash = returnValues._messageHash;
+    }
+
+    return true;
+  }
+
+  /**
+   * Applies a stake request read from BrandedToken. A pending stake request
+   * moves a new tracker to requested.
+   *
+   * @param {Object} stakeRequest Stake request as returned by
+   *                              {@link BrandedToken#getStakeRequest}.
+   * @param {number} [timestamp] Timestamp of the read in seconds. Defaults to
+   *                             current time.
+   *
+   * @returns {boolean} `true` if the stake request changed the state.
+   */
+  applyStakeRequest(stakeRequest, timestamp) {
+    if (this.state !== null || !stakeRequest || stakeRequest.staker === ZERO_ADDRESS) {
+      return false;
+    }
+
+    this._transition(States.REQUESTED, { timestamp });
+    this.staker = stakeRequest.staker;
+    this.stake = stakeRequest.stake;
+
+    return true;
+  }
+
+  /**
+   * @returns {string|null} Current state, `null` if nothing is known yet.
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Returns the actions that can move the stake request forward from its
+   * current state.
+   *
+   * @returns {Array<string>} Allowed next actions.
+   */
+  getAllowedActions() {
+    switch (this.state) {
+      case States.REQUESTED:
+        return [
+          Actions.ACCEPT_STAKE_REQUEST,
+          Actions.REJECT_STAKE_REQUEST,
+          Actions.REVOKE_STAKE_REQUEST,
+        ];
+      case States.ACCEPTED:
+        return [Actions.STAKE];
+      case States.STAKED:
+        return [Actions.PROGRESS_STAKE, Actions.PROGRESS_MINT, Actions.REVERT_STAKE];
+      case States.STAKE_PROGRESSED:
+        return [Actions.PROGRESS_MINT];
+      case States.MINTED:
+        return this._hasReached(States.STAKE_PROGRESSED) ? [] : [Actions.PROGRESS_STAKE];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * @returns {Object} Timestamps in seconds keyed by the states reached.
+   */
+  getTimestamps() {
+    const timestamps = {};
+    this.history.forEach((entry) => {
+      timestamps[entry.state] = entry.timestamp;
+    });
+    return timestamps;
+  }
+
+  /**
+   * @returns {Object} Serializable view of the tracker.
+   */
+  toJSON() {
+    return {
+      stakeRequestHash: this.stakeRequestHash,
+      state: this.state,
+      staker: this.staker,
+      stake: this.stake,
+      messageHash: this.messageHash,
+      allowedActions: this.getAllowedActions(),
+      history: this.history,
+      unexpectedTransitions: this.unexpectedTransitions,
+    };
+  }
+
+  /**
+   * Builds a tracker from chain reads and past events.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {string} brandedToken BrandedToken contract address.
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   * @param {Object} [options] Optional lookups:
+   *                           {
+   *                             fromBlock: block to search events from,
+   *                             gateway: EIP20Gateway address on origin,
+   *                             auxiliaryWeb3: auxiliary chain web3 object,
+   *                             coGateway: EIP20CoGateway address on
+   *                                        auxiliary
+   *                           }
+   *
+   * @returns {Promise<StakeRequestTracker>} Promise that resolves to tracker.
+   */
+  static async fromChain(originWeb3, brandedToken, stakeRequestHash, options) {
+    if (!(originWeb3 instanceof Web3)) {
+      throw new TypeError("Mandatory Parameter 'originWeb3' is missing or invalid");
+    }
+    const trackerOptions = Object.assign({ fromBlock: 0 }, options);
+    const { fromBlock } = trackerOptions;
+
+    const tracker = new StakeRequestTracker(stakeRequestHash);
+    const brandedTokenInteract = new BrandedToken(originWeb3, brandedToken);
+
+    const btEvents = await StakeRequestTracker._getPastEvents(
+      brandedTokenInteract.contract,
+      ['StakeRequested', 'StakeRequestAccepted', 'StakeRequestRejected', 'StakeRequestRevoked'],
+      { _stakeRequestHash: stakeRequestHash },
+      fromBlock,
+    );
+    await StakeRequestTracker._applyEvents(tracker, originWeb3, btEvents);
+
+    if (tracker.state === null) {
+      const stakeRequest = await brandedTokenInteract.getStakeRequest(stakeRequestHash);
+      tracker.applyStakeRequest(stakeRequest);
+    }
+
+    if (tracker.state !== States.ACCEPTED || !trackerOptions.gateway) {
+      return tracker;
+    }
+
+    // GatewayComposer declares the stake intent in the accepting transaction.
+    const accepted = tracker.history.find(entry => entry.state === States.ACCEPTED);
+    const gatewayContract = Contracts.getEIP20Gateway(originWeb3, trackerOptions.gateway);
+    const intents = await gatewayContract.getPastEvents('StakeIntentDeclared', {
+      fromBlock: accepted.blockNumber,
+      toBlock: accepted.blockNumber,
+    });
+    const intent = intents.find(event => event.transactionHash === accepted.transactionHash);
+    if (!intent) {
+      return tracker;
+    }
+    tracker.messageHash = intent.returnValues._messageHash;
+
+    const gatewayEvents = await StakeRequestTracker._getPastEvents(
+      gatewayContract,
+      ['StakeIntentDeclared', 'StakeProgressed', 'StakeReverted'],
+      { _messageHash: tracker.messageHash },
+      accepted.blockNumber,
+    );
+    await StakeRequestTracker._applyEvents(tracker, originWeb3, gatewayEvents);
+
+    if (trackerOptions.auxiliaryWeb3 && trackerOptions.coGateway) {
+      const coGatewayContract = Contracts.getEIP20CoGateway(
+        trackerOptions.auxiliaryWeb3,
+        trackerOptions.coGateway,
+      );
+      const coGatewayEvents = await StakeRequestTracker._getPastEvents(
+        coGatewayContract,
+        ['MintProgressed'],
+        { _messageHash: tracker.messageHash },
+        0,
+      );
+      await StakeRequestTracker._applyEvents(
+        tracker,
+        trackerOptions.auxiliaryWeb3,
+        coGatewayEvents,
+      );
+    }
+
+    return tracker;
+  }
+
+  /**
+   * @returns {Object} Stake request states.
+   */
+  static get States() {
+    return Object.assign({}, States);
+  }
+
+  /**
+   * @returns {Object} Actions that move a stake request forward.
+   */
+  static get Actions() {
+    return Object.assign({}, Actions);
+  }
+
+  /**
+   * Checks that the event belongs to the tracked stake request or its
+   * gateway message.
+   *
+   * @param {Object} event Event object.
+   *
+   * @returns {boolean} `true` if relevant.
+   * @private
+   */
+  _isRelevant(event) {
+    const { returnValues } = event;
+    if (returnValues._stakeRequestHash !== undefined) {
+      return returnValues._stakeRequestHash === this.stakeRequestHash;
+    }
+    if (this.messageHash) {
+      return returnValues._messageHash === this.messageHash;
+    }
+    if (event.event !== 'StakeIntentDeclared' || this.state !== States.ACCEPTED) {
+      return false;
+    }
+
+    // GatewayComposer declares the stake intent in the accepting transaction,
+    // which establishes the message hash.
+    const accepted = this.history.find(entry => entry.state === States.ACCEPTED);
+    if (accepted.transactionHash) {
+      return event.transactionHash === accepted.transactionHash;
+    }
+    return !!this.staker && typeof returnValues._staker === 'string'
+      && returnValues._staker.toLowerCase() === this.staker.toLowerCase();
+  }
+
+  /**
+   * @param {string} state State to check.
+   *
+   * @returns {boolean} `true` if the state has been reached before.
+   * @private
+   */
+  _hasReached(state) {
+    return this.history.some(entry => entry.state === state);
+  }
+
+  /**
+   * Moves the tracker to the next state.
+   *
+   * @param {string} nextState State to move to.
+   * @param {Object} details Block number, transaction hash and timestamp.
+   *
+   * @returns {boolean} `false` if the state does not lead to the next state,
+   *                    the transition is then recorded as unexpected.
+   * @private
+   */
+  _transition(nextState, details) {
+    const keepsState = this.state === States.MINTED && nextState === States.STAKE_PROGRESSED;
+    if (!keepsState && this.state !== null && !Transitions[this.state].includes(nextState)) {
+      this.unexpectedTransitions.push({
+        from: this.state,
+        to: nextState,
+        blockNumber: details.blockNumber,
+        transactionHash: details.transactionHash,
+      });
+      return false;
+    }
+
+    if (!keepsState) {
+      this.state = nextState;
+    }
+    this.history.push({
+      state: nextState,
+      blockNumber: details.blockNumber,
+      transactionHash: details.transactionHash,
+      timestamp: details.timestamp !== undefined
+        ? details.timestamp
+        : Math.floor(Date.now() / 1000),
+    });
+    return true;
+  }
+
+  /**
+   * Returns past events of the given names matching the filter, in the order
+   * they were emitted.
+   *
+   * @private
+   */
+  static async _getPastEvents(contract, eventNames, filter, fromBlock) {
+    const eventLists = await Promise.all(
+      eventNames.map(eventName => contract.getPastEvents(eventName, { filter, fromBlock })),
+    );
+    return [].concat(...eventLists)
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  }
+
+  /**
+   * Applies events to the tracker with the timestamps of their blocks.
+   *
+   * @private
+   */
+  static _applyEvents(tracker, web3, events) {
+    return events.reduce(
+      (previous, event) => previous
+        .then(() => web3.eth.getBlock(event.blockNumber))
+        .then(block => tracker.applyEvent(event, Number(block.timestamp))),
+      Promise.resolve(),
+    );
+  }
+}
+
+module.exports = StakeRequestTracker;
@@ -20,8 +20,15 @@
 
 'use strict';
 
-const Mosaic = require('@openstfoundation/mosaic.js');
+const Web3 = require('web3');
+const EIP20Token = require('../ContractInteract/EIP20Token');
 const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const Logger = require('../../utils/Logger');
+const Metrics = require('../../utils/Metrics');
+const StakeRequestTracker = require('../StakeRequestTracker');
+const Utils = require('../../utils/Utils');
+
+const { BN } = Web3.utils;
 
 /**
  * Staker performs below tasks:
@@ -36,14 +43,27 @@ class Staker {
    * @param valueToken Value token contract address.
    * @param brandedToken Branded Token contract address.
    * @param gatewayComposer Gateway composer contract address.
+   * @param logger Optional logger, defaults to the global logger, see
+   *               {@link Logger}.
+   * @param metrics Optional instrumentation, defaults to the global one, see
+   *                {@link Metrics}.
    */
-  constructor(originWeb3, valueToken, brandedToken, gatewayComposer) {
+  constructor(originWeb3, valueToken, brandedToken, gatewayComposer, logger, metrics) {
+    if (logger) {
+      Logger.validate(logger);
+    }
+    if (metrics) {
+      Metrics.validate(metrics);
+    }
+
     this.originWeb3 = originWeb3;
+    this.logger = logger;
+    this.metrics = metrics;
     this.valueToken = valueToken;
     this.brandedToken = brandedToken;
     this.gatewayComposerAddress = gatewayComposer;
 
-    this.valueToken = new Mosaic.ContractInteract.EIP20Token(originWeb3, valueToken);
+    this.valueToken = new EIP20Token(originWeb3, valueToken);
     this.gatewayComposer = new GatewayComposer(originWeb3, gatewayComposer);
   }
 
@@ -61,7 +81,13 @@ class Staker {
    * @param beneficiary The address in the auxiliary chain where the utility
    *                     tokens will be minted.
    * @param stakerGatewayNonce Nonce of the staker address stored in Gateway.
-   * @param txOptions - Tx options.
+   * @param txOptions - Tx options. With `dryRun`, nothing is sent and it
+   *                    resolves to the problems of both steps, see
+   *                    {@link Utils.mergeApprovalDryRun}.
+   *
+   * The duration and outcome of the approve and requestStake flow are
+   * reported to the metrics as the `requestStake` flow, and the transactions
+   * are logged and reported to the same logger and metrics.
    */
   async requestStake(
     stakeVTAmountInWei,
@@ -73,23 +99,75 @@ class Staker {
     stakerGatewayNonce,
     txOptions,
   ) {
+    if (txOptions && txOptions.dryRun) {
+      const [approveProblems, requestStakeProblems] = await Promise.all([
+        this.valueToken.approve(this.gatewayComposerAddress, stakeVTAmountInWei, txOptions),
+        this.gatewayComposer.requestStake(
+          stakeVTAmountInWei,
+          mintBTAmountInWei,
+          gatewayAddress,
+          beneficiary,
+          gasPrice,
+          gasLimit,
+          stakerGatewayNonce,
+          txOptions,
+        ),
+      ]);
+      return Utils.mergeApprovalDryRun(
+        approveProblems,
+        'requestStake',
+        requestStakeProblems,
+        'allowance',
+      );
+    }
+
+    return Metrics.measureFlow(
+      Metrics.resolve(this.metrics),
+      'requestStake',
+      this._requestStake(
+        stakeVTAmountInWei,
+        mintBTAmountInWei,
+        gatewayAddress,
+        gasPrice,
+        gasLimit,
+        beneficiary,
+        stakerGatewayNonce,
+        txOptions,
+      ),
+    );
+  }
+
+  /**
+   * Sends the approve and requestStake transactions.
+   *
+   * @private
+   */
+  async _requestStake(
+    stakeVTAmountInWei,
+    mintBTAmountInWei,
+    gatewayAddress,
+    gasPrice,
+    gasLimit,
+    beneficiary,
+    stakerGatewayNonce,
+    txOptions,
+  ) {
+    const logger = Logger.resolve(this.logger);
+    const sendOptions = Utils.instrumentTxOptions(txOptions, {
+      logger: this.logger,
+      metrics: this.metrics,
+    });
+
     const approveForValueTokenReceipt = await this.valueToken.approve(
       this.gatewayComposerAddress,
       stakeVTAmountInWei,
-      txOptions,
-    );
+      sendOptions,
+    ).catch(Staker._logFailure(logger, 'approveForValueToken'));
     let receipts = {
       approveForValueTokenReceipt,
     };
 
-    if (!approveForValueTokenReceipt.status) {
-      const err = new Error(
-        `Approval for value token is failed with transactionHash: ${approveForValueTokenReceipt.transactionHash}`,
-      );
-      return Promise.reject(err);
-    }
-
-    console.log('approveForValueToken status:', approveForValueTokenReceipt.status);
+    logger.info('approveForValueToken', Logger.receiptFields(approveForValueTokenReceipt));
 
     const requestStakeReceipt = await this.gatewayComposer.requestStake(
       stakeVTAmountInWei,
@@ -99,24 +177,98 @@ class Staker {
       gasPrice,
       gasLimit,
       stakerGatewayNonce,
-      txOptions,
-    );
-
-    if (!requestStakeReceipt.status) {
-      const err = new Error(
-        `Request stake is failed with transactionHash: ${requestStakeReceipt.transactionHash}`,
-      );
-      return Promise.reject(err);
-    }
+      sendOptions,
+    ).catch(Staker._logFailure(logger, 'requestStake'));
 
     receipts = {
       requestStakeReceipt,
       ...receipts,
     };
 
-    console.log('requestStake status:', requestStakeReceipt.status);
+    logger.info('requestStake', Object.assign(Logger.receiptFields(requestStakeReceipt), {
+      stakeVT: stakeVTAmountInWei,
+      mintBT: mintBTAmountInWei,
+      gateway: gatewayAddress,
+    }));
     return receipts;
   }
+
+  /**
+   * Performs {@link Staker#requestStake} with stake and mint amounts of a
+   * quote from {@link ConversionQuote}.
+   *
+   * @param quote Quote with stakeVT and mintBT amounts in wei. A quote that
+   *              mints no branded tokens is rejected before sending.
+   * @param gatewayAddress Gateway contract address.
+   * @param gasPrice Gas price that staker is ready to pay to get the stake
+   *                  and mint process done.
+   * @param gasLimit Gas limit that staker is ready to pay.
+   * @param beneficiary The address in the auxiliary chain where the utility
+   *                     tokens will be minted.
+   * @param stakerGatewayNonce Nonce of the staker address stored in Gateway.
+   * @param txOptions - Tx options.
+   */
+  requestStakeWithQuote(
+    quote,
+    gatewayAddress,
+    gasPrice,
+    gasLimit,
+    beneficiary,
+    stakerGatewayNonce,
+    txOptions,
+  ) {
+    if (!quote || !quote.stakeVT || !quote.mintBT) {
+      const err = new TypeError(`Invalid quote: ${JSON.stringify(quote)}.`);
+      return Promise.reject(err);
+    }
+    if (new BN(quote.mintBT).isZero()) {
+      const err = new TypeError(`Quote mints no branded tokens: ${JSON.stringify(quote)}.`);
+      return Promise.reject(err);
+    }
+
+    return this.requestStake(
+      quote.stakeVT,
+      quote.mintBT,
+      gatewayAddress,
+      gasPrice,
+      gasLimit,
+      beneficiary,
+      stakerGatewayNonce,
+      txOptions,
+    );
+  }
+
+  /**
+   * Returns the lifecycle tracker of a stake request built from chain reads
+   * and past events.
+   *
+   * @param {string} stakeRequestHash Stake request hash unique for each stake.
+   * @param {Object} [options] Gateway lookups, see
+   *                           {@link StakeRequestTracker.fromChain}.
+   *
+   * @returns {Promise<StakeRequestTracker>} Promise that resolves to tracker.
+   */
+  trackStakeRequest(stakeRequestHash, options) {
+    return StakeRequestTracker.fromChain(
+      this.originWeb3,
+      this.brandedToken,
+      stakeRequestHash,
+      options,
+    );
+  }
+
+  /**
+   * Returns a rejection handler that logs the failed step and passes the
+   * error on.
+   *
+   * @private
+   */
+  static _logFailure(logger, step) {
+    return (err) => {
+      logger.error(step, { transactionHash: err.transactionHash, error: err.message });
+      return Promise.reject(err);
+    };
+  }
 }
 
 module.exports = Staker;
@@ -0,0 +1,147 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3 = require('web3');
+const BrandedToken = require('../../ContractInteract/BrandedToken');
+const Converter = require('./Converter');
+
+const { BN } = Web3.utils;
+
+/**
+ * ConversionQuote computes stake and mint amounts offline with the same
+ * integer rounding as BrandedToken. The mint amount of every quote equals
+ * BrandedToken.convertToBrandedTokens(stake), so a quote can be passed to
+ * {@link Staker#requestStakeWithQuote} as is.
+ *
+ * Quote format:
+ *  {
+ *    stakeVT: amount of value tokens to stake,
+ *    mintBT: amount of branded tokens minted for the stake,
+ *    roundingLoss: `true` if part of the stake is lost to rounding,
+ *    exact: `true` if the requested amount is met exactly,
+ *    conversionRate: conversion rate used,
+ *    conversionRateDecimals: conversion rate decimals used
+ *  }
+ */
+class ConversionQuote {
+  /**
+   * ConversionQuote constructor.
+   *
+   * @param {Object} config Conversion parameters as in BTHelper setup config:
+   *                        {
+   *                          conversionRate: conversion rate,
+   *                          conversionRateDecimals: conversion rate decimals
+   *                        }
+   */
+  constructor(config) {
+    if (!config) {
+      throw new Error('Mandatory parameter "config" missing. ');
+    }
+
+    this.converter = new Converter(config.conversionRate, config.conversionRateDecimals);
+  }
+
+  /**
+   * Creates a quote engine from the conversion rate of a deployed
+   * BrandedToken. The rate is read once.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {string} brandedToken BrandedToken contract address.
+   *
+   * @returns {Promise<ConversionQuote>} Promise that resolves to quote engine.
+   */
+  static fromBrandedToken(originWeb3, brandedToken) {
+    const brandedTokenInteract = new BrandedToken(originWeb3, brandedToken);
+    return brandedTokenInteract.getConversionRate().then(
+      config => new ConversionQuote(config),
+    );
+  }
+
+  /**
+   * Quotes the branded tokens minted for a stake.
+   *
+   * @param {string} stakeVT Amount of value tokens to stake. It must mint at
+   *                         least one branded token, see
+   *                         {@link ConversionQuote#minimumStake}.
+   *
+   * @returns {Object} Quote.
+   */
+  mintForStake(stakeVT) {
+    if (stakeVT === undefined || !new BN(stakeVT).gtn(0)) {
+      throw new TypeError(`Stake amount must be greater than zero: ${stakeVT}.`);
+    }
+
+    const { amount, roundingLoss } = this.converter.toBrandedTokens(stakeVT);
+    if (new BN(amount).isZero()) {
+      const { stakeVT: minimumStakeVT } = this.minimumStake();
+      throw new TypeError(
+        `Stake amount ${stakeVT} mints no branded tokens, minimum stake is ${minimumStakeVT}.`,
+      );
+    }
+    return this._quote(new BN(stakeVT).toString(10), amount, roundingLoss, true);
+  }
+
+  /**
+   * Quotes the smallest stake that mints at least the given branded tokens.
+   *
+   * @param {string} mintBT Amount of branded tokens wanted.
+   *
+   * @returns {Object} Quote. `exact` is `false` if no stake mints exactly the
+   *                   amount wanted, in which case `mintBT` is the next
+   *                   amount that can be minted.
+   */
+  stakeForMint(mintBT) {
+    if (mintBT === undefined || !new BN(mintBT).gtn(0)) {
+      throw new TypeError(`Mint amount must be greater than zero: ${mintBT}.`);
+    }
+
+    const { valueTokens, brandedTokens, exact } = this.converter.valueTokensFor(mintBT);
+    const { roundingLoss } = this.converter.toBrandedTokens(valueTokens);
+    return this._quote(valueTokens, brandedTokens, roundingLoss, exact);
+  }
+
+  /**
+   * Quotes the smallest stake that mints a non zero amount of branded
+   * tokens.
+   *
+   * @returns {Object} Quote.
+   */
+  minimumStake() {
+    return this.stakeForMint('1');
+  }
+
+  /**
+   * @private
+   */
+  _quote(stakeVT, mintBT, roundingLoss, exact) {
+    return {
+      stakeVT,
+      mintBT,
+      roundingLoss,
+      exact,
+      conversionRate: this.converter.conversionRate.toString(10),
+      conversionRateDecimals: this.converter.conversionRateDecimals,
+    };
+  }
+}
+
+module.exports = ConversionQuote;
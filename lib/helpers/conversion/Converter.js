@@ -0,0 +1,157 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const Web3 = require('web3');
+
+const { BN } = Web3.utils;
+
+const MAX_CONVERSION_RATE_DECIMALS = 5;
+
+/**
+ * Converts between value tokens and branded tokens off chain, with the same
+ * integer rounding as BrandedToken:
+ *
+ *   brandedTokens = valueTokens * conversionRate / 10^conversionRateDecimals
+ *   valueTokens = brandedTokens * 10^conversionRateDecimals / conversionRate
+ *
+ * Results flag rounding loss, i.e. a non zero remainder of the division.
+ */
+class Converter {
+  /**
+   * Converter constructor.
+   *
+   * @param {string|number} conversionRate Conversion rate of BrandedToken.
+   * @param {string|number} conversionRateDecimals Conversion rate decimals of
+   *                                               BrandedToken.
+   */
+  constructor(conversionRate, conversionRateDecimals) {
+    if (conversionRate === undefined || !new BN(conversionRate).gtn(0)) {
+      throw new TypeError(`Invalid conversion rate: ${conversionRate}. It should be greater than zero`);
+    }
+    const decimals = Number(conversionRateDecimals);
+    if (!Number.isInteger(decimals)
+      || decimals < 0
+      || decimals > MAX_CONVERSION_RATE_DECIMALS) {
+      throw new TypeError(
+        `Invalid conversion rate decimal: ${conversionRateDecimals}. It should be between 0 and ${MAX_CONVERSION_RATE_DECIMALS}`,
+      );
+    }
+
+    this.conversionRate = new BN(conversionRate);
+    this.conversionRateDecimals = decimals;
+    this.scale = new BN(10).pow(new BN(decimals));
+  }
+
+  /**
+   * Creates a converter from the conversion rate of a deployed BrandedToken.
+   *
+   * @param {BrandedToken} brandedToken BrandedToken contract interact.
+   *
+   * @returns {Promise<Converter>} Promise that resolves to converter.
+   */
+  static fromBrandedToken(brandedToken) {
+    return brandedToken.getConversionRate().then(
+      ({ conversionRate, conversionRateDecimals }) => new Converter(
+        conversionRate,
+        conversionRateDecimals,
+      ),
+    );
+  }
+
+  /**
+   * Calculates branded tokens equivalent to given value tokens, as
+   * BrandedToken.convertToBrandedTokens does.
+   *
+   * @param {string} valueTokens Amount of value tokens.
+   *
+   * @returns {Object} Conversion result:
+   *                   {
+   *                     amount: amount of branded tokens,
+   *                     roundingLoss: `true` if the division had a remainder
+   *                   }
+   */
+  toBrandedTokens(valueTokens) {
+    const numerator = new BN(valueTokens).mul(this.conversionRate);
+    return Converter._divide(numerator, this.scale);
+  }
+
+  /**
+   * Calculates value tokens equivalent to given branded tokens, as
+   * BrandedToken.convertToValueTokens does.
+   *
+   * @param {string} brandedTokens Amount of branded tokens.
+   *
+   * @returns {Object} Conversion result:
+   *                   {
+   *                     amount: amount of value tokens,
+   *                     roundingLoss: `true` if the division had a remainder
+   *                   }
+   */
+  toValueTokens(brandedTokens) {
+    const numerator = new BN(brandedTokens).mul(this.scale);
+    return Converter._divide(numerator, this.conversionRate);
+  }
+
+  /**
+   * Calculates the smallest amount of value tokens that converts to at least
+   * the given branded tokens.
+   *
+   * @param {string} brandedTokens Amount of branded tokens wanted.
+   *
+   * @returns {Object} Result:
+   *                   {
+   *                     valueTokens: amount of value tokens needed,
+   *                     brandedTokens: amount of branded tokens the value
+   *                                    tokens convert to,
+   *                     exact: `true` if that is exactly the amount wanted
+   *                   }
+   */
+  valueTokensFor(brandedTokens) {
+    const numerator = new BN(brandedTokens).mul(this.scale);
+    const quotient = numerator.div(this.conversionRate);
+    const valueTokens = numerator.mod(this.conversionRate).isZero()
+      ? quotient
+      : quotient.addn(1);
+
+    const converted = this.toBrandedTokens(valueTokens).amount;
+
+    return {
+      valueTokens: valueTokens.toString(10),
+      brandedTokens: converted,
+      exact: new BN(converted).eq(new BN(brandedTokens)),
+    };
+  }
+
+  /**
+   * Integer division with rounding loss flag.
+   *
+   * @private
+   */
+  static _divide(numerator, denominator) {
+    return {
+      amount: numerator.div(denominator).toString(10),
+      roundingLoss: !numerator.mod(denominator).isZero(),
+    };
+  }
+}
+
+module.exports = Converter;
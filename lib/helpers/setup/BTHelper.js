@@ -22,11 +22,14 @@
 
 const AbiBinProvider = require('../../AbiBinProvider');
 const Contracts = require('../../Contracts');
+const Logger = require('../../../utils/Logger');
+const SetupCheckpoint = require('./SetupCheckpoint');
 const Utils = require('../../../utils/Utils');
 
 const ContractName = 'BrandedToken';
 const DEFAULT_DECIMALS = 18;
 const DEFAULT_CONVERSION_RATE_DECIMALS = 5;
+const CHECKPOINT_STEP = 'brandedToken';
 
 /**
  *  BTHelper has setup and deployment methods for BT contract.
@@ -36,11 +39,17 @@ class BTHelper {
    * BTHelper constructor.
    * @param originWeb3 - Origin chain web3 object.
    * @param address - BrandedToken contract address
+   * @param checkpoint - Optional SetupCheckpoint object. If set, setup steps
+   *                     are recorded and skipped on re-run if their on-chain
+   *                     effects are already in place.
+   * @param logger - Optional logger, defaults to the global logger.
    */
-  constructor(originWeb3, address) {
+  constructor(originWeb3, address, checkpoint, logger) {
     const oThis = this;
     oThis.originWeb3 = originWeb3;
     oThis.address = address;
+    oThis.checkpoint = checkpoint;
+    oThis.logger = logger;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -58,7 +67,10 @@ class BTHelper {
    *                  }
    * @param txOptions More options for flexibility.
    * @param originWeb3 Origin chain web3 object.
-   * @returns {Promise} - Promise object.
+   * @returns {Promise} - Promise object. With a checkpoint, it resolves to
+   *                      `{ contractAddress, skipped: true }` if the recorded
+   *                      contract is already deployed with the symbol,
+   *                      valueToken and organization of the config.
    */
   setup(config, txOptions, originWeb3) {
     const oThis = this;
@@ -70,15 +82,12 @@ class BTHelper {
 
     BTHelper.validateSetupConfig(config);
 
-    let finalTxOptions;
-    if (!txOptions) {
-      finalTxOptions = txOptions || {};
-    }
+    const finalTxOptions = txOptions || {};
 
     const deployParams = Object.assign({}, finalTxOptions);
     deployParams.from = config.deployer;
 
-    const promiseChain = oThis.deploy(
+    const deploy = () => oThis.deploy(
       config.valueToken,
       config.symbol,
       config.name,
@@ -90,7 +99,25 @@ class BTHelper {
       originWeb3Object,
     );
 
-    return promiseChain;
+    if (!oThis.checkpoint) {
+      return deploy();
+    }
+
+    const verify = address => SetupCheckpoint.readsMatch(
+      new originWeb3Object.eth.Contract(oThis.abiBinProvider.getABI(ContractName), address),
+      {
+        symbol: config.symbol,
+        valueToken: config.valueToken,
+        organization: config.organization,
+      },
+    );
+
+    return oThis.checkpoint
+      .deployOnce(CHECKPOINT_STEP, originWeb3Object, deploy, verify)
+      .then((txReceipt) => {
+        oThis.address = txReceipt.contractAddress;
+        return txReceipt;
+      });
   }
 
   /**
@@ -179,9 +206,15 @@ class BTHelper {
       originWeb3Object,
     );
 
-    console.log(`* Deploying ${ContractName} Contract`);
-    return Utils.sendTransaction(tx, txOptions).then((txReceipt) => {
+    const logger = Logger.resolve(oThis.logger);
+    logger.info('deployContract', { contractName: ContractName });
+    const sendOptions = Utils.instrumentTxOptions(txOptions, { logger: oThis.logger });
+    return Utils.sendTransaction(tx, sendOptions).then((txReceipt) => {
       oThis.address = txReceipt.contractAddress;
+      logger.info('contractDeployed', Object.assign(Logger.receiptFields(txReceipt), {
+        contractName: ContractName,
+        contractAddress: txReceipt.contractAddress,
+      }));
       return txReceipt;
     });
   }
@@ -280,21 +313,44 @@ class BTHelper {
    * @param txOptions - Transaction options.
    * @param contractAddress - Branded Token contract address.
    * @param originWeb3 - Origin chain web3 object.
+   * @returns {Promise} - Promise object. With a checkpoint, addresses which
+   *                      are already unrestricted are left out and it
+   *                      resolves to `{ skipped: true }` if none is left.
    */
   liftRestriction(addresses, organizationWorker, txOptions, contractAddress, originWeb3) {
     const oThis = this;
     const originWeb3Object = originWeb3 || oThis.originWeb3;
     const btContractAddress = contractAddress || oThis.address;
 
-    const tx = oThis._liftRestrictionRawTx(
-      addresses,
-      organizationWorker,
-      txOptions,
-      btContractAddress,
-      originWeb3Object,
+    const liftRestriction = restrictedAddresses => Utils.sendTransaction(
+      oThis._liftRestrictionRawTx(
+        restrictedAddresses,
+        organizationWorker,
+        txOptions,
+        btContractAddress,
+        originWeb3Object,
+      ),
+      Utils.instrumentTxOptions(txOptions, { logger: oThis.logger }),
     );
 
-    return Utils.sendTransaction(tx, txOptions);
+    if (!oThis.checkpoint) {
+      return liftRestriction(addresses);
+    }
+
+    const addressesArray = typeof addresses === 'string' ? [addresses] : addresses;
+    const abi = oThis.abiBinProvider.getABI(ContractName);
+    const contract = new originWeb3Object.eth.Contract(abi, btContractAddress);
+
+    return Promise.all(
+      addressesArray.map(address => contract.methods.isUnrestricted(address).call()),
+    ).then((unrestricted) => {
+      const restrictedAddresses = addressesArray.filter((address, index) => !unrestricted[index]);
+      if (restrictedAddresses.length === 0) {
+        return { skipped: true };
+      }
+
+      return liftRestriction(restrictedAddresses);
+    });
   }
 
   /**
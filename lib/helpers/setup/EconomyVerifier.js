@@ -0,0 +1,210 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const AbiBinProvider = require('../../AbiBinProvider');
+const Contracts = require('../../Contracts');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Verifies that the contracts of a deployed economy are wired correctly.
+ */
+class EconomyVerifier {
+  /**
+   * EconomyVerifier constructor.
+   *
+   * @param originWeb3 Origin chain web3 object.
+   * @param auxiliaryWeb3 Auxiliary chain web3 object.
+   */
+  constructor(originWeb3, auxiliaryWeb3) {
+    const oThis = this;
+    oThis.originWeb3 = originWeb3;
+    oThis.auxiliaryWeb3 = auxiliaryWeb3;
+    oThis.abiBinProvider = new AbiBinProvider();
+
+    oThis.verify = oThis.verify.bind(oThis);
+  }
+
+  /**
+   * Runs all checks. A check that can not be read from chain fails with
+   * the error message.
+   *
+   * @param addresses - Address manifest, as written by
+   *                    EconomySetup.deployFromManifest:
+   *        {
+   *          valueToken, brandedToken, utilityBrandedToken,
+   *          originOrganization: optional,
+   *          auxiliaryOrganization: optional,
+   *          gateway: optional, coGateway: optional,
+   *          gatewayComposers: { <owner>: <address> }, optional
+   *        }
+   * @param expected - Expected BrandedToken configuration, optional:
+   *        { conversionRate, conversionRateDecimals }
+   * @returns {Promise<Object>} - Promise that resolves to the report:
+   *        {
+   *          passed: true if all checks passed,
+   *          checks: [{ name, passed, expected, actual, error }]
+   *        }
+   */
+  verify(addresses, expected) {
+    const oThis = this;
+    const config = expected || {};
+
+    const brandedToken = Contracts.getBrandedToken(oThis.originWeb3, addresses.brandedToken);
+    const utilityBrandedToken = Contracts.getUtilityBrandedToken(
+      oThis.auxiliaryWeb3,
+      addresses.utilityBrandedToken,
+    );
+    const call = (contract, method, ...args) => () => contract.methods[method](...args).call();
+
+    const checks = [
+      oThis._bytecodeCheck('BrandedToken', oThis.originWeb3, addresses.brandedToken),
+      EconomyVerifier._addressCheck('BrandedToken.valueToken', call(brandedToken, 'valueToken'), addresses.valueToken),
+      oThis._bytecodeCheck('UtilityBrandedToken', oThis.auxiliaryWeb3, addresses.utilityBrandedToken),
+      EconomyVerifier._addressCheck('UtilityBrandedToken.brandedToken', call(utilityBrandedToken, 'brandedToken'), addresses.brandedToken),
+    ];
+
+    if (addresses.originOrganization) {
+      checks.push(EconomyVerifier._addressCheck('BrandedToken.organization', call(brandedToken, 'organization'), addresses.originOrganization));
+    }
+    if (config.conversionRate !== undefined) {
+      checks.push(EconomyVerifier._valueCheck('BrandedToken.conversionRate', call(brandedToken, 'conversionRate'), config.conversionRate));
+    }
+    if (config.conversionRateDecimals !== undefined) {
+      checks.push(EconomyVerifier._valueCheck('BrandedToken.conversionRateDecimals', call(brandedToken, 'conversionRateDecimals'), config.conversionRateDecimals));
+    }
+    if (addresses.auxiliaryOrganization) {
+      checks.push(EconomyVerifier._addressCheck('UtilityBrandedToken.organization', call(utilityBrandedToken, 'organization'), addresses.auxiliaryOrganization));
+    }
+
+    if (addresses.coGateway) {
+      checks.push(EconomyVerifier._addressCheck('UtilityBrandedToken.coGateway', call(utilityBrandedToken, 'coGateway'), addresses.coGateway));
+    } else {
+      checks.push(EconomyVerifier._check(
+        'UtilityBrandedToken.coGateway',
+        call(utilityBrandedToken, 'coGateway'),
+        'non-zero address',
+        actual => !!actual && actual !== ZERO_ADDRESS,
+      ));
+    }
+
+    if (addresses.gateway) {
+      const gateway = Contracts.getEIP20Gateway(oThis.originWeb3, addresses.gateway);
+      checks.push(
+        EconomyVerifier._valueCheck('BrandedToken.isUnrestricted(gateway)', call(brandedToken, 'isUnrestricted', addresses.gateway), true),
+        EconomyVerifier._valueCheck(
+          'BrandedToken.isUnrestricted(stakeVault)',
+          () => gateway.methods.stakeVault().call()
+            .then(stakeVault => brandedToken.methods.isUnrestricted(stakeVault).call()),
+          true,
+        ),
+      );
+    }
+
+    const gatewayComposers = addresses.gatewayComposers || {};
+    Object.keys(gatewayComposers).forEach((owner) => {
+      const address = gatewayComposers[owner];
+      const gatewayComposer = Contracts.getGatewayComposer(oThis.originWeb3, address);
+      const name = `GatewayComposer(${owner})`;
+      checks.push(
+        oThis._bytecodeCheck(name, oThis.originWeb3, address, 'GatewayComposer'),
+        EconomyVerifier._addressCheck(`${name}.owner`, call(gatewayComposer, 'owner'), owner),
+        EconomyVerifier._addressCheck(`${name}.valueToken`, call(gatewayComposer, 'valueToken'), addresses.valueToken),
+        EconomyVerifier._addressCheck(`${name}.brandedToken`, call(gatewayComposer, 'brandedToken'), addresses.brandedToken),
+      );
+    });
+
+    return Promise.all(checks.map(check => check())).then(results => ({
+      passed: results.every(result => result.passed),
+      checks: results,
+    }));
+  }
+
+  /**
+   * Returns a check that the deployed code at an address equals the shipped
+   * runtime BIN of the contract, apart from the metadata hash.
+   *
+   * @private
+   */
+  _bytecodeCheck(name, web3, address, contractName) {
+    const oThis = this;
+
+    return EconomyVerifier._check(
+      `${name}.bytecode`,
+      () => oThis.abiBinProvider.verifyDeployedCode(web3, address, contractName || name)
+        .then(result => result.type === 'runtime'),
+      true,
+      actual => actual === true,
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _addressCheck(name, read, expected) {
+    return EconomyVerifier._check(
+      name,
+      read,
+      expected,
+      actual => typeof actual === 'string' && actual.toLowerCase() === expected.toLowerCase(),
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _valueCheck(name, read, expected) {
+    return EconomyVerifier._check(
+      name,
+      read,
+      expected,
+      actual => String(actual) === String(expected),
+    );
+  }
+
+  /**
+   * Returns a function that reads the actual value and resolves to the check
+   * result. It never rejects.
+   *
+   * @private
+   */
+  static _check(name, read, expected, test) {
+    return () => Promise.resolve()
+      .then(read)
+      .then(
+        actual => ({
+          name,
+          passed: test(actual),
+          expected,
+          actual,
+        }),
+        error => ({
+          name,
+          passed: false,
+          expected,
+          error: error.message,
+        }),
+      );
+  }
+}
+
+module.exports = EconomyVerifier;
@@ -21,9 +21,12 @@
 'use strict';
 
 const AbiBinProvider = require('../../AbiBinProvider');
+const Logger = require('../../../utils/Logger');
+const SetupCheckpoint = require('./SetupCheckpoint');
 const Utils = require('../../../utils/Utils');
 
 const ContractName = 'GatewayComposer';
+const CHECKPOINT_STEP = 'gatewayComposer';
 
 /**
  * Performs setup and deployment of GatewayComposer.
@@ -33,11 +36,17 @@ class GCHelper {
    * GCHelper constructor.
    * @param originWeb3 - Origin chain web3 object.
    * @param address - GatewayComposer contract address.
+   * @param checkpoint - Optional SetupCheckpoint object. If set, deployment
+   *                     is recorded per owner and skipped on re-run if the
+   *                     recorded contract is already deployed.
+   * @param logger - Optional logger, defaults to the global logger.
    */
-  constructor(originWeb3, address) {
+  constructor(originWeb3, address, checkpoint, logger) {
     const oThis = this;
     oThis.originWeb3 = originWeb3;
     oThis.address = address;
+    oThis.checkpoint = checkpoint;
+    oThis.logger = logger;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -51,7 +60,10 @@ class GCHelper {
    *                  }
    * @param txOptions - Tx options.
    * @param originWeb3 - Origin chain web3 object.
-   * @returns {Promise} - Promise object.
+   * @returns {Promise} - Promise object. With a checkpoint, it resolves to
+   *                      `{ contractAddress, skipped: true }` if the recorded
+   *                      contract is already deployed with the owner,
+   *                      valueToken and brandedToken of the config.
    */
   setup(config, txOptions, originWeb3) {
     const oThis = this;
@@ -59,16 +71,13 @@ class GCHelper {
 
     GCHelper.validateSetupConfig(config);
 
-    let txOptionsObject;
-    if (!txOptions) {
-      txOptionsObject = txOptions || {};
-    }
+    const txOptionsObject = txOptions || {};
 
     const deployParams = Object.assign({}, txOptionsObject);
     deployParams.from = config.deployer;
 
     // Deploy the Contract
-    const promiseChain = oThis.deploy(
+    const deploy = () => oThis.deploy(
       config.owner,
       config.valueToken,
       config.brandedToken,
@@ -76,7 +85,25 @@ class GCHelper {
       originWeb3Object,
     );
 
-    return promiseChain;
+    if (!oThis.checkpoint) {
+      return deploy();
+    }
+
+    const verify = address => SetupCheckpoint.readsMatch(
+      new originWeb3Object.eth.Contract(oThis.abiBinProvider.getABI(ContractName), address),
+      {
+        owner: config.owner,
+        valueToken: config.valueToken,
+        brandedToken: config.brandedToken,
+      },
+    );
+
+    return oThis.checkpoint
+      .deployOnce(`${CHECKPOINT_STEP}.${config.owner}`, originWeb3Object, deploy, verify)
+      .then((txReceipt) => {
+        oThis.address = txReceipt.contractAddress;
+        return txReceipt;
+      });
   }
 
   /**
@@ -120,8 +147,16 @@ class GCHelper {
 
     const tx = oThis._deployRawTx(owner, valueToken, brandedToken, txOptions, originWeb3Object);
 
-    return Utils.sendTransaction(tx, txOptions).then((txReceipt) => {
+    const logger = Logger.resolve(oThis.logger);
+    logger.info('deployContract', { contractName: ContractName, owner });
+    const sendOptions = Utils.instrumentTxOptions(txOptions, { logger: oThis.logger });
+    return Utils.sendTransaction(tx, sendOptions).then((txReceipt) => {
       oThis.address = txReceipt.contractAddress;
+      logger.info('contractDeployed', Object.assign(Logger.receiptFields(txReceipt), {
+        contractName: ContractName,
+        contractAddress: txReceipt.contractAddress,
+        owner,
+      }));
       return txReceipt;
     });
   }
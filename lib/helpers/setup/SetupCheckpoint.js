@@ -0,0 +1,175 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Records progress of economy setup steps in a JSON file, so that a failed
+ * setup can be re-run without redeploying contracts that already exist.
+ */
+class SetupCheckpoint {
+  /**
+   * SetupCheckpoint constructor.
+   *
+   * @param {string} filePath Path of the checkpoint file. It is created on
+   *                          first write if it does not exist.
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new TypeError(`Mandatory Parameter 'filePath' is missing or invalid: ${filePath}`);
+    }
+
+    this.filePath = filePath;
+    this.steps = {};
+    if (fs.existsSync(filePath)) {
+      this.steps = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    this.get = this.get.bind(this);
+    this.has = this.has.bind(this);
+    this.set = this.set.bind(this);
+    this.deployOnce = this.deployOnce.bind(this);
+  }
+
+  /**
+   * @param {string} step Name of the setup step.
+   *
+   * @returns {*} Value recorded for the step, undefined if not recorded.
+   */
+  get(step) {
+    return this.steps[step];
+  }
+
+  /**
+   * @param {string} step Name of the setup step.
+   *
+   * @returns {boolean} True if the step is recorded.
+   */
+  has(step) {
+    return Object.prototype.hasOwnProperty.call(this.steps, step);
+  }
+
+  /**
+   * Records a completed step and writes the checkpoint file.
+   *
+   * @param {string} step Name of the setup step.
+   * @param {*} value JSON serializable value of the step, e.g. the address of
+   *                  a deployed contract.
+   */
+  set(step, value) {
+    this.steps[step] = value;
+    this._write();
+  }
+
+  /**
+   * Runs a deployment step unless the contract recorded for it on the same
+   * chain exists and passes the verification. The address of a new
+   * deployment is recorded under the step and the chain id, e.g.
+   * `brandedToken@3`.
+   *
+   * @param {string} step Name of the setup step.
+   * @param {Web3} web3 Web3 object of the chain deployed to.
+   * @param {Function} deploy Function that deploys the contract and returns a
+   *                          promise resolving to the transaction receipt.
+   * @param {Function} [verify] Function called with the recorded address
+   *                            that resolves to true if the contract is the
+   *                            one the step would deploy, see
+   *                            {@link SetupCheckpoint.readsMatch}.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the transaction
+   *                            receipt, or to `{ contractAddress, skipped: true }`
+   *                            if the recorded contract is already deployed.
+   */
+  deployOnce(step, web3, deploy, verify) {
+    return web3.eth.net.getId().then((chainId) => {
+      const chainStep = `${step}@${chainId}`;
+      const address = this.get(chainStep);
+      const reusablePromise = address
+        ? SetupCheckpoint.isDeployed(web3, address)
+          .then(deployed => (deployed && verify ? verify(address) : deployed))
+        : Promise.resolve(false);
+
+      return reusablePromise.then((reusable) => {
+        if (reusable) {
+          return { contractAddress: address, skipped: true };
+        }
+
+        return deploy().then((txReceipt) => {
+          this.set(chainStep, txReceipt.contractAddress);
+          return txReceipt;
+        });
+      });
+    });
+  }
+
+  /**
+   * @returns {Object} Recorded steps.
+   */
+  toJSON() {
+    return Object.assign({}, this.steps);
+  }
+
+  /**
+   * Writes the steps to a temporary file and renames it, so that the file is
+   * never left half written.
+   *
+   * @private
+   */
+  _write() {
+    const tmpFilePath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpFilePath, JSON.stringify(this.steps, null, 2));
+    fs.renameSync(tmpFilePath, this.filePath);
+  }
+
+  /**
+   * Checks if contract code exists at a recorded address.
+   *
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {string} address Contract address.
+   *
+   * @returns {Promise<boolean>} Promise that resolves to true if code exists.
+   */
+  static isDeployed(web3, address) {
+    return web3.eth.getCode(address).then(code => !!code && code !== '0x' && code !== '0x0');
+  }
+
+  /**
+   * Checks the values of getters of a contract, e.g. to verify a recorded
+   * deployment. Addresses compare case-insensitively.
+   *
+   * @param {Object} contract Web3 contract object.
+   * @param {Object} expected Expected values by getter name, e.g.
+   *                          `{ symbol: 'BT' }`.
+   *
+   * @returns {Promise<boolean>} Promise that resolves to true if all getters
+   *                             return the expected values.
+   */
+  static readsMatch(contract, expected) {
+    const getters = Object.keys(expected);
+    return Promise.all(getters.map(getter => contract.methods[getter]().call()))
+      .then(values => values.every((value, index) => (
+        String(value).toLowerCase() === String(expected[getters[index]]).toLowerCase()
+      )));
+  }
+}
+
+module.exports = SetupCheckpoint;
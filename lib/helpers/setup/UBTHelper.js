@@ -21,10 +21,13 @@
 'use strict';
 
 const AbiBinProvider = require('../../AbiBinProvider');
+const Logger = require('../../../utils/Logger');
+const SetupCheckpoint = require('./SetupCheckpoint');
 const Utils = require('../../../utils/Utils');
 
 const ContractName = 'UtilityBrandedToken';
 const DEFAULT_DECIMALS = 18;
+const CHECKPOINT_STEP = 'utilityBrandedToken';
 
 /**
  * The class performs deployment and setup of UtilityBrandedToken
@@ -35,11 +38,17 @@ class UBTHelper {
    * UBTHelper constructor.
    * @param auxiliaryWeb3 Auxiliary chain web3 object.
    * @param address UtilityBrandedToken contract address.
+   * @param checkpoint Optional SetupCheckpoint object. If set, setup steps
+   *                   are recorded and skipped on re-run if their on-chain
+   *                   effects are already in place.
+   * @param logger Optional logger, defaults to the global logger.
    */
-  constructor(auxiliaryWeb3, address) {
+  constructor(auxiliaryWeb3, address, checkpoint, logger) {
     const oThis = this;
     oThis.auxiliaryWeb3 = auxiliaryWeb3;
     oThis.address = address;
+    oThis.checkpoint = checkpoint;
+    oThis.logger = logger;
     oThis.abiBinProvider = new AbiBinProvider();
   }
 
@@ -57,7 +66,10 @@ class UBTHelper {
    *        }
    * @param txOptions - Transaction object.
    * @param auxiliaryWeb3 - Auxiliary chain web3 object.
-   * @returns {Promise} - Promise object.
+   * @returns {Promise} - Promise object. With a checkpoint, it resolves to
+   *                      `{ contractAddress, skipped: true }` if the recorded
+   *                      contract is already deployed with the symbol,
+   *                      token and organization of the config.
    */
   setup(config, txOptions, auxiliaryWeb3) {
     const oThis = this;
@@ -73,15 +85,12 @@ class UBTHelper {
 
     UBTHelper.validateSetupConfig(config);
 
-    let finalTxOptions;
-    if (!txOptions) {
-      finalTxOptions = txOptions || {};
-    }
+    const finalTxOptions = txOptions || {};
 
     const deployParams = Object.assign({}, finalTxOptions);
     deployParams.from = config.deployer;
 
-    const promiseChain = oThis.deploy(
+    const deploy = () => oThis.deploy(
       config.token,
       config.symbol,
       config.name,
@@ -91,7 +100,25 @@ class UBTHelper {
       auxiliaryWeb3Object,
     );
 
-    return promiseChain;
+    if (!oThis.checkpoint) {
+      return deploy();
+    }
+
+    const verify = address => SetupCheckpoint.readsMatch(
+      new auxiliaryWeb3Object.eth.Contract(oThis.abiBinProvider.getABI(ContractName), address),
+      {
+        symbol: config.symbol,
+        brandedToken: config.token,
+        organization: config.organization,
+      },
+    );
+
+    return oThis.checkpoint
+      .deployOnce(CHECKPOINT_STEP, auxiliaryWeb3Object, deploy, verify)
+      .then((txReceipt) => {
+        oThis.address = txReceipt.contractAddress;
+        return txReceipt;
+      });
   }
 
   /**
@@ -123,8 +150,15 @@ class UBTHelper {
       auxiliaryWeb3Object,
     );
 
-    return Utils.sendTransaction(tx, txOptions).then((txReceipt) => {
+    const logger = Logger.resolve(oThis.logger);
+    logger.info('deployContract', { contractName: ContractName });
+    const sendOptions = Utils.instrumentTxOptions(txOptions, { logger: oThis.logger });
+    return Utils.sendTransaction(tx, sendOptions).then((txReceipt) => {
       oThis.address = txReceipt.contractAddress;
+      logger.info('contractDeployed', Object.assign(Logger.receiptFields(txReceipt), {
+        contractName: ContractName,
+        contractAddress: txReceipt.contractAddress,
+      }));
       return txReceipt;
     });
   }
@@ -175,20 +209,49 @@ class UBTHelper {
    * @param txOptions - Tx options.
    * @param contractAddress - UtilityBrandedToken contract address.
    * @param auxiliaryWeb3 - Auxiliary chain web3 object.
+   * @returns {Promise} - Promise object. With a checkpoint, it resolves to
+   *                      `{ skipped: true }` if the CoGateway is already set
+   *                      and rejects if another CoGateway is set.
    */
   setCoGateway(cogateway, txOptions, contractAddress, auxiliaryWeb3) {
     const oThis = this;
     const auxiliaryWeb3Object = auxiliaryWeb3 || oThis.auxiliaryWeb3;
     const ubtContractAddress = contractAddress || oThis.address;
 
-    const tx = oThis._setCoGatewayRawTx(
-      cogateway,
-      txOptions,
-      ubtContractAddress,
-      auxiliaryWeb3Object,
+    const setCoGateway = () => Utils.sendTransaction(
+      oThis._setCoGatewayRawTx(
+        cogateway,
+        txOptions,
+        ubtContractAddress,
+        auxiliaryWeb3Object,
+      ),
+      Utils.instrumentTxOptions(txOptions, { logger: oThis.logger }),
     );
 
-    return Utils.sendTransaction(tx, txOptions);
+    if (!oThis.checkpoint) {
+      return setCoGateway();
+    }
+
+    const abi = oThis.abiBinProvider.getABI(ContractName);
+    const contract = new auxiliaryWeb3Object.eth.Contract(abi, ubtContractAddress);
+
+    return contract.methods
+      .coGateway()
+      .call()
+      .then((currentCoGateway) => {
+        if (currentCoGateway && currentCoGateway.toLowerCase() === cogateway.toLowerCase()) {
+          return { skipped: true };
+        }
+        // UtilityBrandedToken allows to set the CoGateway only once.
+        if (currentCoGateway && !/^0x0{40}$/.test(currentCoGateway)) {
+          const err = new Error(
+            `CoGateway of ${ubtContractAddress} is already set to ${currentCoGateway}, cannot set ${cogateway}.`,
+          );
+          return Promise.reject(err);
+        }
+
+        return setCoGateway();
+      });
   }
 
   /**
@@ -20,9 +20,11 @@
 
 'use strict';
 
+const Web3 = require('web3');
 const Mosaic = require('@openstfoundation/mosaic.js');
 
 const AbiBinProvider = require('../../../AbiBinProvider');
+const Contracts = require('../../../Contracts');
 const Utils = require('../../../../utils/Utils');
 
 const gatewayComposerContractName = 'GatewayComposer';
@@ -67,6 +69,25 @@ class StakeHelper {
     return contract.methods.convertToBrandedTokens(vtAmountInWei).call();
   }
 
+  /**
+   * Returns the amount of value tokens equivalent to a given amount of branded tokens.
+   *
+   * @param btAmountInWei BrandedToken amount to convert.
+   * @param brandedTokenContractAddress BrandedToken contract address.
+   * @param originWeb3 Origin chain web3 address.
+   * @param txOptions Tx options.
+   */
+  convertToVTToken(btAmountInWei, brandedTokenContractAddress, originWeb3, txOptions) {
+    const oThis = this;
+
+    const web3 = originWeb3 || oThis.originWeb3;
+    const brandedToken = brandedTokenContractAddress || oThis.brandedToken;
+    const abi = oThis.abiBinProvider.getABI(brandedTokenContractName);
+    const contract = new web3.eth.Contract(abi, brandedToken, txOptions);
+
+    return contract.methods.convertToValueTokens(btAmountInWei).call();
+  }
+
   /**
    * Approve gateway composer for ValueToken.
    *
@@ -190,7 +211,8 @@ class StakeHelper {
 
   /**
    * Facilitator performs accept stake request.
-   * Note: Add KYC worker account/private key in web3 wallet before calling acceptStakeRequest.
+   * Note: The facilitator account must be unlocked on the node, added to web3
+   * wallet or given as `signer` in txOptions, see Utils.sendTransaction.
    *
    * @param stakeRequestHash Stake request hash unique for each stake.
    * @param signature EIP712 Signature object of KYC worker address generated by signing
@@ -275,9 +297,114 @@ class StakeHelper {
     throw new Error('StakeRequest TypedData is invalid');
   }
 
+  /**
+   * Signs StakeRequest typed data per EIP 712.
+   *
+   * @param {EIP712TypedData} typedData StakeRequest typed data as returned by
+   *                                    {@link StakeHelper#getStakeRequestTypedData}.
+   * @param {string|Object} signer Private key or web3 account of the KYC
+   *                               worker.
+   * @returns {Object} Signature format:
+   *                  {
+   *                    messageHash: signHash,
+   *                    v: vrs[0],
+   *                    r: vrs[1],
+   *                    s: vrs[2],
+   *                    signature: signature
+   *                  }
+   */
+  static signStakeRequest(typedData, signer) {
+    if (!(typedData instanceof TypedDataClass)) {
+      throw new TypeError(`Invalid typed data: ${typedData}.`);
+    }
+
+    let account = signer;
+    if (typeof signer === 'string') {
+      account = new Web3().eth.accounts.privateKeyToAccount(signer);
+    }
+    if (!account || typeof account.signEIP712TypedData !== 'function') {
+      throw new TypeError('Invalid signer. Provide a private key or web3 account.');
+    }
+
+    return account.signEIP712TypedData(typedData);
+  }
+
+  /**
+   * Recovers the address that signed StakeRequest typed data.
+   *
+   * @param {EIP712TypedData} typedData StakeRequest typed data.
+   * @param {Object|string} signature Signature object as returned by
+   *                                  {@link StakeHelper.signStakeRequest} or
+   *                                  signature hex string.
+   * @returns {string} Address of the signer.
+   */
+  static recoverStakeRequestSigner(typedData, signature) {
+    if (!(typedData instanceof TypedDataClass)) {
+      throw new TypeError(`Invalid typed data: ${typedData}.`);
+    }
+
+    let signatureHex = signature;
+    if (signature && typeof signature === 'object') {
+      signatureHex = signature.signature || StakeHelper._joinSignature(signature);
+    }
+    if (!Web3.utils.isHexStrict(signatureHex)) {
+      throw new TypeError(`Invalid signature: ${signatureHex}.`);
+    }
+
+    const signHash = typedData.getEIP712SignHash();
+
+    // The sign hash is already prefixed per EIP 712.
+    return new Web3().eth.accounts.recover(signHash, signatureHex, true);
+  }
+
+  /**
+   * Checks that StakeRequest typed data is signed by a worker of the
+   * organization of BrandedToken.
+   *
+   * @param {EIP712TypedData} typedData StakeRequest typed data.
+   * @param {Object|string} signature Signature object or signature hex string.
+   * @param {string} [brandedToken] BrandedToken contract address.
+   * @param {Web3} [originWeb3] Origin chain web3 object.
+   * @returns {Promise<boolean>} Promise that resolves to `true` if the signer
+   *                             is a registered organization worker.
+   */
+  async isSignedByWorker(typedData, signature, brandedToken, originWeb3) {
+    const oThis = this;
+
+    const web3 = originWeb3 || oThis.originWeb3;
+    const brandedTokenAddr = brandedToken || oThis.brandedToken;
+
+    const signer = StakeHelper.recoverStakeRequestSigner(typedData, signature);
+    const organization = await Contracts.getBrandedToken(web3, brandedTokenAddr)
+      .methods
+      .organization()
+      .call();
+
+    return Contracts.getOrganization(web3, organization)
+      .methods
+      .isWorker(signer)
+      .call();
+  }
+
+  /**
+   * Joins r, s and v of a signature into a signature hex string.
+   *
+   * @param {Object} signature Signature object with r, s and v.
+   * @returns {string} Signature hex string.
+   * @private
+   */
+  static _joinSignature(signature) {
+    if (!signature.r || !signature.s || signature.v === undefined) {
+      return undefined;
+    }
+    const v = Web3.utils.padLeft(Web3.utils.toHex(signature.v), 2).slice(2);
+    return `${signature.r}${signature.s.slice(2)}${v}`;
+  }
+
   /**
    * Facilitator performs accept stake request.
-   * Note: Add KYC worker account/private key in web3 wallet before calling acceptStakeRequest.
+   * Note: The facilitator account must be unlocked on the node, added to web3
+   * wallet or given as `signer` in txOptions, see Utils.sendTransaction.
    *
    * @param stakeRequestHash Stake request hash unique for a stake request.
    * @param signature EIP712 Signature object of KYC worker address generated by signing
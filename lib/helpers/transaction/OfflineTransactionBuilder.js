@@ -0,0 +1,156 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+
+'use strict';
+
+const Web3 = require('web3');
+
+const REQUIRED_FIELDS = ['nonce', 'gas', 'gasPrice', 'chainId'];
+
+/**
+ * Builds fully populated unsigned transactions from the raw transaction
+ * objects returned by the `*RawTx` methods of the contract interacts, without
+ * a connection to a node. Nonce, gas, gas price and chain id are given
+ * explicitly, so the same inputs always build the same transaction.
+ *
+ * The transactions can be signed on an air-gapped machine with a local key
+ * and broadcast later:
+ *
+ *   const rawTx = await brandedToken.requestStakeRawTx(stake, mint);
+ *   const unsignedTx = await OfflineTransactionBuilder.build(rawTx, params);
+ *   // On the air-gapped machine.
+ *   const signedTx = await OfflineTransactionBuilder.sign(unsignedTx, key);
+ *   // Online, later.
+ *   const receipt = await OfflineTransactionBuilder.broadcast(web3, signedTx);
+ */
+class OfflineTransactionBuilder {
+  /**
+   * Builds an unsigned transaction.
+   *
+   * @param {Object|Promise<Object>} rawTx Raw transaction object, or promise
+   *                                       of it, returned by a `*RawTx` method.
+   * @param {Object} params Transaction parameters:
+   *                        {
+   *                          nonce: nonce of the sender,
+   *                          gas: gas limit,
+   *                          gasPrice: gas price in wei,
+   *                          chainId: chain id,
+   *                          value: value in wei, optional, defaults to 0,
+   *                          from: sender address, optional
+   *                        }
+   *
+   * @returns {Promise<Object>} Promise that resolves to the unsigned
+   *                            transaction: { from, to, data, value, nonce,
+   *                            gas, gasPrice, chainId }. `to` is undefined
+   *                            for contract deployments. Numbers are hex
+   *                            strings.
+   */
+  static async build(rawTx, params) {
+    if (!params) {
+      const err = new TypeError(`Invalid transaction parameters: ${params}.`);
+      return Promise.reject(err);
+    }
+    for (let i = 0; i < REQUIRED_FIELDS.length; i += 1) {
+      const field = REQUIRED_FIELDS[i];
+      if (params[field] === undefined || params[field] === null) {
+        const err = new TypeError(`Mandatory transaction parameter '${field}' is missing.`);
+        return Promise.reject(err);
+      }
+    }
+    if (params.from !== undefined && !Web3.utils.isAddress(params.from)) {
+      const err = new TypeError(`Invalid from address: ${params.from}.`);
+      return Promise.reject(err);
+    }
+
+    const tx = await rawTx;
+    if (!tx || typeof tx.encodeABI !== 'function') {
+      const err = new TypeError(`Invalid raw transaction object: ${tx}.`);
+      return Promise.reject(err);
+    }
+
+    const contractAddress = tx._parent && tx._parent.options.address;
+
+    const unsignedTx = {
+      to: contractAddress || undefined,
+      data: tx.encodeABI(),
+      value: Web3.utils.toHex(params.value || 0),
+      nonce: Web3.utils.toHex(params.nonce),
+      gas: Web3.utils.toHex(params.gas),
+      gasPrice: Web3.utils.toHex(params.gasPrice),
+      chainId: Web3.utils.toHex(params.chainId),
+    };
+    if (params.from) {
+      unsignedTx.from = params.from;
+    }
+    return unsignedTx;
+  }
+
+  /**
+   * Signs an unsigned transaction with a private key. It does not need a
+   * connection to a node, as all fields are populated.
+   *
+   * @param {Object} unsignedTx Unsigned transaction returned by build.
+   * @param {string} privateKey Private key of the sender.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the signed
+   *                            transaction: { rawTransaction,
+   *                            transactionHash, from }.
+   */
+  static async sign(unsignedTx, privateKey) {
+    const { accounts } = new Web3().eth;
+    const account = accounts.privateKeyToAccount(privateKey);
+    if (unsignedTx.from && unsignedTx.from.toLowerCase() !== account.address.toLowerCase()) {
+      const err = new Error(
+        `Private key of ${account.address} does not match from address ${unsignedTx.from}.`,
+      );
+      return Promise.reject(err);
+    }
+
+    const tx = Object.assign({}, unsignedTx, {
+      nonce: Web3.utils.hexToNumber(unsignedTx.nonce),
+      chainId: Web3.utils.hexToNumber(unsignedTx.chainId),
+    });
+    delete tx.from;
+
+    const signedTx = await accounts.signTransaction(tx, privateKey);
+    return {
+      rawTransaction: signedTx.rawTransaction,
+      transactionHash: Web3.utils.sha3(signedTx.rawTransaction),
+      from: account.address,
+    };
+  }
+
+  /**
+   * Broadcasts a signed transaction.
+   *
+   * @param {Web3} web3 Web3 object connected to the chain.
+   * @param {Object|string} signedTx Signed transaction returned by sign, or
+   *                                 its raw transaction.
+   *
+   * @returns {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  static broadcast(web3, signedTx) {
+    const rawTransaction = typeof signedTx === 'string' ? signedTx : signedTx.rawTransaction;
+    return web3.eth.sendSignedTransaction(rawTransaction);
+  }
+}
+
+module.exports = OfflineTransactionBuilder;
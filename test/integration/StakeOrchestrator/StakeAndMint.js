@@ -0,0 +1,316 @@
+// Copyright 2019 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+'use strict';
+
+// Load external packages
+const chai = require('chai');
+const Web3 = require('web3');
+const Mosaic = require('@openstfoundation/mosaic.js');
+const Package = require('./../../../index');
+
+const Setup = Package.EconomySetup;
+const { assert } = chai;
+const config = require('./../../utils/configReader');
+
+const { StakeHelper } = Package.Helpers;
+const { StakeOrchestrator } = Package.Helpers;
+const { UtilityBrandedToken } = Package.ContractInteract;
+const MockContractsDeployer = require('./../../utils/MockContractsDeployer');
+
+const BTHelper = Setup.BrandedTokenHelper;
+const UBTHelper = Setup.UtilityBrandedTokenHelper;
+const { GatewayComposerHelper } = Setup;
+const { dockerSetup, dockerTeardown } = require('./../../utils/docker');
+
+const zeroAddress = '0x0000000000000000000000000000000000000000';
+const bounty = '100';
+const maxStateRoots = '10';
+
+let originWeb3;
+let auxiliaryWeb3;
+let originDeployer;
+let auxiliaryDeployer;
+let worker;
+let beneficiary;
+let originOrganization;
+let auxiliaryOrganization;
+let caMockToken;
+let btAddress;
+let ubtAddress;
+let originAnchor;
+let auxiliaryAnchor;
+let caGateway;
+let caCoGateway;
+let gatewayComposerAddress;
+let originTxOptions;
+let auxiliaryTxOptions;
+
+describe('Performs stake and mint from origin to auxiliary through StakeOrchestrator', async () => {
+  before(async () => {
+    // Set up docker geth instances and retrieve RPC endpoints
+    const { rpcEndpointOrigin, rpcEndpointAuxiliary } = await dockerSetup();
+    originWeb3 = new Web3(rpcEndpointOrigin);
+    auxiliaryWeb3 = new Web3(rpcEndpointAuxiliary);
+    [originDeployer] = await originWeb3.eth.getAccounts();
+    [auxiliaryDeployer] = await auxiliaryWeb3.eth.getAccounts();
+
+    // Create worker address in wallet in order to sign EIP 712 hash
+    await originWeb3.eth.accounts.wallet.create(1);
+    worker = originWeb3.eth.accounts.wallet[0].address;
+    ({ address: beneficiary } = auxiliaryWeb3.eth.accounts.create());
+
+    originTxOptions = {
+      from: originDeployer,
+      gas: config.gas,
+      gasPrice: config.gasPrice,
+    };
+    auxiliaryTxOptions = {
+      from: auxiliaryDeployer,
+      gas: config.gas,
+      gasPrice: config.gasPrice,
+    };
+  });
+
+  after(() => {
+    dockerTeardown();
+  });
+
+  it('Deploys Organization contracts', async () => {
+    // The deployers are workers as well, in order to anchor state roots, lift
+    // restrictions and register internal actors.
+    const [originOrganizationInstance, auxiliaryOrganizationInstance] = await Mosaic.Setup
+      .organizations(
+        originWeb3,
+        auxiliaryWeb3,
+        {
+          deployer: originDeployer,
+          owner: originDeployer,
+          workers: [worker, originDeployer],
+          workerExpirationHeight: config.workerExpirationHeight,
+        },
+        {
+          deployer: auxiliaryDeployer,
+          owner: auxiliaryDeployer,
+          workers: [auxiliaryDeployer],
+          workerExpirationHeight: config.workerExpirationHeight,
+        },
+        originTxOptions,
+        auxiliaryTxOptions,
+      );
+    originOrganization = originOrganizationInstance.address;
+    auxiliaryOrganization = auxiliaryOrganizationInstance.address;
+    assert.isNotNull(originOrganization, 'Origin Organization contract address should not be null.');
+    assert.isNotNull(auxiliaryOrganization, 'Auxiliary Organization contract address should not be null.');
+  });
+
+  it('Deploys EIP20Token contract', async () => {
+    const deployerInstance = new MockContractsDeployer(originDeployer, originWeb3);
+    await deployerInstance.deployMockToken();
+    caMockToken = deployerInstance.addresses.MockToken;
+    assert.isNotNull(caMockToken, 'EIP20Token contract address should not be null.');
+  });
+
+  it('Deploys BrandedToken and UtilityBrandedToken contracts', async () => {
+    const btHelper = new BTHelper(originWeb3, null);
+    const brandedTokenInstance = await btHelper.setup(
+      {
+        deployer: originDeployer,
+        valueToken: caMockToken,
+        symbol: config.symbol,
+        name: config.name,
+        decimals: config.decimals,
+        conversionRate: config.conversionRate,
+        conversionRateDecimals: config.conversionRateDecimals,
+        organization: originOrganization,
+      },
+      originTxOptions,
+    );
+    btAddress = brandedTokenInstance.contractAddress;
+
+    const ubtHelper = new UBTHelper(auxiliaryWeb3, null);
+    const utilityBrandedTokenInstance = await ubtHelper.setup(
+      {
+        deployer: auxiliaryDeployer,
+        token: btAddress,
+        symbol: config.symbol,
+        name: config.name,
+        decimals: config.decimals,
+        organization: auxiliaryOrganization,
+      },
+      auxiliaryTxOptions,
+    );
+    ubtAddress = utilityBrandedTokenInstance.contractAddress;
+    assert.isNotNull(btAddress, 'BrandedToken contract address should not be null.');
+    assert.isNotNull(ubtAddress, 'UtilityBrandedToken contract address should not be null.');
+  });
+
+  it('Deploys and links Anchor contracts', async () => {
+    const [originChainId, auxiliaryChainId] = await Promise.all([
+      originWeb3.eth.net.getId(),
+      auxiliaryWeb3.eth.net.getId(),
+    ]);
+    const [originAnchorInstance, auxiliaryAnchorInstance] = await Mosaic.Setup.anchors(
+      originWeb3,
+      auxiliaryWeb3,
+      {
+        remoteChainId: auxiliaryChainId,
+        maxStateRoots,
+        organization: originOrganization,
+        deployer: originDeployer,
+        organizationOwner: originDeployer,
+      },
+      {
+        remoteChainId: originChainId,
+        maxStateRoots,
+        organization: auxiliaryOrganization,
+        deployer: auxiliaryDeployer,
+        organizationOwner: auxiliaryDeployer,
+      },
+      originTxOptions,
+      auxiliaryTxOptions,
+    );
+    originAnchor = originAnchorInstance.address;
+    auxiliaryAnchor = auxiliaryAnchorInstance.address;
+    assert.isNotNull(originAnchor, 'Origin Anchor contract address should not be null.');
+    assert.isNotNull(auxiliaryAnchor, 'Auxiliary Anchor contract address should not be null.');
+  });
+
+  it('Deploys and activates EIP20Gateway and EIP20CoGateway contracts', async () => {
+    const { EIP20Gateway, EIP20CoGateway } = await Mosaic.Setup.gateways(
+      originWeb3,
+      auxiliaryWeb3,
+      {
+        token: btAddress,
+        baseToken: caMockToken,
+        stateRootProvider: originAnchor,
+        bounty,
+        organization: originOrganization,
+        burner: zeroAddress,
+        deployer: originDeployer,
+        organizationOwner: originDeployer,
+      },
+      {
+        utilityToken: ubtAddress,
+        stateRootProvider: auxiliaryAnchor,
+        bounty,
+        organization: auxiliaryOrganization,
+        burner: zeroAddress,
+        deployer: auxiliaryDeployer,
+        organizationOwner: auxiliaryDeployer,
+      },
+      originTxOptions,
+      auxiliaryTxOptions,
+    );
+    caGateway = EIP20Gateway.address;
+    caCoGateway = EIP20CoGateway.address;
+    assert.isNotNull(caGateway, 'EIP20Gateway contract address should not be null.');
+    assert.isNotNull(caCoGateway, 'EIP20CoGateway contract address should not be null.');
+  });
+
+  it('Sets CoGateway in UBT and lifts restrictions of Gateway in BT', async () => {
+    const ubtHelper = new UBTHelper(auxiliaryWeb3, ubtAddress);
+    await ubtHelper.setCoGateway(caCoGateway, auxiliaryTxOptions);
+
+    const btHelper = new BTHelper(originWeb3, btAddress);
+    await btHelper.setGateway(caGateway, originDeployer, originTxOptions);
+  });
+
+  it('Registers beneficiary as internal actor in UBT', async () => {
+    const ubt = new UtilityBrandedToken(auxiliaryWeb3, ubtAddress);
+    const receipt = await ubt.registerInternalActor([beneficiary], auxiliaryTxOptions);
+    assert.strictEqual(receipt.status, true, 'Receipt status should be true.');
+  });
+
+  it('Deploys GatewayComposer contract', async () => {
+    const gcHelper = new GatewayComposerHelper(originWeb3, null);
+    const gatewayComposerInstance = await gcHelper.setup(
+      {
+        deployer: originDeployer,
+        valueToken: caMockToken,
+        brandedToken: btAddress,
+        owner: originDeployer,
+      },
+      originTxOptions,
+    );
+    gatewayComposerAddress = gatewayComposerInstance.contractAddress;
+    assert.isNotNull(gatewayComposerAddress, 'GatewayComposer contract address should not be null.');
+  });
+
+  it('Performs StakeOrchestrator.stakeAndMint', async () => {
+    const stakeHelperInstance = new StakeHelper(originWeb3, btAddress, gatewayComposerAddress);
+    const mintBTAmountInWei = await stakeHelperInstance.convertToBTToken(
+      config.stakeAmountInWei,
+      btAddress,
+      originWeb3,
+      originTxOptions,
+    );
+
+    // The deployer owns the GatewayComposer and facilitates with its value
+    // tokens. The orchestrator anchors, as dev chains have no anchor service.
+    const orchestrator = new StakeOrchestrator(
+      originWeb3,
+      auxiliaryWeb3,
+      {
+        valueToken: caMockToken,
+        brandedToken: btAddress,
+        gatewayComposer: gatewayComposerAddress,
+        gateway: caGateway,
+        coGateway: caCoGateway,
+      },
+      {
+        worker: originWeb3.eth.accounts.wallet[worker],
+        stakerTxOptions: originTxOptions,
+        facilitatorTxOptions: originTxOptions,
+        auxiliaryTxOptions,
+        anchorTxOptions: auxiliaryTxOptions,
+      },
+    );
+    const phases = [];
+    orchestrator.on('progress', ({ phase, status }) => {
+      if (status === 'completed') {
+        phases.push(phase);
+      }
+    });
+
+    const flow = await orchestrator.stakeAndMint({
+      stakeVT: config.stakeAmountInWei,
+      mintBT: mintBTAmountInWei,
+      beneficiary,
+      gasPrice: '0',
+      gasLimit: '0',
+    });
+
+    assert.deepEqual(
+      phases,
+      Object.values(StakeOrchestrator.Phases),
+      'All phases should be completed in order.',
+    );
+    assert.strictEqual(flow.receipts.progressMint.status, true, 'Receipt status should be true.');
+
+    const ubt = new Mosaic.ContractInteract.EIP20Token(auxiliaryWeb3, ubtAddress);
+    const balanceOfBeneficiary = await ubt.balanceOf(beneficiary);
+    assert.strictEqual(
+      balanceOfBeneficiary,
+      mintBTAmountInWei,
+      'Beneficiary should hold the minted utility branded tokens.',
+    );
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AbiBinProvider = require('../../../lib/AbiBinProvider');
+const Spy = require('../../utils/Spy');
+
+describe('AbiBinProvider.compareBytecode()', () => {
+  let abiBinProvider;
+  let bin;
+  let runtimeCode;
+  const metadataPattern = /a165627a7a72305820[0-9a-f]{64}0029/;
+  const otherMetadata = `a165627a7a72305820${'b'.repeat(64)}0029`;
+  const constructorArguments = `${'0'.repeat(63)}1`;
+
+  beforeEach(() => {
+    abiBinProvider = new AbiBinProvider();
+    bin = abiBinProvider.getBIN('BrandedToken');
+    runtimeCode = abiBinProvider.getRuntimeBIN('BrandedToken');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should match deployed runtime code', async () => {
+    const result = abiBinProvider.compareBytecode('BrandedToken', runtimeCode);
+
+    assert.deepEqual(result, {
+      matches: true,
+      type: 'runtime',
+      metadataMatches: true,
+      constructorArguments: undefined,
+    });
+  });
+
+  it('should match runtime code with different metadata hash', async () => {
+    const code = runtimeCode.replace(metadataPattern, otherMetadata);
+
+    const result = abiBinProvider.compareBytecode('BrandedToken', code);
+
+    assert.isTrue(result.matches);
+    assert.strictEqual(result.type, 'runtime');
+    assert.isFalse(result.metadataMatches);
+  });
+
+  it('should match creation code and return constructor arguments', async () => {
+    const result = abiBinProvider.compareBytecode('BrandedToken', `${bin}${constructorArguments}`);
+
+    assert.deepEqual(result, {
+      matches: true,
+      type: 'creation',
+      metadataMatches: true,
+      constructorArguments: `0x${constructorArguments}`,
+    });
+  });
+
+  it('should ship runtime code at the end of the creation code', async () => {
+    assert.isTrue(bin.endsWith(runtimeCode.slice(2)));
+    assert.isBelow(runtimeCode.length, bin.length);
+  });
+
+  it('should not match truncated runtime code', async () => {
+    const code = runtimeCode.slice(0, -200);
+
+    const result = abiBinProvider.compareBytecode('BrandedToken', code);
+
+    assert.isFalse(result.matches);
+    assert.isFalse(result.metadataMatches);
+  });
+
+  it('should not match a suffix of the shipped code', async () => {
+    [`0x${bin.slice(-4)}`, `0x${bin.slice(-200)}`, `0x${runtimeCode.slice(-2000)}`].forEach((code) => {
+      const result = abiBinProvider.compareBytecode('BrandedToken', code);
+
+      assert.isFalse(result.matches);
+      assert.isUndefined(result.type);
+      assert.isFalse(result.metadataMatches);
+    });
+  });
+
+  it('should not match code of another contract', async () => {
+    const code = abiBinProvider.getRuntimeBIN('GatewayComposer');
+
+    const result = abiBinProvider.compareBytecode('BrandedToken', code);
+
+    assert.isFalse(result.matches);
+    assert.isFalse(result.metadataMatches);
+  });
+
+  it('should not match empty code', async () => {
+    const result = abiBinProvider.compareBytecode('BrandedToken', '0x');
+
+    assert.isFalse(result.matches);
+  });
+
+  it('should verify deployed code at an address', async () => {
+    const web3 = new Web3();
+    const address = '0x0000000000000000000000000000000000000001';
+    const getCodeSpy = sinon.replace(web3.eth, 'getCode', sinon.fake.resolves(runtimeCode));
+
+    const result = await abiBinProvider.verifyDeployedCode(web3, address, 'BrandedToken');
+
+    Spy.assert(getCodeSpy, 1, [[address]]);
+    assert.strictEqual(result.address, address);
+    assert.strictEqual(result.contractName, 'BrandedToken');
+    assert.isTrue(result.matches);
+    assert.isTrue(result.metadataMatches);
+  });
+});
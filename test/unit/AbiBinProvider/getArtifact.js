@@ -0,0 +1,112 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assert } = require('chai');
+
+const AbiBinProvider = require('../../../lib/AbiBinProvider');
+
+describe('AbiBinProvider.getArtifact()', () => {
+  let abiBinProvider;
+  let artifactsPath;
+  const version = '0.9.0';
+  const artifact = {
+    contractName: 'BrandedToken',
+    abi: [{ type: 'function', name: 'valueToken' }],
+    bytecode: '0x6080',
+    compiler: { name: 'solc', version: '0.5.0', settings: { optimizer: { enabled: true, runs: 200 } } },
+    source: { repository: 'https://github.com/OpenSTFoundation/brandedtoken-contracts.git', commit: 'abc' },
+  };
+
+  before(() => {
+    artifactsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-artifacts-'));
+    fs.mkdirSync(path.join(artifactsPath, version));
+    fs.writeFileSync(
+      path.join(artifactsPath, version, 'BrandedToken.json'),
+      JSON.stringify(artifact),
+    );
+  });
+
+  after(() => {
+    fs.unlinkSync(path.join(artifactsPath, version, 'BrandedToken.json'));
+    fs.rmdirSync(path.join(artifactsPath, version));
+    fs.rmdirSync(artifactsPath);
+  });
+
+  beforeEach(() => {
+    abiBinProvider = new AbiBinProvider(undefined, undefined, artifactsPath);
+  });
+
+  it('should return artifact of a version', async () => {
+    assert.deepEqual(
+      abiBinProvider.getArtifact('BrandedToken', { version }),
+      Object.assign({ version }, artifact),
+    );
+  });
+
+  it('should return ABI and BIN of a version', async () => {
+    assert.deepEqual(abiBinProvider.getABI('BrandedToken', { version }), artifact.abi);
+    assert.strictEqual(abiBinProvider.getBIN('BrandedToken', { version }), artifact.bytecode);
+  });
+
+  it('should serve default version from abi and bin folders', async () => {
+    const defaultArtifact = abiBinProvider.getArtifact('BrandedToken');
+
+    assert.strictEqual(defaultArtifact.version, AbiBinProvider.DEFAULT_VERSION);
+    assert.deepEqual(defaultArtifact.abi, abiBinProvider.getABI('BrandedToken'));
+    assert.strictEqual(defaultArtifact.bytecode, abiBinProvider.getBIN('BrandedToken'));
+    assert.deepEqual(
+      abiBinProvider.getABI('BrandedToken', { version: AbiBinProvider.DEFAULT_VERSION }),
+      abiBinProvider.getABI('BrandedToken'),
+    );
+  });
+
+  it('should serve shipped contracts in the default version only', async () => {
+    const shippedAbiBinProvider = new AbiBinProvider();
+
+    ['BrandedToken', 'GatewayComposer', 'UtilityBrandedToken'].forEach((contractName) => {
+      const shippedArtifact = shippedAbiBinProvider.getArtifact(contractName);
+
+      assert.deepEqual(shippedArtifact.abi, shippedAbiBinProvider.getABI(contractName));
+      assert.strictEqual(shippedArtifact.bytecode, shippedAbiBinProvider.getBIN(contractName));
+      assert.deepEqual(
+        shippedAbiBinProvider.getVersions(contractName),
+        [AbiBinProvider.DEFAULT_VERSION],
+      );
+    });
+  });
+
+  it('should list available versions', async () => {
+    assert.deepEqual(
+      abiBinProvider.getVersions('BrandedToken'),
+      [AbiBinProvider.DEFAULT_VERSION, version],
+    );
+    assert.deepEqual(
+      abiBinProvider.getVersions('GatewayComposer'),
+      [AbiBinProvider.DEFAULT_VERSION],
+    );
+  });
+
+  it('should throw an error when version is not available', async () => {
+    assert.throws(
+      () => abiBinProvider.getABI('GatewayComposer', { version }),
+      `Artifact of GatewayComposer version ${version} not found.`,
+    );
+  });
+
+  it('should throw an error when version has no runtime BIN', async () => {
+    assert.throws(
+      () => abiBinProvider.getRuntimeBIN('BrandedToken', { version }),
+      `Runtime BIN of BrandedToken version ${version} not found.`,
+    );
+  });
+
+  it('should throw an error when added artifact has no version', async () => {
+    assert.throws(
+      () => abiBinProvider.addArtifact({ contractName: 'BrandedToken' }),
+      TypeError,
+      'Artifact must have contractName and version.',
+    );
+  });
+});
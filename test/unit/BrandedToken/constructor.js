@@ -5,6 +5,7 @@ const sinon = require('sinon');
 const { assert } = require('chai');
 
 const Spy = require('../../utils/Spy');
+const AbiBinProvider = require('../../../lib/AbiBinProvider');
 const Contracts = require('../../../lib/Contracts');
 const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
 
@@ -37,7 +38,7 @@ describe('BrandedToken.constructor()', () => {
       instance.web3,
       'Web3 instance must match',
     );
-    Spy.assert(spyContract, 1, [[web3, tokenAddress]]);
+    Spy.assert(spyContract, 1, [[web3, tokenAddress, undefined]]);
     sinon.restore();
   });
 
@@ -55,7 +56,19 @@ describe('BrandedToken.constructor()', () => {
     },
     errorMessage);
 
-    Spy.assert(spyContract, 1, [[web3, tokenAddress]]);
+    Spy.assert(spyContract, 1, [[web3, tokenAddress, undefined]]);
+    sinon.restore();
+  });
+
+  it('should construct with ABI of the contract version', async () => {
+    const version = AbiBinProvider.DEFAULT_VERSION;
+    const spyGetABI = sinon.spy(AbiBinProvider.prototype, 'getABI');
+
+    const instance = new BrandedToken(web3, tokenAddress, { version });
+
+    assert.strictEqual(instance.version, version, 'Version must match');
+    assert.strictEqual(instance.contract.options.address, tokenAddress, 'Address must match');
+    assert.deepEqual(spyGetABI.args[0], ['BrandedToken', { version }]);
     sinon.restore();
   });
 
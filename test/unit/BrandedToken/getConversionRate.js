@@ -0,0 +1,76 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.getConversionRate()', () => {
+  let brandedToken;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should read conversion rate once and cache it', async () => {
+    const conversionRateSpy = sinon.replace(
+      brandedToken.contract.methods,
+      'conversionRate',
+      sinon.fake.returns({
+        call: () => Promise.resolve('35'),
+      }),
+    );
+    const conversionRateDecimalsSpy = sinon.replace(
+      brandedToken.contract.methods,
+      'conversionRateDecimals',
+      sinon.fake.returns({
+        call: () => Promise.resolve('1'),
+      }),
+    );
+
+    const response = await brandedToken.getConversionRate();
+    await brandedToken.getConversionRate();
+
+    assert.deepEqual(
+      response,
+      {
+        conversionRate: '35',
+        conversionRateDecimals: 1,
+      },
+      'Conversion rate must match',
+    );
+
+    Spy.assert(conversionRateSpy, 1);
+    Spy.assert(conversionRateDecimalsSpy, 1);
+  });
+
+  it('should read conversion rate again after a failed read', async () => {
+    const conversionRateSpy = sinon.replace(
+      brandedToken.contract.methods,
+      'conversionRate',
+      sinon.fake.returns({
+        call: () => Promise.reject(new Error('connection error')),
+      }),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'conversionRateDecimals',
+      sinon.fake.returns({
+        call: () => Promise.resolve('1'),
+      }),
+    );
+
+    await brandedToken.getConversionRate().catch(() => {});
+    await brandedToken.getConversionRate().catch(() => {});
+
+    Spy.assert(conversionRateSpy, 2);
+  });
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.getNonce()', () => {
+  let brandedToken;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  it('should return nonce', async () => {
+    const nonceSpy = sinon.replace(
+      brandedToken.contract.methods,
+      'nonce',
+      sinon.fake.returns({
+        call: () => Promise.resolve('5'),
+      }),
+    );
+    const response = await brandedToken.getNonce();
+
+    assert.strictEqual(
+      response,
+      '5',
+      'Nonce must match',
+    );
+
+    Spy.assert(nonceSpy, 1, [[]]);
+    sinon.restore();
+  });
+});
@@ -0,0 +1,234 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Utils = require('../../../utils/Utils');
+const { RestrictedActorError } = require('../../../lib/Errors');
+
+describe('BrandedToken.redeem()', () => {
+  let brandedToken;
+  let web3;
+  const txOptions = {
+    from: '0x0000000000000000000000000000000000000003',
+  };
+
+  const mockCall = value => sinon.fake.returns({
+    call: () => Promise.resolve(value),
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return redeemed value tokens from Redeemed event', async () => {
+    const brandedTokens = '100';
+    const mockRawTx = 'mockRawTx';
+    const mockReceipt = {
+      status: true,
+      transactionHash: web3.utils.sha3('t1'),
+      events: {
+        Redeemed: {
+          returnValues: {
+            _redeemer: txOptions.from,
+            _valueTokens: '10',
+          },
+        },
+      },
+    };
+
+    const rawTx = sinon.replace(
+      brandedToken,
+      'redeemRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+    const spyBalanceOf = sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      mockCall('100'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'allRestrictionsLifted',
+      mockCall(false),
+    );
+    const spyIsUnrestricted = sinon.replace(
+      brandedToken,
+      'isUnrestricted',
+      sinon.fake.resolves(true),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(mockReceipt),
+    );
+
+    const response = await brandedToken.redeem(brandedTokens, txOptions);
+
+    assert.strictEqual(response.redeemer, txOptions.from, 'Redeemer must match');
+    assert.strictEqual(response.valueTokens, '10', 'Value tokens must match');
+    assert.strictEqual(response.receipt, mockReceipt, 'Receipt must match');
+
+    Spy.assert(rawTx, 1, [[brandedTokens]]);
+    Spy.assert(spyBalanceOf, 1, [[txOptions.from]]);
+    Spy.assert(spyIsUnrestricted, 1, [[txOptions.from]]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should throw an error when balance is insufficient', async () => {
+    const brandedTokens = '100';
+    const balance = '99';
+
+    sinon.replace(
+      brandedToken.contract.methods,
+      'redeem',
+      sinon.fake.returns('mockRawTx'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      mockCall(balance),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    await AssertAsync.reject(
+      brandedToken.redeem(brandedTokens, txOptions),
+      `Insufficient branded token balance ${balance} of ${txOptions.from} to redeem ${brandedTokens}.`,
+    );
+    Spy.assert(spySendTransaction, 0);
+  });
+
+  it('should throw an error when redeemer is restricted', async () => {
+    const brandedTokens = '100';
+
+    sinon.replace(
+      brandedToken.contract.methods,
+      'redeem',
+      sinon.fake.returns('mockRawTx'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      mockCall('100'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'allRestrictionsLifted',
+      mockCall(false),
+    );
+    sinon.replace(
+      brandedToken,
+      'isUnrestricted',
+      sinon.fake.resolves(false),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    await AssertAsync.reject(
+      brandedToken.redeem(brandedTokens, txOptions),
+      `Redeemer ${txOptions.from} is restricted.`,
+    );
+    Spy.assert(spySendTransaction, 0);
+  });
+
+  it('should reject with the revert error of the transaction', async () => {
+    const brandedTokens = '100';
+    const error = new RestrictedActorError('Msg.sender is restricted.', web3.utils.sha3('t1'));
+
+    sinon.replace(
+      brandedToken.contract.methods,
+      'redeem',
+      sinon.fake.returns('mockRawTx'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      mockCall('100'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'allRestrictionsLifted',
+      mockCall(true),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.rejects(error),
+    );
+
+    const rejection = await brandedToken.redeem(brandedTokens, txOptions).catch(err => err);
+
+    assert.strictEqual(rejection, error);
+  });
+
+  it('should throw an error when Redeemed event is missing', async () => {
+    const brandedTokens = '100';
+    const mockReceipt = {
+      status: true,
+      transactionHash: web3.utils.sha3('t1'),
+    };
+
+    sinon.replace(
+      brandedToken.contract.methods,
+      'redeem',
+      sinon.fake.returns('mockRawTx'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      mockCall('100'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'allRestrictionsLifted',
+      mockCall(true),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(mockReceipt),
+    );
+
+    await AssertAsync.reject(
+      brandedToken.redeem(brandedTokens, txOptions),
+      `Redeem failed with transactionHash: ${mockReceipt.transactionHash}`,
+    );
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    const txOptionsUndefined = undefined;
+
+    await AssertAsync.reject(
+      brandedToken.redeem('100', txOptionsUndefined),
+      `Invalid transaction options: ${txOptionsUndefined}.`,
+    );
+  });
+
+  it('should throw an error when account address is invalid', async () => {
+    const invalidTxOptions = {
+      from: '0x123',
+    };
+
+    await AssertAsync.reject(
+      brandedToken.redeem('100', invalidTxOptions),
+      `Invalid from address ${invalidTxOptions.from} in transaction options.`,
+    );
+  });
+});
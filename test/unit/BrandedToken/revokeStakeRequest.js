@@ -0,0 +1,148 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Utils = require('../../../utils/Utils');
+const { StakeRequestNotFoundError } = require('../../../lib/Errors');
+
+describe('BrandedToken.revokeStakeRequest()', () => {
+  let brandedToken;
+  let web3;
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return decoded revocation result', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const mockRawTx = 'mockRawTx';
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+    };
+    const mockReceipt = {
+      status: true,
+      transactionHash: web3.utils.sha3('t1'),
+      events: {
+        StakeRequestRevoked: {
+          returnValues: {
+            _stakeRequestHash: stakeRequestHash,
+            _staker: txOptions.from,
+            _stake: '100',
+          },
+        },
+      },
+    };
+
+    const rawTx = sinon.replace(
+      brandedToken,
+      'revokeStakeRequestRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(mockReceipt),
+    );
+
+    const response = await brandedToken.revokeStakeRequest(
+      stakeRequestHash,
+      txOptions,
+    );
+
+    assert.strictEqual(
+      response.stakeRequestHash,
+      stakeRequestHash,
+      'Stake request hash must match',
+    );
+    assert.strictEqual(response.staker, txOptions.from, 'Staker must match');
+    assert.strictEqual(response.stake, '100', 'Stake must match');
+    assert.strictEqual(response.receipt, mockReceipt, 'Receipt must match');
+
+    Spy.assert(rawTx, 1, [[stakeRequestHash]]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should reject with the revert error of the transaction', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+    };
+    const error = new StakeRequestNotFoundError('Stake request not found.', web3.utils.sha3('t1'));
+
+    sinon.replace(
+      brandedToken,
+      'revokeStakeRequestRawTx',
+      sinon.fake.resolves('mockRawTx'),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.rejects(error),
+    );
+
+    const rejection = await brandedToken.revokeStakeRequest(stakeRequestHash, txOptions)
+      .catch(err => err);
+
+    assert.strictEqual(rejection, error);
+  });
+
+  it('should throw an error when StakeRequestRevoked event is missing', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+    };
+    const mockReceipt = {
+      status: true,
+      transactionHash: web3.utils.sha3('t1'),
+    };
+
+    sinon.replace(
+      brandedToken,
+      'revokeStakeRequestRawTx',
+      sinon.fake.resolves('mockRawTx'),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(mockReceipt),
+    );
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Revoke stake request failed with transactionHash: ${mockReceipt.transactionHash}`,
+    );
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = undefined;
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Invalid transaction options: ${txOptions}.`,
+    );
+  });
+
+  it('should throw an error when account address is invalid', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = {
+      from: '0x123',
+    };
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Invalid from address ${txOptions.from} in transaction options.`,
+    );
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const ConversionQuote = require('../../../lib/helpers/conversion/ConversionQuote');
+
+describe('ConversionQuote', () => {
+  // 1 value token is equivalent to 3.5 branded tokens.
+  let conversionQuote;
+
+  beforeEach(() => {
+    conversionQuote = new ConversionQuote({
+      conversionRate: '35',
+      conversionRateDecimals: 1,
+    });
+  });
+
+  it('should quote mint for stake', async () => {
+    assert.deepEqual(
+      conversionQuote.mintForStake('3'),
+      {
+        stakeVT: '3',
+        mintBT: '10',
+        roundingLoss: true,
+        exact: true,
+        conversionRate: '35',
+        conversionRateDecimals: 1,
+      },
+    );
+  });
+
+  it('should quote stake for exact mint', async () => {
+    const quote = conversionQuote.stakeForMint('7');
+
+    assert.strictEqual(quote.stakeVT, '2', 'Stake must match');
+    assert.strictEqual(quote.mintBT, '7', 'Mint must match');
+    assert.isTrue(quote.exact, 'Quote must be exact');
+    assert.isFalse(quote.roundingLoss, 'Quote must have no rounding loss');
+  });
+
+  it('should quote next mintable amount when mint cannot be exact', async () => {
+    const quote = conversionQuote.stakeForMint('11');
+
+    assert.strictEqual(quote.stakeVT, '4', 'Stake must match');
+    assert.strictEqual(quote.mintBT, '14', 'Mint must match');
+    assert.isFalse(quote.exact, 'Quote must not be exact');
+  });
+
+  it('should quote minimum stake', async () => {
+    const quote = conversionQuote.minimumStake();
+
+    assert.strictEqual(quote.stakeVT, '1', 'Stake must match');
+    assert.strictEqual(quote.mintBT, '3', 'Mint must match');
+  });
+
+  it('should throw an error when stake amount is zero', async () => {
+    assert.throws(
+      () => conversionQuote.mintForStake('0'),
+      'Stake amount must be greater than zero: 0.',
+    );
+  });
+
+  it('should throw an error when stake amount mints no branded tokens', async () => {
+    const quoteEngine = new ConversionQuote({
+      conversionRate: '5',
+      conversionRateDecimals: 1,
+    });
+
+    assert.throws(
+      () => quoteEngine.mintForStake('1'),
+      'Stake amount 1 mints no branded tokens, minimum stake is 2.',
+    );
+  });
+
+  it('should throw an error when config is undefined', async () => {
+    assert.throws(
+      () => new ConversionQuote(undefined),
+      'Mandatory parameter "config" missing. ',
+    );
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Converter = require('../../../lib/helpers/conversion/Converter');
+
+describe('Converter', () => {
+  // 1 value token is equivalent to 3.5 branded tokens.
+  let converter;
+
+  beforeEach(() => {
+    converter = new Converter('35', 1);
+  });
+
+  it('should convert value tokens to branded tokens', async () => {
+    assert.deepEqual(
+      converter.toBrandedTokens('2'),
+      { amount: '7', roundingLoss: false },
+    );
+    assert.deepEqual(
+      converter.toBrandedTokens('3'),
+      { amount: '10', roundingLoss: true },
+    );
+  });
+
+  it('should convert branded tokens to value tokens', async () => {
+    assert.deepEqual(
+      converter.toValueTokens('7'),
+      { amount: '2', roundingLoss: false },
+    );
+    assert.deepEqual(
+      converter.toValueTokens('10'),
+      { amount: '2', roundingLoss: true },
+    );
+  });
+
+  it('should calculate value tokens needed for exact branded tokens', async () => {
+    assert.deepEqual(
+      converter.valueTokensFor('10'),
+      { valueTokens: '3', brandedTokens: '10', exact: true },
+    );
+    assert.deepEqual(
+      converter.valueTokensFor('7'),
+      { valueTokens: '2', brandedTokens: '7', exact: true },
+    );
+  });
+
+  it('should flag branded tokens that cannot be minted exactly', async () => {
+    assert.deepEqual(
+      converter.valueTokensFor('11'),
+      { valueTokens: '4', brandedTokens: '14', exact: false },
+    );
+  });
+
+  it('should throw an error when conversion rate is zero', async () => {
+    assert.throws(
+      () => new Converter('0', 1),
+      'Invalid conversion rate: 0. It should be greater than zero',
+    );
+  });
+
+  it('should throw an error when conversion rate decimals is too large', async () => {
+    assert.throws(
+      () => new Converter('35', 6),
+      'Invalid conversion rate decimal: 6. It should be between 0 and 5',
+    );
+  });
+});
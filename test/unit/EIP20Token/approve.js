@@ -0,0 +1,65 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const EIP20Token = require('../../../lib/ContractInteract/EIP20Token');
+const Utils = require('../../../utils/Utils');
+
+describe('EIP20Token.approve()', () => {
+  let eip20Token;
+  const spender = '0x0000000000000000000000000000000000000004';
+  const amount = '100';
+
+  beforeEach(() => {
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    eip20Token = new EIP20Token(new Web3(), tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send approve transaction with Utils', async () => {
+    const mockRawTx = 'mockRawTx';
+    const rawTx = sinon.replace(
+      eip20Token,
+      'approveRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+      signer: '0x348ce564d427a3311b6536bbcff9390d69395b06ed6c486954e971d960fe8709',
+    };
+
+    const response = await eip20Token.approve(spender, amount, txOptions);
+
+    assert.isTrue(response, 'Approve should return true');
+    Spy.assert(rawTx, 1, [[spender, amount]]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    await AssertAsync.reject(
+      eip20Token.approve(spender, amount, undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+
+  it('should throw an error when account address is invalid', async () => {
+    const txOptions = { from: '0x123' };
+
+    await AssertAsync.reject(
+      eip20Token.approve(spender, amount, txOptions),
+      `Invalid from address ${txOptions.from} in transaction options.`,
+    );
+  });
+});
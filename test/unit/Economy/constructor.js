@@ -0,0 +1,66 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const Economy = require('../../../lib/Economy');
+
+describe('Economy.constructor()', () => {
+  let originWeb3;
+  let auxiliaryWeb3;
+  let addresses;
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    auxiliaryWeb3 = new Web3();
+    addresses = {
+      valueToken: '0x0000000000000000000000000000000000000002',
+      brandedToken: '0x0000000000000000000000000000000000000003',
+      utilityBrandedToken: '0x0000000000000000000000000000000000000004',
+      gatewayComposer: '0x0000000000000000000000000000000000000005',
+    };
+  });
+
+  it('should create and cache contract interacts lazily', async () => {
+    const economy = new Economy(originWeb3, auxiliaryWeb3, addresses);
+
+    assert.deepEqual(economy.instances, {}, 'No instance must be created upfront');
+
+    const { brandedToken } = economy;
+    assert.strictEqual(brandedToken.address, addresses.brandedToken);
+    assert.strictEqual(brandedToken.web3, originWeb3);
+    assert.strictEqual(economy.brandedToken, brandedToken, 'Instance must be cached');
+
+    assert.strictEqual(economy.utilityBrandedToken.address, addresses.utilityBrandedToken);
+    assert.strictEqual(economy.gatewayComposer.address, addresses.gatewayComposer);
+    assert.strictEqual(economy.staker.gatewayComposerAddress, addresses.gatewayComposer);
+    assert.strictEqual(economy.facilitator.gatewayComposerAddress, addresses.gatewayComposer);
+    assert.strictEqual(economy.stakeHelper.brandedToken, addresses.brandedToken);
+  });
+
+  it('should throw an error on gateway composer access without address', async () => {
+    delete addresses.gatewayComposer;
+    const economy = new Economy(originWeb3, auxiliaryWeb3, addresses);
+
+    assert.throws(
+      () => economy.staker,
+      'Address manifest has no gatewayComposer address.',
+    );
+  });
+
+  it('should throw an error when auxiliary web3 is undefined', async () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Economy(originWeb3, undefined, addresses);
+    }, /Mandatory Parameter 'auxiliaryWeb3' is missing or invalid/);
+  });
+
+  it('should throw an error when branded token address is invalid', async () => {
+    addresses.brandedToken = '0x123';
+
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Economy(originWeb3, auxiliaryWeb3, addresses);
+    }, 'Invalid brandedToken address: 0x123.');
+  });
+});
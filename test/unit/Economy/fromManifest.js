@@ -0,0 +1,72 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Economy = require('../../../lib/Economy');
+const EconomySetup = require('../../../lib/EconomySetup');
+const BTHelper = require('../../../lib/helpers/setup/BTHelper');
+const UBTHelper = require('../../../lib/helpers/setup/UBTHelper');
+const GCHelper = require('../../../lib/helpers/setup/GCHelper');
+
+describe('Economy.fromManifest()', () => {
+  let addresses;
+  const owner = '0x000000000000000000000000000000000000000a';
+  const btAddress = '0x0000000000000000000000000000000000000010';
+  const ubtAddress = '0x0000000000000000000000000000000000000011';
+  const gcAddress = '0x0000000000000000000000000000000000000012';
+
+  const fakeSetup = address => sinon.fake(function setup() {
+    this.address = address;
+    return Promise.resolve({ contractAddress: address });
+  });
+
+  beforeEach(async () => {
+    sinon.replace(BTHelper.prototype, 'setup', fakeSetup(btAddress));
+    sinon.replace(UBTHelper.prototype, 'setup', fakeSetup(ubtAddress));
+    sinon.replace(GCHelper.prototype, 'setup', fakeSetup(gcAddress));
+
+    addresses = await EconomySetup.deployFromManifest(new Web3(), new Web3(), {
+      deployer: '0x0000000000000000000000000000000000000001',
+      valueToken: '0x0000000000000000000000000000000000000002',
+      originOrganization: { address: '0x0000000000000000000000000000000000000003' },
+      auxiliaryOrganization: { address: '0x0000000000000000000000000000000000000004' },
+      brandedToken: { symbol: 'BT' },
+      utilityBrandedToken: { symbol: 'UBT' },
+      gatewayComposers: [{ owner: '0x000000000000000000000000000000000000000A' }],
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should use the gateway composer of the owner from the setup output', async () => {
+    const economy = Economy.fromManifest(new Web3(), new Web3(), addresses, owner);
+
+    assert.strictEqual(economy.brandedToken.address, btAddress);
+    assert.strictEqual(economy.utilityBrandedToken.address, ubtAddress);
+    assert.strictEqual(economy.gatewayComposer.address, gcAddress);
+    assert.strictEqual(economy.staker.gatewayComposerAddress, gcAddress);
+  });
+
+  it('should create an economy without gateway composer without owner', async () => {
+    const economy = Economy.fromManifest(new Web3(), new Web3(), addresses);
+
+    assert.strictEqual(economy.brandedToken.address, btAddress);
+    assert.throws(
+      () => economy.staker,
+      'Address manifest has no gatewayComposer address.',
+    );
+  });
+
+  it('should throw an error for an owner without gateway composer', async () => {
+    const unknownOwner = '0x000000000000000000000000000000000000000b';
+
+    assert.throws(
+      () => Economy.fromManifest(new Web3(), new Web3(), addresses, unknownOwner),
+      `Address manifest has no gatewayComposer of owner ${unknownOwner}.`,
+    );
+  });
+});
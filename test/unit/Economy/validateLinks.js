@@ -0,0 +1,86 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Economy = require('../../../lib/Economy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Economy.validateLinks()', () => {
+  let economy;
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000002',
+    brandedToken: '0x000000000000000000000000000000000000000a',
+    utilityBrandedToken: '0x0000000000000000000000000000000000000004',
+    gatewayComposer: '0x0000000000000000000000000000000000000005',
+  };
+
+  const mockCall = value => sinon.fake.returns({
+    call: () => Promise.resolve(value),
+  });
+
+  beforeEach(() => {
+    economy = new Economy(new Web3(), new Web3(), addresses);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass when contracts are linked', async () => {
+    sinon.replace(
+      economy.utilityBrandedToken.contract.methods,
+      'brandedToken',
+      mockCall(addresses.brandedToken.toUpperCase().replace('0X', '0x')),
+    );
+    sinon.replace(
+      economy.brandedToken.contract.methods,
+      'valueToken',
+      mockCall(addresses.valueToken),
+    );
+    sinon.replace(
+      economy.gatewayComposer.contract.methods,
+      'brandedToken',
+      mockCall(addresses.brandedToken),
+    );
+    sinon.replace(
+      economy.gatewayComposer.contract.methods,
+      'valueToken',
+      mockCall(addresses.valueToken),
+    );
+
+    assert.isTrue(await economy.validateLinks());
+  });
+
+  it('should list mismatching links', async () => {
+    const otherAddress = '0x0000000000000000000000000000000000000009';
+    sinon.replace(
+      economy.utilityBrandedToken.contract.methods,
+      'brandedToken',
+      mockCall(otherAddress),
+    );
+    sinon.replace(
+      economy.brandedToken.contract.methods,
+      'valueToken',
+      mockCall(addresses.valueToken),
+    );
+    sinon.replace(
+      economy.gatewayComposer.contract.methods,
+      'brandedToken',
+      mockCall(addresses.brandedToken),
+    );
+    sinon.replace(
+      economy.gatewayComposer.contract.methods,
+      'valueToken',
+      mockCall(otherAddress),
+    );
+
+    await AssertAsync.reject(
+      economy.validateLinks(),
+      'Economy contracts are not linked: '
+        + `UtilityBrandedToken.brandedToken is ${otherAddress}, expected ${addresses.brandedToken}; `
+        + `GatewayComposer.valueToken is ${otherAddress}, expected ${addresses.valueToken}.`,
+    );
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const EconomySetup = require('../../../lib/EconomySetup');
+const BTHelper = require('../../../lib/helpers/setup/BTHelper');
+const UBTHelper = require('../../../lib/helpers/setup/UBTHelper');
+const GCHelper = require('../../../lib/helpers/setup/GCHelper');
+const Spy = require('../../utils/Spy');
+
+describe('EconomySetup.deployFromManifest()', () => {
+  let manifest;
+  let outputPath;
+  const btAddress = '0x0000000000000000000000000000000000000010';
+  const ubtAddress = '0x0000000000000000000000000000000000000011';
+  const gcAddress = '0x0000000000000000000000000000000000000012';
+
+  const fakeSetup = address => sinon.fake(function setup() {
+    this.address = address;
+    return Promise.resolve({ contractAddress: address });
+  });
+
+  beforeEach(() => {
+    outputPath = path.join(os.tmpdir(), `bt-economy-${Date.now()}.json`);
+    manifest = {
+      deployer: '0x0000000000000000000000000000000000000001',
+      txOptions: { gasPrice: '0x3B9ACA00' },
+      valueToken: '0x0000000000000000000000000000000000000002',
+      originOrganization: { address: '0x0000000000000000000000000000000000000003' },
+      auxiliaryOrganization: { address: '0x0000000000000000000000000000000000000004' },
+      brandedToken: {
+        symbol: 'BT',
+        name: 'MyBrandedToken',
+        decimals: '18',
+        conversionRate: '35',
+        conversionRateDecimals: 1,
+      },
+      utilityBrandedToken: {
+        symbol: 'UBT',
+        name: 'MyBrandedToken',
+        decimals: '18',
+      },
+      gateway: {
+        gateway: '0x0000000000000000000000000000000000000005',
+        coGateway: '0x0000000000000000000000000000000000000006',
+        organizationWorker: '0x0000000000000000000000000000000000000007',
+        auxiliaryOrganizationOwner: '0x0000000000000000000000000000000000000008',
+      },
+      gatewayComposers: [{ owner: '0x0000000000000000000000000000000000000009' }],
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  });
+
+  it('should run all setup steps and write address manifest', async () => {
+    const btSetup = sinon.replace(BTHelper.prototype, 'setup', fakeSetup(btAddress));
+    const setGateway = sinon.replace(BTHelper.prototype, 'setGateway', sinon.fake.resolves({}));
+    const ubtSetup = sinon.replace(UBTHelper.prototype, 'setup', fakeSetup(ubtAddress));
+    const setCoGateway = sinon.replace(UBTHelper.prototype, 'setCoGateway', sinon.fake.resolves({}));
+    const gcSetup = sinon.replace(GCHelper.prototype, 'setup', fakeSetup(gcAddress));
+
+    const addresses = await EconomySetup.deployFromManifest(
+      new Web3(),
+      new Web3(),
+      manifest,
+      outputPath,
+    );
+
+    const expectedAddresses = {
+      valueToken: manifest.valueToken,
+      originOrganization: manifest.originOrganization.address,
+      brandedToken: btAddress,
+      auxiliaryOrganization: manifest.auxiliaryOrganization.address,
+      utilityBrandedToken: ubtAddress,
+      gateway: manifest.gateway.gateway,
+      coGateway: manifest.gateway.coGateway,
+      gatewayComposers: {
+        [manifest.gatewayComposers[0].owner]: gcAddress,
+      },
+    };
+    assert.deepEqual(addresses, expectedAddresses, 'Address manifest must match');
+    assert.deepEqual(
+      JSON.parse(fs.readFileSync(outputPath, 'utf8')),
+      expectedAddresses,
+      'Written address manifest must match',
+    );
+
+    Spy.assert(btSetup, 1);
+    assert.strictEqual(btSetup.args[0][0].organization, manifest.originOrganization.address);
+    assert.strictEqual(btSetup.args[0][0].conversionRate, '35');
+    Spy.assert(ubtSetup, 1);
+    assert.strictEqual(ubtSetup.args[0][0].token, btAddress);
+    Spy.assert(setCoGateway, 1);
+    assert.strictEqual(setCoGateway.args[0][0], manifest.gateway.coGateway);
+    assert.strictEqual(setCoGateway.args[0][1].from, manifest.gateway.auxiliaryOrganizationOwner);
+    Spy.assert(setGateway, 1, [[
+      manifest.gateway.gateway,
+      manifest.gateway.organizationWorker,
+      manifest.txOptions,
+    ]]);
+    Spy.assert(gcSetup, 1);
+    assert.strictEqual(gcSetup.args[0][0].owner, manifest.gatewayComposers[0].owner);
+  });
+
+  it('should throw an error when manifest entry is missing', async () => {
+    delete manifest.brandedToken;
+
+    assert.throws(
+      () => EconomySetup.validateManifest(manifest),
+      'Mandatory manifest entry "brandedToken" missing. Set manifest.brandedToken',
+    );
+  });
+
+  it('should throw an error when organizations are deployed with a signer', async () => {
+    manifest.txOptions.signer = '0x0000000000000000000000000000000000000000000000000000000000000001';
+    delete manifest.auxiliaryOrganization.address;
+
+    assert.throws(
+      () => EconomySetup.validateManifest(manifest),
+      'Manifest entry "auxiliaryOrganization" must have an address when txOptions have a signer or nonceManager, as organizations are deployed with node accounts.',
+    );
+  });
+
+  it('should accept a signer when organization addresses are given', async () => {
+    manifest.txOptions.nonceManager = {};
+
+    assert.isTrue(EconomySetup.validateManifest(manifest));
+  });
+
+  it('should load YAML manifest', async () => {
+    const yamlPath = path.join(os.tmpdir(), `bt-economy-${Date.now()}.yml`);
+    fs.writeFileSync(yamlPath, 'deployer: "0x01"\nbrandedToken:\n  symbol: BT\n');
+
+    const loaded = EconomySetup.loadManifest(yamlPath);
+    fs.unlinkSync(yamlPath);
+
+    assert.deepEqual(loaded, { deployer: '0x01', brandedToken: { symbol: 'BT' } });
+  });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Contracts = require('../../../lib/Contracts');
+const EconomyVerifier = require('../../../lib/helpers/setup/EconomyVerifier');
+
+describe('EconomyVerifier.verify()', () => {
+  let verifier;
+  let values;
+  const owner = '0x0000000000000000000000000000000000000009';
+  const stakeVault = '0x0000000000000000000000000000000000000008';
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000001',
+    originOrganization: '0x0000000000000000000000000000000000000002',
+    brandedToken: '0x0000000000000000000000000000000000000003',
+    utilityBrandedToken: '0x0000000000000000000000000000000000000004',
+    gateway: '0x0000000000000000000000000000000000000005',
+    coGateway: '0x0000000000000000000000000000000000000006',
+    gatewayComposers: { [owner]: '0x0000000000000000000000000000000000000007' },
+  };
+  const expected = { conversionRate: '35', conversionRateDecimals: 1 };
+  const runtimeCode = '6080604052600436106100';
+  const metadata = hash => `a165627a7a72305820${hash.repeat(64)}0029`;
+
+  // Returns a fake contract whose methods resolve to values[name][method].
+  const fakeContract = name => ({
+    methods: new Proxy({}, {
+      get: (target, method) => (...args) => ({
+        call: () => {
+          const value = values[name][method];
+          return Promise.resolve(typeof value === 'function' ? value(...args) : value);
+        },
+      }),
+    }),
+  });
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    sinon.replace(web3.eth, 'getCode', sinon.fake.resolves(`0x${runtimeCode}${metadata('b')}`));
+    verifier = new EconomyVerifier(web3, web3);
+    sinon.replace(
+      verifier.abiBinProvider,
+      'getBIN',
+      sinon.fake.returns(`0x60806040${runtimeCode}${metadata('a')}`),
+    );
+    sinon.replace(
+      verifier.abiBinProvider,
+      'getRuntimeBIN',
+      sinon.fake.returns(`0x${runtimeCode}${metadata('a')}`),
+    );
+
+    values = {
+      BrandedToken: {
+        valueToken: addresses.valueToken,
+        organization: addresses.originOrganization,
+        conversionRate: '35',
+        conversionRateDecimals: '1',
+        isUnrestricted: () => true,
+      },
+      UtilityBrandedToken: {
+        brandedToken: addresses.brandedToken,
+        coGateway: addresses.coGateway,
+      },
+      EIP20Gateway: {
+        stakeVault,
+      },
+      GatewayComposer: {
+        owner,
+        valueToken: addresses.valueToken,
+        brandedToken: addresses.brandedToken,
+      },
+    };
+    sinon.replace(Contracts, 'getBrandedToken', sinon.fake.returns(fakeContract('BrandedToken')));
+    sinon.replace(Contracts, 'getUtilityBrandedToken', sinon.fake.returns(fakeContract('UtilityBrandedToken')));
+    // getEIP20Gateway is inherited from Mosaic.Contracts.
+    sinon.stub(Contracts, 'getEIP20Gateway').returns(fakeContract('EIP20Gateway'));
+    sinon.replace(Contracts, 'getGatewayComposer', sinon.fake.returns(fakeContract('GatewayComposer')));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass when economy is wired correctly', async () => {
+    const report = await verifier.verify(addresses, expected);
+
+    assert.isTrue(report.passed, JSON.stringify(report.checks));
+    assert.deepEqual(report.checks.map(check => check.name), [
+      'BrandedToken.bytecode',
+      'BrandedToken.valueToken',
+      'UtilityBrandedToken.bytecode',
+      'UtilityBrandedToken.brandedToken',
+      'BrandedToken.organization',
+      'BrandedToken.conversionRate',
+      'BrandedToken.conversionRateDecimals',
+      'UtilityBrandedToken.coGateway',
+      'BrandedToken.isUnrestricted(gateway)',
+      'BrandedToken.isUnrestricted(stakeVault)',
+      `GatewayComposer(${owner}).bytecode`,
+      `GatewayComposer(${owner}).owner`,
+      `GatewayComposer(${owner}).valueToken`,
+      `GatewayComposer(${owner}).brandedToken`,
+    ]);
+  });
+
+  it('should report failed checks', async () => {
+    values.BrandedToken.isUnrestricted = address => address !== stakeVault;
+    values.UtilityBrandedToken.coGateway = '0x0000000000000000000000000000000000000000';
+    values.GatewayComposer.owner = () => Promise.reject(new Error('call failed'));
+
+    const report = await verifier.verify(addresses, expected);
+
+    assert.isFalse(report.passed);
+    const failed = report.checks.filter(check => !check.passed);
+    assert.deepEqual(failed, [
+      {
+        name: 'UtilityBrandedToken.coGateway',
+        passed: false,
+        expected: addresses.coGateway,
+        actual: '0x0000000000000000000000000000000000000000',
+      },
+      {
+        name: 'BrandedToken.isUnrestricted(stakeVault)',
+        passed: false,
+        expected: true,
+        actual: false,
+      },
+      {
+        name: `GatewayComposer(${owner}).owner`,
+        passed: false,
+        expected: owner,
+        error: 'call failed',
+      },
+    ]);
+  });
+
+  it('should fail bytecode check when code is not deployed', async () => {
+    verifier.originWeb3.eth.getCode = sinon.fake.resolves('0x');
+
+    const report = await verifier.verify(addresses, expected);
+
+    assert.isFalse(report.passed);
+    assert.deepEqual(report.checks[0], {
+      name: 'BrandedToken.bytecode',
+      passed: false,
+      expected: true,
+      actual: false,
+    });
+  });
+
+  it('should fail bytecode check when code is only a part of the runtime code', async () => {
+    // Code of another, short contract that ends like the shipped code.
+    verifier.originWeb3.eth.getCode = sinon.fake.resolves(`0x00${metadata('a')}`);
+
+    const report = await verifier.verify(addresses, expected);
+
+    assert.isFalse(report.passed);
+    assert.deepEqual(report.checks[0], {
+      name: 'BrandedToken.bytecode',
+      passed: false,
+      expected: true,
+      actual: false,
+    });
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const JsonFileStore = require('../../../lib/EventIndexer/JsonFileStore');
+
+describe('JsonFileStore', () => {
+  let filePath;
+
+  const event = {
+    event: 'StakeRequested',
+    blockNumber: 1,
+    logIndex: 0,
+    transactionHash: '0x01',
+    returnValues: { _stake: '100' },
+  };
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `bt-indexer-${Date.now()}.json`);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should persist events and last processed block', async () => {
+    const store = new JsonFileStore(filePath);
+    await store.addEvents([event]);
+    await store.setLastProcessedBlock(5);
+
+    const reloadedStore = new JsonFileStore(filePath);
+
+    assert.strictEqual(
+      await reloadedStore.getLastProcessedBlock(),
+      5,
+      'Last processed block must be restored',
+    );
+    assert.deepEqual(
+      await reloadedStore.getEvents(),
+      [event],
+      'Events must be restored',
+    );
+  });
+
+  it('should write events and last processed block once', async () => {
+    const store = new JsonFileStore(filePath);
+    const writeFileSync = sinon.spy(fs, 'writeFileSync');
+
+    await store.addEvents([event], 5);
+
+    Spy.assert(writeFileSync, 1);
+    assert.strictEqual(
+      await new JsonFileStore(filePath).getLastProcessedBlock(),
+      5,
+      'Last processed block must be written with the events',
+    );
+  });
+
+  it('should ignore events already stored', async () => {
+    const store = new JsonFileStore(filePath);
+    await store.addEvents([event]);
+    await store.addEvents([event]);
+
+    assert.strictEqual(
+      (await store.getEvents()).length,
+      1,
+      'Duplicate event must be ignored',
+    );
+  });
+
+  it('should start empty when file does not exist', async () => {
+    const store = new JsonFileStore(filePath);
+
+    assert.isNull(
+      await store.getLastProcessedBlock(),
+      'Last processed block must be null',
+    );
+  });
+
+  it('should throw an error when file path is undefined', async () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new JsonFileStore(undefined);
+    }, /Mandatory Parameter 'filePath' is missing or invalid/);
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const EventIndexer = require('../../../lib/EventIndexer');
+
+describe('EventIndexer.sync()', () => {
+  let web3;
+  let indexer;
+  let store;
+  const brandedToken = '0x0000000000000000000000000000000000000002';
+
+  const mockEvent = (event, blockNumber, logIndex) => ({
+    event,
+    blockNumber,
+    logIndex,
+    transactionHash: web3.utils.sha3(`${blockNumber}:${logIndex}`),
+    returnValues: {
+      0: '100',
+      _stake: '100',
+    },
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    store = new EventIndexer.MemoryStore();
+    indexer = new EventIndexer(web3, brandedToken, store, {
+      fromBlock: 10,
+      batchSize: 5,
+      confirmations: 2,
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should index events in batches from start block', async () => {
+    const getPastEvents = sinon.fake((eventName, options) => {
+      if (options.fromBlock === 10) {
+        return Promise.resolve([
+          mockEvent('StakeRequestAccepted', 12, 1),
+          mockEvent('StakeRequested', 11, 0),
+          mockEvent('SymbolSet', 11, 1),
+        ]);
+      }
+      return Promise.resolve([mockEvent('Redeemed', 16, 0)]);
+    });
+    sinon.replace(indexer.contract, 'getPastEvents', getPastEvents);
+
+    const events = await indexer.sync(17);
+
+    assert.deepEqual(
+      events.map(event => event.event),
+      ['StakeRequested', 'StakeRequestAccepted', 'Redeemed'],
+      'Indexed events must be ordered and filtered',
+    );
+    assert.deepEqual(
+      events[0].returnValues,
+      { _stake: '100' },
+      'Only named return values must be kept',
+    );
+    assert.strictEqual(
+      await store.getLastProcessedBlock(),
+      17,
+      'Last processed block must be stored',
+    );
+    assert.strictEqual(
+      (await indexer.getEvents('StakeRequested')).length,
+      1,
+      'Stored events must be filtered by name',
+    );
+
+    Spy.assert(getPastEvents, 2);
+    assert.deepEqual(getPastEvents.args[0][1], { fromBlock: 10, toBlock: 14 });
+    assert.deepEqual(getPastEvents.args[1][1], { fromBlock: 15, toBlock: 17 });
+  });
+
+  it('should resume from the last processed block', async () => {
+    await store.setLastProcessedBlock(20);
+    const getPastEvents = sinon.fake.resolves([]);
+    sinon.replace(indexer.contract, 'getPastEvents', getPastEvents);
+    sinon.replace(web3.eth, 'getBlockNumber', sinon.fake.resolves(24));
+
+    await indexer.sync();
+
+    Spy.assert(getPastEvents, 1);
+    assert.deepEqual(getPastEvents.args[0][1], { fromBlock: 21, toBlock: 22 });
+  });
+
+  it('should index up to 12 blocks behind the latest block by default', async () => {
+    indexer = new EventIndexer(web3, brandedToken, store, { fromBlock: 10 });
+    const getPastEvents = sinon.fake.resolves([]);
+    sinon.replace(indexer.contract, 'getPastEvents', getPastEvents);
+    sinon.replace(web3.eth, 'getBlockNumber', sinon.fake.resolves(30));
+
+    await indexer.sync();
+
+    Spy.assert(getPastEvents, 1);
+    assert.deepEqual(getPastEvents.args[0][1], { fromBlock: 10, toBlock: 18 });
+  });
+
+  it('should store the events and last processed block of a batch together', async () => {
+    const event = mockEvent('StakeRequested', 11, 0);
+    sinon.replace(indexer.contract, 'getPastEvents', sinon.fake.resolves([event]));
+    const addEvents = sinon.spy(store, 'addEvents');
+    const setLastProcessedBlock = sinon.spy(store, 'setLastProcessedBlock');
+
+    await indexer.sync(12);
+
+    Spy.assert(addEvents, 1);
+    assert.deepEqual(
+      addEvents.args[0][0].map(indexedEvent => indexedEvent.transactionHash),
+      [event.transactionHash],
+      'Events of the batch must be stored',
+    );
+    assert.strictEqual(addEvents.args[0][1], 12, 'Last block of the batch must be stored');
+    Spy.assert(setLastProcessedBlock, 0);
+    assert.strictEqual(await store.getLastProcessedBlock(), 12);
+  });
+
+  it('should not read events when there are no new blocks', async () => {
+    await store.setLastProcessedBlock(20);
+    const getPastEvents = sinon.fake.resolves([]);
+    sinon.replace(indexer.contract, 'getPastEvents', getPastEvents);
+
+    const events = await indexer.sync(20);
+
+    assert.strictEqual(events.length, 0, 'No events must be indexed');
+    Spy.assert(getPastEvents, 0);
+  });
+});
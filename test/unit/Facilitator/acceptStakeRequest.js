@@ -5,8 +5,9 @@ const sinon = require('sinon');
 const { assert } = require('chai');
 
 const Facilitator = require('../../../lib/Facilitator');
+const Metrics = require('../../../utils/Metrics');
 const Spy = require('../../utils/Spy');
-const AssertAsync = require('../../utils/AssertAsync');
+const { RevertError, StakeRequestNotFoundError } = require('../../../lib/Errors');
 
 describe('Facilitator.acceptStakeRequest()', () => {
   let facilitator;
@@ -24,6 +25,11 @@ describe('Facilitator.acceptStakeRequest()', () => {
       brandedToken,
       gatewayComposer,
     );
+    sinon.stub(facilitator.valueToken, 'allowance').resolves('0');
+  });
+
+  afterEach(() => {
+    sinon.restore();
   });
 
   it('should return valid receipts on success ', async () => {
@@ -97,17 +103,91 @@ describe('Facilitator.acceptStakeRequest()', () => {
     );
   });
 
-  it('should fail if approval for bounty fails', async () => {
-    const fakeApproveReceipt = {
-      status: false,
-      transactionHash: originWeb3.utils.sha3('t1'),
+  it('should skip approval if allowance covers the bounty', async () => {
+    const fakeAcceptStakeReceipt = {
+      status: true,
+      transactionHash: originWeb3.utils.sha3('t2'),
+    };
+    facilitator.valueToken.allowance.resolves('150');
+    const fakeValueTokenApprove = sinon.replace(
+      facilitator.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    sinon.replace(
+      facilitator.gatewayComposer,
+      'acceptStakeRequest',
+      sinon.fake.resolves(fakeAcceptStakeReceipt),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000002',
+    };
+
+    const receipts = await facilitator.acceptStakeRequest(
+      originWeb3.utils.sha3('dummy'),
+      { r: 'r', s: 's', v: 'v' },
+      '100',
+      originWeb3.utils.sha3('dummy'),
+      txOptions,
+    );
+
+    assert.deepEqual(receipts, { acceptStakeRequestReceipt: fakeAcceptStakeReceipt });
+    Spy.assert(facilitator.valueToken.allowance, 1, [[txOptions.from, gatewayComposer]]);
+    Spy.assert(fakeValueTokenApprove, 0);
+  });
+
+  it('should pass the given metrics on to the transactions', async () => {
+    const metrics = Metrics.prometheus();
+    facilitator = new Facilitator(
+      originWeb3,
+      valueToken,
+      brandedToken,
+      gatewayComposer,
+      undefined,
+      metrics,
+    );
+    sinon.stub(facilitator.valueToken, 'allowance').resolves('0');
+    const approve = sinon.replace(facilitator.valueToken, 'approve', sinon.fake.resolves({ status: true }));
+    const acceptStakeRequest = sinon.replace(
+      facilitator.gatewayComposer,
+      'acceptStakeRequest',
+      sinon.fake.resolves({ status: true }),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000002',
     };
 
+    await facilitator.acceptStakeRequest(
+      originWeb3.utils.sha3('dummy'),
+      { r: 'r', s: 's', v: 'v' },
+      '100',
+      originWeb3.utils.sha3('dummy'),
+      txOptions,
+    );
+
+    const sendOptions = Object.assign({ metrics }, txOptions);
+    assert.deepEqual(approve.args[0][2], sendOptions, 'Approve must report to the given metrics');
+    assert.deepEqual(acceptStakeRequest.args[0][5], sendOptions, 'Accept must report to the given metrics');
+    assert.notProperty(txOptions, 'metrics', 'Given options must not change');
+    assert.include(metrics.metrics(), 'brandedtoken_flows_total{flow="acceptStakeRequest",outcome="success"} 1\n');
+  });
+
+  it('should fail if approval for bounty fails', async () => {
+    const error = new RevertError(null, originWeb3.utils.sha3('t1'));
+    const logger = {
+      debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy(),
+    };
+    facilitator.logger = logger;
 
     const fakeValueTokenApprove = sinon.replace(
       facilitator.valueToken,
       'approve',
-      sinon.fake.resolves(fakeApproveReceipt),
+      sinon.fake.rejects(error),
+    );
+    const fakeGatewayComposerAcceptStakeRequest = sinon.replace(
+      facilitator.gatewayComposer,
+      'acceptStakeRequest',
+      sinon.fake.resolves({ status: true }),
     );
 
     const stakeRequestHash = originWeb3.utils.sha3('dummy');
@@ -122,21 +202,27 @@ describe('Facilitator.acceptStakeRequest()', () => {
       from: '0x0000000000000000000000000000000000000002',
     };
 
-    const expectedMessage = `Approval for bounty is failed with transactionHash: ${fakeApproveReceipt.transactionHash}`;
+    const rejection = await facilitator.acceptStakeRequest(
+      stakeRequestHash,
+      signature,
+      bountyInWei,
+      hashLock,
+      txOptions,
+    ).catch(err => err);
 
-    AssertAsync.reject(
-      facilitator.acceptStakeRequest(
-        stakeRequestHash,
-        signature,
-        bountyInWei,
-        hashLock,
-        txOptions,
-      ),
-      expectedMessage,
+    assert.strictEqual(rejection, error);
+    Spy.assert(fakeValueTokenApprove, 1);
+    assert.deepEqual(
+      fakeValueTokenApprove.args[0],
+      [gatewayComposer, bountyInWei, Object.assign({ logger }, txOptions)],
+      'Approve must log to the given logger',
     );
-
-
-    Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, bountyInWei, txOptions]]);
+    Spy.assert(fakeGatewayComposerAcceptStakeRequest, 0);
+    assert.deepEqual(logger.error.args, [['approveForBounty', {
+      transactionHash: error.transactionHash,
+      stakeRequestHash,
+      error: error.message,
+    }]]);
   });
 
   it('should fail if acceptStakeRequest fails', async () => {
@@ -145,10 +231,10 @@ describe('Facilitator.acceptStakeRequest()', () => {
       transactionHash: originWeb3.utils.sha3('t1'),
     };
 
-    const fakeAcceptStakeReceipt = {
-      status: false,
-      transactionHash: originWeb3.utils.sha3('t2'),
-    };
+    const error = new StakeRequestNotFoundError(
+      'Stake request not found.',
+      originWeb3.utils.sha3('t2'),
+    );
 
     const fakeValueTokenApprove = sinon.replace(
       facilitator.valueToken,
@@ -159,7 +245,7 @@ describe('Facilitator.acceptStakeRequest()', () => {
     const fakeGatewayComposerAcceptStakeRequest = sinon.replace(
       facilitator.gatewayComposer,
       'acceptStakeRequest',
-      sinon.fake.resolves(fakeAcceptStakeReceipt),
+      sinon.fake.rejects(error),
     );
 
     const stakeRequestHash = originWeb3.utils.sha3('dummy');
@@ -174,16 +260,15 @@ describe('Facilitator.acceptStakeRequest()', () => {
       from: '0x0000000000000000000000000000000000000002',
     };
 
-    await AssertAsync.reject(
-      facilitator.acceptStakeRequest(
-        stakeRequestHash,
-        signature,
-        bountyInWei,
-        hashLock,
-        txOptions,
-      ),
-      `Accept stake request failed with transactionHash: ${fakeAcceptStakeReceipt.transactionHash}`,
-    );
+    const rejection = await facilitator.acceptStakeRequest(
+      stakeRequestHash,
+      signature,
+      bountyInWei,
+      hashLock,
+      txOptions,
+    ).catch(err => err);
+
+    assert.strictEqual(rejection, error);
 
     Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, bountyInWei, txOptions]]);
     Spy.assert(
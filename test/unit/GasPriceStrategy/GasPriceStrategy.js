@@ -0,0 +1,74 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const GasPriceStrategy = require('../../../utils/GasPriceStrategy');
+const Spy = require('../../utils/Spy');
+
+describe('GasPriceStrategy', () => {
+  let web3;
+
+  const block = gasPrices => ({
+    transactions: gasPrices.map(gasPrice => ({ gasPrice })),
+  });
+
+  beforeEach(() => {
+    web3 = {
+      eth: {
+        getGasPrice: sinon.fake.resolves('1000000000'),
+        getBlockNumber: sinon.fake.resolves(11),
+        getBlock: sinon.fake(number => Promise.resolve(
+          number === 10 ? block(['5', '1', '3']) : block(['2', '4']),
+        )),
+      },
+    };
+  });
+
+  it('should return fixed gas price', async () => {
+    const strategy = GasPriceStrategy.fixed('0x3B9ACA00');
+
+    assert.strictEqual(await strategy(web3), '1000000000');
+    Spy.assert(web3.eth.getGasPrice, 0);
+  });
+
+  it('should throw an error when fixed gas price is zero', async () => {
+    assert.throws(() => GasPriceStrategy.fixed('0'), TypeError, 'Invalid gas price: 0.');
+  });
+
+  it('should return node gas price with multiplier', async () => {
+    assert.strictEqual(await GasPriceStrategy.node()(web3), '1000000000');
+    assert.strictEqual(await GasPriceStrategy.node(1.25)(web3), '1250000000');
+  });
+
+  it('should return percentile of recent gas prices', async () => {
+    const strategy = GasPriceStrategy.percentile(50, 2);
+
+    const gasPrice = await strategy(web3);
+
+    // Sorted gas prices of blocks 10 and 11 are 1, 2, 3, 4, 5.
+    assert.strictEqual(gasPrice, '3');
+    Spy.assert(web3.eth.getBlock, 2, [[10, true], [11, true]]);
+  });
+
+  it('should fall back to node gas price without recent transactions', async () => {
+    web3.eth.getBlock = sinon.fake.resolves(block([]));
+
+    const gasPrice = await GasPriceStrategy.percentile()(web3);
+
+    assert.strictEqual(gasPrice, '1000000000');
+  });
+
+  it('should bump replacement gas price', async () => {
+    assert.strictEqual(GasPriceStrategy.replacementGasPrice('1000000000'), '1100000000');
+    assert.strictEqual(GasPriceStrategy.replacementGasPrice('15'), '17');
+    assert.strictEqual(
+      GasPriceStrategy.replacementGasPrice('1000000000', '2000000000'),
+      '2000000000',
+    );
+    assert.strictEqual(
+      GasPriceStrategy.replacementGasPrice('1000000000', '1050000000'),
+      '1100000000',
+    );
+  });
+});
@@ -37,7 +37,7 @@ describe('GatewayComposer.constructor()', () => {
       instance.web3,
       'Web3 instance must match',
     );
-    Spy.assert(spyContract, 1, [[web3, contractAddress]]);
+    Spy.assert(spyContract, 1, [[web3, contractAddress, undefined]]);
     sinon.restore();
   });
 
@@ -55,7 +55,7 @@ describe('GatewayComposer.constructor()', () => {
     },
     errorMessage);
 
-    Spy.assert(spyContract, 1, [[web3, contractAddress]]);
+    Spy.assert(spyContract, 1, [[web3, contractAddress, undefined]]);
     sinon.restore();
   });
 
@@ -6,6 +6,9 @@ const { assert } = require('chai');
 
 const Spy = require('../../utils/Spy');
 const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Contracts = require('../../../lib/Contracts');
+const EIP20Token = require('../../../lib/ContractInteract/EIP20Token');
 const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
 const Utils = require('../../../utils/Utils');
 
@@ -142,4 +145,75 @@ describe('GatewayComposer.requestStake()', () => {
       `Invalid from address ${txOptions.from} in transaction options.`,
     );
   });
+
+  it('should run checks instead of sending with dryRun', async () => {
+    const stakeVT = '100';
+    const mintBT = '100';
+    const gateway = '0x0000000000000000000000000000000000000002';
+    const beneficiary = '0x0000000000000000000000000000000000000003';
+    const gasPrice = '1';
+    const gasLimit = '1';
+    const nonce = '1';
+    const stakeRequestHash = web3.utils.sha3('pending');
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+      dryRun: true,
+    };
+    const mockCall = value => sinon.fake.returns({
+      call: () => Promise.resolve(value),
+    });
+
+    sinon.replace(gatewayComposer, 'requestStakeRawTx', sinon.fake.resolves('mockRawTx'));
+    sinon.replace(
+      gatewayComposer.contract.methods,
+      'valueToken',
+      mockCall('0x0000000000000000000000000000000000000004'),
+    );
+    sinon.replace(
+      gatewayComposer.contract.methods,
+      'brandedToken',
+      mockCall('0x0000000000000000000000000000000000000005'),
+    );
+    sinon.stub(EIP20Token.prototype, 'allowance').resolves('99');
+    sinon.stub(BrandedToken.prototype, 'convertToBrandedTokens').resolves('200');
+    sinon.stub(BrandedToken.prototype, 'getStakeRequestHash').resolves(stakeRequestHash);
+    sinon.stub(Contracts, 'getEIP20Gateway').returns({
+      methods: { getNonce: mockCall('1') },
+    });
+    const spySendTransaction = sinon.replace(Utils, 'sendTransaction', sinon.fake());
+    const spyDryRun = sinon.replace(
+      Utils,
+      'dryRun',
+      sinon.fake((tx, options, checks) => Utils.runChecks(checks)),
+    );
+
+    const problems = await gatewayComposer.requestStake(
+      stakeVT,
+      mintBT,
+      gateway,
+      beneficiary,
+      gasPrice,
+      gasLimit,
+      nonce,
+      txOptions,
+    );
+
+    assert.deepEqual(problems, [
+      {
+        check: 'allowance',
+        message: `Value token allowance 99 of ${txOptions.from} is less than stake amount 100.`,
+      },
+      {
+        check: 'mintAmount',
+        message: 'Mint amount 100 does not match converted stake amount 200.',
+      },
+      {
+        check: 'pendingStakeRequest',
+        message: `GatewayComposer has a pending stake request ${stakeRequestHash}.`,
+      },
+    ]);
+    Spy.assert(spyDryRun, 1);
+    Spy.assert(spySendTransaction, 0);
+    sinon.restore();
+  });
 });
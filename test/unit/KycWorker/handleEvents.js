@@ -0,0 +1,99 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const KycWorker = require('../../../lib/KycWorker');
+const Spy = require('../../utils/Spy');
+
+describe('KycWorker.handleEvents()', () => {
+  let web3;
+  let kycWorker;
+  let firstHash;
+  let secondHash;
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const workerAccount = {
+    address: '0x0000000000000000000000000000000000000005',
+  };
+
+  const stakeRequested = stakeRequestHash => ({
+    event: 'StakeRequested',
+    returnValues: { _stakeRequestHash: stakeRequestHash },
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    firstHash = web3.utils.sha3('first');
+    secondHash = web3.utils.sha3('second');
+    kycWorker = new KycWorker(
+      web3,
+      brandedToken,
+      valueToken,
+      workerAccount,
+      sinon.fake.resolves(true),
+      {
+        getHashLock: sinon.fake.resolves(web3.utils.sha3('hashLock')),
+        txOptions: { from: '0x0000000000000000000000000000000000000006' },
+        maxRetries: 1,
+      },
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should continue with the batch after a failed stake request', async () => {
+    const error = new Error('accept failed');
+    const onError = sinon.fake();
+    kycWorker.onError = onError;
+    const processStakeRequest = sinon.stub(kycWorker, 'processStakeRequest');
+    processStakeRequest.withArgs(firstHash).rejects(error);
+    processStakeRequest.withArgs(secondHash).resolves({ stakeRequestHash: secondHash, decision: 'accepted' });
+
+    const results = await kycWorker.handleEvents([
+      stakeRequested(firstHash),
+      { event: 'Transfer', returnValues: {} },
+      stakeRequested(secondHash),
+    ]);
+
+    assert.deepEqual(results, [
+      { stakeRequestHash: firstHash, decision: 'failed', error },
+      { stakeRequestHash: secondHash, decision: 'accepted' },
+    ]);
+    Spy.assert(onError, 1, [[error]]);
+    assert.deepEqual(Array.from(kycWorker.failed.keys()), [firstHash]);
+  });
+
+  it('should retry failed stake requests with the next events', async () => {
+    const processStakeRequest = sinon.stub(kycWorker, 'processStakeRequest');
+    processStakeRequest.onCall(0).rejects(new Error('accept failed'));
+    processStakeRequest.resolves({ decision: 'accepted' });
+
+    await kycWorker.handleEvents([stakeRequested(firstHash)]);
+    const results = await kycWorker.handleEvents([stakeRequested(secondHash)]);
+
+    assert.strictEqual(results.length, 2);
+    Spy.assert(processStakeRequest, 3, [[firstHash], [firstHash], [secondHash]]);
+    assert.strictEqual(kycWorker.failed.size, 0, 'Retried stake request must leave the queue');
+  });
+
+  it('should drop a failed stake request after max retries', async () => {
+    const error = new Error('accept failed');
+    const onError = sinon.fake();
+    kycWorker.onError = onError;
+    const processStakeRequest = sinon.stub(kycWorker, 'processStakeRequest').rejects(error);
+
+    await kycWorker.handleEvents([stakeRequested(firstHash)]);
+    assert.deepEqual(kycWorker.failed.get(firstHash), { error, failures: 1 });
+
+    const results = await kycWorker.handleEvents([]);
+
+    assert.deepEqual(results, [{ stakeRequestHash: firstHash, decision: 'failed', error }]);
+    Spy.assert(processStakeRequest, 2, [[firstHash], [firstHash]]);
+    Spy.assert(onError, 2, [[error], [error]]);
+    assert.strictEqual(kycWorker.failed.size, 0, 'Stake request must be dropped after max retries');
+  });
+});
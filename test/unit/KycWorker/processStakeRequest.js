@@ -0,0 +1,246 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const KycWorker = require('../../../lib/KycWorker');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('KycWorker.processStakeRequest()', () => {
+  let web3;
+  let kycWorker;
+  let policy;
+  let stakeRequestHash;
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const workerAccount = {
+    address: '0x0000000000000000000000000000000000000005',
+  };
+  const txOptions = {
+    from: '0x0000000000000000000000000000000000000006',
+  };
+  const stakeRequest = {
+    staker: gatewayComposer,
+    stake: '100',
+    nonce: '1',
+  };
+
+  beforeEach(() => {
+    web3 = new Web3();
+    stakeRequestHash = web3.utils.sha3('dummy');
+    policy = sinon.fake.resolves(true);
+    kycWorker = new KycWorker(
+      web3,
+      brandedToken,
+      valueToken,
+      workerAccount,
+      policy,
+      {
+        getHashLock: sinon.fake.resolves(web3.utils.sha3('hashLock')),
+        txOptions,
+      },
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should accept stake request approved by policy', async () => {
+    const receipts = { acceptStakeRequestReceipt: { status: true } };
+    sinon.replace(
+      kycWorker.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const fakeAccept = sinon.replace(kycWorker, '_accept', sinon.fake.resolves(receipts));
+
+    const result = await kycWorker.processStakeRequest(stakeRequestHash);
+
+    assert.deepEqual(
+      result,
+      { stakeRequestHash, decision: 'accepted', receipts },
+      'Result must match',
+    );
+    Spy.assert(fakeAccept, 1, [[stakeRequestHash, stakeRequest]]);
+    assert.deepEqual(
+      policy.args[0][0],
+      Object.assign({ stakeRequestHash }, stakeRequest),
+      'Policy must be called with stake request',
+    );
+  });
+
+  it('should reject stake request denied by policy', async () => {
+    const receipt = { status: true };
+    kycWorker.policy = sinon.fake.resolves(false);
+    sinon.replace(
+      kycWorker.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const fakeReject = sinon.replace(
+      kycWorker.brandedToken,
+      'rejectStakeRequest',
+      sinon.fake.resolves(receipt),
+    );
+
+    const result = await kycWorker.processStakeRequest(stakeRequestHash);
+
+    assert.strictEqual(result.decision, 'rejected', 'Decision must be rejected');
+    Spy.assert(fakeReject, 1, [[
+      stakeRequestHash,
+      kycWorker.rejectTxOptions,
+    ]]);
+    assert.strictEqual(
+      kycWorker.rejectTxOptions.from,
+      workerAccount.address,
+      'Reject must be sent from worker',
+    );
+  });
+
+  it('should reject with the worker signer when txOptions have a signer', async () => {
+    const facilitatorTxOptions = {
+      from: txOptions.from,
+      gas: '7500000',
+      gasPrice: '0x3B9ACA00',
+      signer: '0x0000000000000000000000000000000000000000000000000000000000000001',
+      nonceManager: {},
+    };
+    kycWorker = new KycWorker(
+      web3,
+      brandedToken,
+      valueToken,
+      workerAccount,
+      sinon.fake.resolves(false),
+      {
+        getHashLock: sinon.fake.resolves(web3.utils.sha3('hashLock')),
+        txOptions: facilitatorTxOptions,
+      },
+    );
+    sinon.replace(
+      kycWorker.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const fakeReject = sinon.replace(
+      kycWorker.brandedToken,
+      'rejectStakeRequest',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    await kycWorker.processStakeRequest(stakeRequestHash);
+
+    Spy.assert(fakeReject, 1, [[stakeRequestHash, kycWorker.rejectTxOptions]]);
+    assert.deepEqual(
+      kycWorker.rejectTxOptions,
+      {
+        from: workerAccount.address,
+        signer: workerAccount,
+        gas: facilitatorTxOptions.gas,
+        gasPrice: facilitatorTxOptions.gasPrice,
+      },
+      'Reject must be signed by the worker with the gas fields only',
+    );
+  });
+
+  it('should log the reject transaction to the given logger', async () => {
+    const logger = {
+      debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy(),
+    };
+    kycWorker = new KycWorker(
+      web3,
+      brandedToken,
+      valueToken,
+      workerAccount,
+      sinon.fake.resolves(false),
+      {
+        getHashLock: sinon.fake.resolves(web3.utils.sha3('hashLock')),
+        txOptions,
+        logger,
+      },
+    );
+    sinon.replace(
+      kycWorker.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const fakeReject = sinon.replace(
+      kycWorker.brandedToken,
+      'rejectStakeRequest',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    await kycWorker.processStakeRequest(stakeRequestHash);
+
+    assert.deepEqual(
+      fakeReject.args[0][1],
+      Object.assign({ logger }, kycWorker.rejectTxOptions),
+      'Reject must log to the given logger',
+    );
+  });
+
+  it('should not process a stake request hash while it is processed', async () => {
+    const getStakeRequest = sinon.stub(kycWorker.brandedToken, 'getStakeRequest');
+    getStakeRequest.onCall(0).resolves(stakeRequest);
+    getStakeRequest.resolves({
+      staker: '0x0000000000000000000000000000000000000000',
+      stake: '0',
+      nonce: '0',
+    });
+    const fakeAccept = sinon.replace(kycWorker, '_accept', sinon.fake.resolves({}));
+
+    await Promise.all([
+      kycWorker.processStakeRequest(stakeRequestHash),
+      kycWorker.processStakeRequest(stakeRequestHash),
+    ]);
+    const result = await kycWorker.processStakeRequest(stakeRequestHash);
+
+    Spy.assert(fakeAccept, 1);
+    Spy.assert(policy, 1);
+    assert.strictEqual(result.decision, 'closed', 'Settled stake request must be closed');
+    assert.strictEqual(kycWorker.processing.size, 0, 'Settled stake requests must be removed');
+  });
+
+  it('should skip stake request that is no longer pending', async () => {
+    sinon.replace(
+      kycWorker.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves({
+        staker: '0x0000000000000000000000000000000000000000',
+        stake: '0',
+        nonce: '0',
+      }),
+    );
+
+    const result = await kycWorker.processStakeRequest(stakeRequestHash);
+
+    assert.strictEqual(result.decision, 'closed', 'Decision must be closed');
+    Spy.assert(policy, 0);
+  });
+
+  it('should fail without retrying', async () => {
+    sinon.replace(
+      kycWorker.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const fakeAccept = sinon.replace(
+      kycWorker,
+      '_accept',
+      sinon.fake.rejects(new Error('nonce too low')),
+    );
+
+    await AssertAsync.reject(
+      kycWorker.processStakeRequest(stakeRequestHash),
+      'nonce too low',
+    );
+    Spy.assert(fakeAccept, 1);
+    assert.isFalse(
+      kycWorker.processing.has(stakeRequestHash),
+      'Failed stake request must be processed again later',
+    );
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Logger = require('../../../utils/Logger');
+const Spy = require('../../utils/Spy');
+
+describe('Logger', () => {
+  afterEach(() => {
+    Logger.setGlobal(null);
+    sinon.restore();
+  });
+
+  it('should be silent by default', () => {
+    assert.strictEqual(Logger.global, Logger.silent);
+    assert.strictEqual(Logger.resolve(), Logger.silent);
+  });
+
+  it('should prefer given logger over global logger', () => {
+    const globalLogger = Logger.console('debug');
+    const logger = Logger.console('error');
+
+    Logger.setGlobal(globalLogger);
+
+    assert.strictEqual(Logger.resolve(logger), logger);
+    assert.strictEqual(Logger.resolve(undefined), globalLogger);
+  });
+
+  it('should reject logger without level methods', () => {
+    assert.throws(
+      () => Logger.setGlobal({ info: () => {} }),
+      TypeError,
+      'Invalid logger, it must implement error, warn, debug.',
+    );
+  });
+
+  it('should write JSON lines up to the console level', () => {
+    const log = sinon.stub(console, 'log');
+    const error = sinon.stub(console, 'error');
+    const logger = Logger.console('info');
+
+    logger.info('requestStake', { transactionHash: '0x1', gasUsed: 21000 });
+    logger.debug('transactionSent', { transactionHash: '0x1' });
+    logger.error('acceptStakeRequest', { stakeRequestHash: '0x2' });
+    sinon.restore();
+
+    Spy.assert(log, 1);
+    const entry = JSON.parse(log.args[0][0]);
+    assert.strictEqual(entry.level, 'info');
+    assert.strictEqual(entry.event, 'requestStake');
+    assert.strictEqual(entry.transactionHash, '0x1');
+    assert.strictEqual(entry.gasUsed, 21000);
+    assert.isString(entry.time);
+    Spy.assert(error, 1);
+    assert.strictEqual(JSON.parse(error.args[0][0]).stakeRequestHash, '0x2');
+  });
+
+  it('should reject unknown console level', () => {
+    assert.throws(
+      () => Logger.console('trace'),
+      TypeError,
+      'Invalid log level: trace. It should be one of error, warn, info, debug.',
+    );
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const Metrics = require('../../../utils/Metrics');
+const Spy = require('../../utils/Spy');
+
+describe('Metrics', () => {
+  afterEach(() => {
+    Metrics.setGlobal(null);
+    sinon.restore();
+  });
+
+  it('should drop metrics by default', () => {
+    assert.strictEqual(Metrics.global, Metrics.noop);
+    assert.strictEqual(Metrics.resolve(), Metrics.noop);
+  });
+
+  it('should prefer given instrumentation over global instrumentation', () => {
+    const globalMetrics = Metrics.prometheus();
+    const metrics = Metrics.prometheus();
+
+    Metrics.setGlobal(globalMetrics);
+
+    assert.strictEqual(Metrics.resolve(metrics), metrics);
+    assert.strictEqual(Metrics.resolve(undefined), globalMetrics);
+  });
+
+  it('should reject instrumentation without methods', () => {
+    assert.throws(
+      () => Metrics.setGlobal({ increment: () => {} }),
+      TypeError,
+      'Invalid metrics, it must implement observe.',
+    );
+  });
+
+  it('should report successful flow', async () => {
+    const metrics = { increment: sinon.spy(), observe: sinon.spy() };
+
+    const result = await Metrics.measureFlow(metrics, 'requestStake', Promise.resolve('receipts'));
+
+    assert.strictEqual(result, 'receipts');
+    Spy.assert(metrics.increment, 1);
+    assert.deepEqual(
+      metrics.increment.args[0],
+      ['brandedtoken_flows_total', { flow: 'requestStake', outcome: 'success' }],
+    );
+    Spy.assert(metrics.observe, 1);
+    assert.strictEqual(metrics.observe.args[0][0], 'brandedtoken_flow_duration_seconds');
+    assert.deepEqual(metrics.observe.args[0][1], { flow: 'requestStake', outcome: 'success' });
+    assert.isAtLeast(metrics.observe.args[0][2], 0);
+  });
+
+  it('should report failed flow and reject with its error', async () => {
+    const registry = Metrics.prometheus();
+
+    await AssertAsync.reject(
+      Metrics.measureFlow(registry, 'acceptStakeRequest', Promise.reject(new Error('reverted'))),
+      'reverted',
+    );
+
+    const text = registry.metrics();
+    assert.include(text, '# HELP brandedtoken_flows_total Staker and Facilitator flows, by flow and outcome.\n');
+    assert.include(text, 'brandedtoken_flows_total{flow="acceptStakeRequest",outcome="failure"} 1\n');
+    assert.include(text, 'brandedtoken_flow_duration_seconds_count{flow="acceptStakeRequest",outcome="failure"} 1\n');
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const NonceManager = require('../../../utils/NonceManager');
+const Spy = require('../../utils/Spy');
+
+describe('NonceManager.getNonce()', () => {
+  let nonceManager;
+  let web3;
+  const address = '0x0000000000000000000000000000000000000001';
+
+  const createWeb3 = (chainId, transactionCount) => ({
+    currentProvider: {},
+    eth: {
+      getTransactionCount: sinon.fake.resolves(transactionCount),
+      net: { getId: sinon.fake.resolves(chainId) },
+    },
+  });
+
+  beforeEach(() => {
+    nonceManager = new NonceManager();
+    web3 = createWeb3(3, 5);
+  });
+
+  it('should hand out consecutive nonces to concurrent calls', async () => {
+    const nonces = await Promise.all([
+      nonceManager.getNonce(web3, address),
+      nonceManager.getNonce(web3, address),
+      nonceManager.getNonce(web3, address),
+    ]);
+
+    assert.deepEqual(nonces, [5, 6, 7]);
+    Spy.assert(web3.eth.getTransactionCount, 1, [[address, 'pending']]);
+  });
+
+  it('should keep nonces per chain', async () => {
+    const auxiliaryWeb3 = createWeb3(1000, 20);
+
+    await nonceManager.getNonce(web3, address);
+    const auxiliaryNonce = await nonceManager.getNonce(auxiliaryWeb3, address);
+
+    assert.strictEqual(auxiliaryNonce, 20);
+    assert.strictEqual(await nonceManager.getNonce(web3, address), 6);
+  });
+
+  it('should read pending transaction count again after reset', async () => {
+    await nonceManager.getNonce(web3, address);
+    await nonceManager.getNonce(web3, address);
+
+    await nonceManager.reset(web3, address);
+    const nonce = await nonceManager.getNonce(web3, address);
+
+    assert.strictEqual(nonce, 5);
+    Spy.assert(web3.eth.getTransactionCount, 2);
+  });
+
+  it('should match address case insensitive', async () => {
+    const checksumAddress = '0x000000000000000000000000000000000000000A';
+
+    await nonceManager.getNonce(web3, checksumAddress);
+    const nonce = await nonceManager.getNonce(web3, checksumAddress.toLowerCase());
+
+    assert.strictEqual(nonce, 6);
+  });
+
+  it('should detect nonce errors', async () => {
+    assert.isTrue(NonceManager.isNonceError(new Error('Returned error: nonce too low')));
+    assert.isTrue(NonceManager.isNonceError(new Error('replacement transaction underpriced')));
+    assert.isFalse(NonceManager.isNonceError(new Error('insufficient funds for gas * price + value')));
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const OfflineTransactionBuilder = require('../../../lib/helpers/transaction/OfflineTransactionBuilder');
+
+describe('OfflineTransactionBuilder.build()', () => {
+  let web3;
+  let brandedToken;
+  const tokenAddress = '0x0000000000000000000000000000000000000002';
+  const privateKey = '0x348ce564d427a3311b6536bbcff9390d69395b06ed6c486954e971d960fe8709';
+  const params = {
+    nonce: 3,
+    gas: '100000',
+    gasPrice: '1000000000',
+    chainId: 3,
+  };
+
+  beforeEach(() => {
+    web3 = new Web3();
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  it('should build unsigned transaction from raw tx', async () => {
+    const rawTx = brandedToken.requestStakeRawTx('100', '350');
+
+    const unsignedTx = await OfflineTransactionBuilder.build(rawTx, params);
+
+    assert.deepEqual(unsignedTx, {
+      to: tokenAddress,
+      data: brandedToken.contract.methods.requestStake('100', '350').encodeABI(),
+      value: '0x0',
+      nonce: '0x3',
+      gas: '0x186a0',
+      gasPrice: '0x3b9aca00',
+      chainId: '0x3',
+    });
+  });
+
+  it('should build the same transaction for the same inputs', async () => {
+    const first = await OfflineTransactionBuilder.build(brandedToken.redeemRawTx('10'), params);
+    const second = await OfflineTransactionBuilder.build(brandedToken.redeemRawTx('10'), params);
+
+    assert.deepEqual(first, second);
+  });
+
+  it('should build and sign transaction without a node', async () => {
+    const { address } = web3.eth.accounts.privateKeyToAccount(privateKey);
+    const unsignedTx = await OfflineTransactionBuilder.build(
+      brandedToken.redeemRawTx('10'),
+      Object.assign({ from: address }, params),
+    );
+
+    const signedTx = await OfflineTransactionBuilder.sign(unsignedTx, privateKey);
+
+    assert.strictEqual(signedTx.from, address);
+    assert.match(signedTx.rawTransaction, /^0x[0-9a-f]+$/);
+    assert.strictEqual(signedTx.transactionHash, Web3.utils.sha3(signedTx.rawTransaction));
+  });
+
+  it('should fail when a parameter is missing', async () => {
+    const rawTx = brandedToken.redeemRawTx('10');
+
+    await AssertAsync.reject(
+      OfflineTransactionBuilder.build(rawTx, { nonce: 1, gas: 1, gasPrice: 1 }),
+      "Mandatory transaction parameter 'chainId' is missing.",
+    );
+  });
+
+  it('should fail when private key does not match from address', async () => {
+    const from = '0x0000000000000000000000000000000000000001';
+    const unsignedTx = await OfflineTransactionBuilder.build(
+      brandedToken.redeemRawTx('10'),
+      Object.assign({ from }, params),
+    );
+    const { address } = web3.eth.accounts.privateKeyToAccount(privateKey);
+
+    await AssertAsync.reject(
+      OfflineTransactionBuilder.sign(unsignedTx, privateKey),
+      `Private key of ${address} does not match from address ${from}.`,
+    );
+  });
+});
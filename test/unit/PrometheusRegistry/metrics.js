@@ -0,0 +1,74 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const PrometheusRegistry = require('../../../utils/PrometheusRegistry');
+
+describe('PrometheusRegistry.metrics()', () => {
+  it('should export counters and histograms in the text format', () => {
+    const registry = new PrometheusRegistry({
+      buckets: [1, 5],
+      help: { tx_total: 'Transactions.' },
+    });
+
+    registry.increment('tx_total', { method: 'approve' });
+    registry.increment('tx_total', { method: 'approve' }, 2);
+    registry.observe('receipt_seconds', { method: 'approve' }, 3);
+    registry.observe('receipt_seconds', { method: 'approve' }, 0.5);
+
+    assert.strictEqual(
+      registry.metrics(),
+      [
+        '# HELP tx_total Transactions.',
+        '# TYPE tx_total counter',
+        'tx_total{method="approve"} 3',
+        '# TYPE receipt_seconds histogram',
+        'receipt_seconds_bucket{le="1",method="approve"} 1',
+        'receipt_seconds_bucket{le="5",method="approve"} 2',
+        'receipt_seconds_bucket{le="+Inf",method="approve"} 2',
+        'receipt_seconds_sum{method="approve"} 3.5',
+        'receipt_seconds_count{method="approve"} 2',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('should keep series of label sets apart and escape label values', () => {
+    const registry = new PrometheusRegistry();
+
+    registry.increment('tx_total', { b: '2', a: '1' });
+    registry.increment('tx_total', { a: '1', b: '2' });
+    registry.increment('tx_total', { a: 'say "hi"\n' });
+    registry.increment('tx_total');
+
+    assert.strictEqual(
+      registry.metrics(),
+      [
+        '# TYPE tx_total counter',
+        'tx_total{a="1",b="2"} 2',
+        'tx_total{a="say \\"hi\\"\\n"} 1',
+        'tx_total 1',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('should be empty after reset', () => {
+    const registry = new PrometheusRegistry();
+    registry.increment('tx_total');
+
+    registry.reset();
+
+    assert.strictEqual(registry.metrics(), '');
+  });
+
+  it('should fail for invalid input', () => {
+    const registry = new PrometheusRegistry();
+    registry.increment('tx_total');
+
+    assert.throws(() => registry.observe('tx_total', {}, 1), TypeError, 'Metric tx_total is a counter, not a histogram.');
+    assert.throws(() => registry.increment('tx-total'), TypeError, 'Invalid metric name: tx-total.');
+    assert.throws(() => registry.increment('tx_total', {}, -1), TypeError, 'Invalid counter increment: -1.');
+    assert.throws(() => new PrometheusRegistry({ buckets: [5, 1] }), TypeError, 'Invalid buckets: 5,1.');
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const RevertReason = require('../../../utils/RevertReason');
+const Spy = require('../../utils/Spy');
+
+describe('RevertReason.fetch()', () => {
+  let web3;
+  const transactionHash = '0x0000000000000000000000000000000000000000000000000000000000000011';
+  const transaction = {
+    from: '0x0000000000000000000000000000000000000001',
+    to: '0x0000000000000000000000000000000000000002',
+    input: '0x1234',
+    value: '0',
+    gas: 100000,
+  };
+  const receipt = { status: false, transactionHash, blockNumber: 10 };
+  const revertData = '0x08c379a0'
+    + '0000000000000000000000000000000000000000000000000000000000000020'
+    + '0000000000000000000000000000000000000000000000000000000000000018'
+    + '5374616b652072657175657374206e6f7420666f756e642e0000000000000000';
+
+  beforeEach(() => {
+    web3 = {
+      eth: {
+        getTransaction: sinon.fake.resolves(transaction),
+        getTransactionReceipt: sinon.fake.resolves(receipt),
+      },
+    };
+  });
+
+  it('should decode revert reason of replayed call', async () => {
+    web3.eth.call = sinon.fake.resolves(revertData);
+
+    const reason = await RevertReason.fetch(web3, transactionHash);
+
+    assert.strictEqual(reason, 'Stake request not found.');
+    Spy.assert(web3.eth.call, 1);
+    assert.deepEqual(web3.eth.call.args[0], [{
+      from: transaction.from,
+      to: transaction.to,
+      data: transaction.input,
+      value: transaction.value,
+      gas: transaction.gas,
+    }, receipt.blockNumber]);
+  });
+
+  it('should read revert reason of call error', async () => {
+    web3.eth.call = sinon.fake.rejects(
+      new Error('VM Exception while processing transaction: revert Msg.sender is restricted.'),
+    );
+
+    const reason = await RevertReason.fetch(web3, transactionHash);
+
+    assert.strictEqual(reason, 'Msg.sender is restricted.');
+  });
+
+  it('should return null without revert reason', async () => {
+    web3.eth.call = sinon.fake.resolves('0x');
+
+    assert.isNull(await RevertReason.fetch(web3, transactionHash));
+  });
+
+  it('should return null for unknown transaction', async () => {
+    web3.eth.getTransaction = sinon.fake.resolves(null);
+    web3.eth.call = sinon.fake();
+
+    assert.isNull(await RevertReason.fetch(web3, transactionHash));
+    Spy.assert(web3.eth.call, 0);
+  });
+});
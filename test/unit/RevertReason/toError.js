@@ -0,0 +1,52 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  RevertError,
+  StakeRequestNotFoundError,
+  InsufficientAllowanceError,
+  RestrictedActorError,
+} = require('../../../lib/Errors');
+const RevertReason = require('../../../utils/RevertReason');
+
+describe('RevertReason.toError()', () => {
+  const transactionHash = '0x0000000000000000000000000000000000000000000000000000000000000011';
+
+  it('should map revert reasons to typed errors', () => {
+    [
+      ['Stake request not found.', StakeRequestNotFoundError],
+      ['ValueToken.transferFrom returned false.', InsufficientAllowanceError],
+      ['Msg.sender is restricted.', RestrictedActorError],
+      ['Some other reason.', RevertError],
+    ].forEach(([reason, ErrorClass]) => {
+      const error = RevertReason.toError(reason, transactionHash);
+
+      assert.instanceOf(error, ErrorClass);
+      assert.instanceOf(error, RevertError);
+      assert.strictEqual(error.name, ErrorClass.name);
+      assert.strictEqual(error.reason, reason);
+      assert.strictEqual(error.message, `Transaction ${transactionHash} reverted: ${reason}`);
+    });
+  });
+
+  it('should create RevertError without reason', () => {
+    const receipt = { status: false, transactionHash };
+
+    const error = RevertReason.toError(null, transactionHash, receipt);
+
+    assert.strictEqual(error.constructor, RevertError);
+    assert.strictEqual(error.message, `Transaction ${transactionHash} reverted.`);
+    assert.strictEqual(error.receipt, receipt);
+  });
+
+  it('should read revert reason of node errors', () => {
+    assert.strictEqual(
+      RevertReason.fromError(new Error('execution reverted: Stake request not found.')),
+      'Stake request not found.',
+    );
+    assert.isNull(RevertReason.fromError(new Error('Transaction has been reverted by the EVM:\n{}')));
+    assert.isTrue(RevertReason.isRevert(new Error('Transaction has been reverted by the EVM:\n{}')));
+    assert.isFalse(RevertReason.isRevert(new Error('Returned error: nonce too low')));
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const SetupCheckpoint = require('../../../lib/helpers/setup/SetupCheckpoint');
+const AssertAsync = require('../../utils/AssertAsync');
+const Spy = require('../../utils/Spy');
+
+describe('SetupCheckpoint.deployOnce()', () => {
+  let filePath;
+  let web3;
+  const contractAddress = '0x0000000000000000000000000000000000000004';
+  const step = 'brandedToken@3';
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `bt-setup-checkpoint-${Date.now()}.json`);
+    web3 = {
+      eth: {
+        getCode: sinon.fake.resolves('0x6080'),
+        net: { getId: sinon.fake.resolves(3) },
+      },
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should deploy and record address when step is not recorded', async () => {
+    const checkpoint = new SetupCheckpoint(filePath);
+    const deploy = sinon.fake.resolves({ contractAddress });
+
+    const result = await checkpoint.deployOnce('brandedToken', web3, deploy);
+
+    assert.deepEqual(result, { contractAddress });
+    Spy.assert(deploy, 1, [[]]);
+    Spy.assert(web3.eth.getCode, 0);
+    assert.deepEqual(
+      new SetupCheckpoint(filePath).toJSON(),
+      { [step]: contractAddress },
+      'Address must be written to checkpoint file under the chain id',
+    );
+  });
+
+  it('should skip deployment when recorded contract exists', async () => {
+    new SetupCheckpoint(filePath).set(step, contractAddress);
+    const checkpoint = new SetupCheckpoint(filePath);
+    const deploy = sinon.fake.resolves({ contractAddress: '0x01' });
+    const verify = sinon.fake.resolves(true);
+
+    const result = await checkpoint.deployOnce('brandedToken', web3, deploy, verify);
+
+    assert.deepEqual(result, { contractAddress, skipped: true });
+    Spy.assert(deploy, 0);
+    Spy.assert(web3.eth.getCode, 1, [[contractAddress]]);
+    Spy.assert(verify, 1, [[contractAddress]]);
+  });
+
+  it('should redeploy when recorded contract fails the verification', async () => {
+    const newAddress = '0x0000000000000000000000000000000000000005';
+    const checkpoint = new SetupCheckpoint(filePath);
+    checkpoint.set(step, contractAddress);
+    const deploy = sinon.fake.resolves({ contractAddress: newAddress });
+
+    const result = await checkpoint.deployOnce('brandedToken', web3, deploy, sinon.fake.resolves(false));
+
+    assert.deepEqual(result, { contractAddress: newAddress });
+    Spy.assert(deploy, 1, [[]]);
+    assert.strictEqual(checkpoint.get(step), newAddress);
+  });
+
+  it('should deploy when the step is recorded on another chain', async () => {
+    const newAddress = '0x0000000000000000000000000000000000000005';
+    const checkpoint = new SetupCheckpoint(filePath);
+    checkpoint.set('brandedToken@1', contractAddress);
+    const deploy = sinon.fake.resolves({ contractAddress: newAddress });
+
+    const result = await checkpoint.deployOnce('brandedToken', web3, deploy);
+
+    assert.deepEqual(result, { contractAddress: newAddress });
+    Spy.assert(web3.eth.getCode, 0);
+    assert.deepEqual(checkpoint.toJSON(), {
+      'brandedToken@1': contractAddress,
+      [step]: newAddress,
+    });
+  });
+
+  it('should redeploy when recorded contract has no code', async () => {
+    const newAddress = '0x0000000000000000000000000000000000000005';
+    const checkpoint = new SetupCheckpoint(filePath);
+    checkpoint.set(step, contractAddress);
+    web3.eth.getCode = sinon.fake.resolves('0x');
+    const deploy = sinon.fake.resolves({ contractAddress: newAddress });
+
+    const result = await checkpoint.deployOnce('brandedToken', web3, deploy);
+
+    assert.deepEqual(result, { contractAddress: newAddress });
+    Spy.assert(deploy, 1, [[]]);
+    assert.strictEqual(checkpoint.get(step), newAddress);
+  });
+
+  it('should not record step when deployment fails', async () => {
+    const checkpoint = new SetupCheckpoint(filePath);
+    const deploy = sinon.fake.rejects(new Error('out of gas'));
+
+    await AssertAsync.reject(
+      checkpoint.deployOnce('brandedToken', web3, deploy),
+      'out of gas',
+    );
+    assert.strictEqual(checkpoint.has(step), false);
+    assert.strictEqual(fs.existsSync(filePath), false);
+  });
+
+  it('should match getters of a contract case-insensitively', async () => {
+    const contract = {
+      methods: {
+        symbol: () => ({ call: sinon.fake.resolves('BT') }),
+        organization: () => ({ call: sinon.fake.resolves('0x000000000000000000000000000000000000000A') }),
+      },
+    };
+
+    assert.isTrue(await SetupCheckpoint.readsMatch(contract, {
+      symbol: 'BT',
+      organization: '0x000000000000000000000000000000000000000a',
+    }));
+    assert.isFalse(await SetupCheckpoint.readsMatch(contract, { symbol: 'UBT' }));
+  });
+
+  it('should throw an error when file path is undefined', async () => {
+    assert.throws(
+      () => new SetupCheckpoint(),
+      TypeError,
+      "Mandatory Parameter 'filePath' is missing or invalid: undefined",
+    );
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Contracts = require('../../../lib/Contracts');
+const Spy = require('../../utils/Spy');
+const StakeHelper = require('../../../lib/helpers/stake/gateway_composer/StakeHelper');
+
+describe('StakeHelper.isSignedByWorker()', () => {
+  let web3;
+  let worker;
+  let stakeHelper;
+  let typedData;
+  let workers;
+  let isWorker;
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const organization = '0x0000000000000000000000000000000000000005';
+
+  beforeEach(() => {
+    web3 = new Web3();
+    worker = web3.eth.accounts.create();
+    stakeHelper = new StakeHelper(web3, brandedToken, gatewayComposer);
+    typedData = stakeHelper.getStakeRequestTypedData('100', '1');
+    workers = [];
+
+    // Organization.isWorker looks up the address, whatever its case.
+    isWorker = sinon.fake(address => ({
+      call: () => Promise.resolve(workers.some(w => w.toLowerCase() === address.toLowerCase())),
+    }));
+    sinon.stub(Contracts, 'getBrandedToken').returns({
+      methods: { organization: () => ({ call: () => Promise.resolve(organization) }) },
+    });
+    sinon.stub(Contracts, 'getOrganization').returns({ methods: { isWorker } });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should be true for a signature of a worker', async () => {
+    workers.push(worker.address.toLowerCase());
+    const signature = StakeHelper.signStakeRequest(typedData, worker);
+
+    const signed = await stakeHelper.isSignedByWorker(typedData, signature);
+
+    assert.isTrue(signed, 'Worker signature must be accepted');
+    Spy.assert(Contracts.getBrandedToken, 1, [[web3, brandedToken]]);
+    Spy.assert(Contracts.getOrganization, 1, [[web3, organization]]);
+    Spy.assert(isWorker, 1, [[worker.address]]);
+  });
+
+  it('should be false for a signature of another account', async () => {
+    workers.push(worker.address.toLowerCase());
+    const other = web3.eth.accounts.create();
+    const signature = StakeHelper.signStakeRequest(typedData, other);
+
+    const signed = await stakeHelper.isSignedByWorker(typedData, signature.signature);
+
+    assert.isFalse(signed, 'Signature of other account must be refused');
+    Spy.assert(isWorker, 1, [[other.address]]);
+  });
+
+  it('should match a worker registered in other case than the signer', async () => {
+    workers.push(`0x${worker.address.slice(2).toUpperCase()}`);
+    const signature = StakeHelper.signStakeRequest(typedData, worker.privateKey);
+
+    const signed = await stakeHelper.isSignedByWorker(typedData, {
+      r: signature.r,
+      s: signature.s,
+      v: signature.v,
+    });
+
+    assert.isTrue(signed, 'Worker signature must be accepted');
+    Spy.assert(isWorker, 1, [[worker.address]]);
+    assert.notEqual(worker.address, workers[0], 'Signer must be checksummed');
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const StakeHelper = require('../../../lib/helpers/stake/gateway_composer/StakeHelper');
+
+describe('StakeHelper.signStakeRequest()', () => {
+  let web3;
+  let account;
+  let typedData;
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+
+  beforeEach(() => {
+    web3 = new Web3();
+    account = web3.eth.accounts.create();
+    const stakeHelper = new StakeHelper(web3, brandedToken, gatewayComposer);
+    typedData = stakeHelper.getStakeRequestTypedData('100', '1');
+  });
+
+  it('should sign with private key and recover signer', async () => {
+    const signature = StakeHelper.signStakeRequest(typedData, account.privateKey);
+
+    assert.strictEqual(
+      signature.messageHash,
+      typedData.getEIP712SignHash(),
+      'Message hash must be EIP 712 sign hash',
+    );
+    assert.strictEqual(
+      StakeHelper.recoverStakeRequestSigner(typedData, signature),
+      account.address,
+      'Recovered signer must match',
+    );
+  });
+
+  it('should sign with web3 account and recover signer from r, s and v', async () => {
+    const signature = StakeHelper.signStakeRequest(typedData, account);
+
+    const recovered = StakeHelper.recoverStakeRequestSigner(typedData, {
+      r: signature.r,
+      s: signature.s,
+      v: signature.v,
+    });
+
+    assert.strictEqual(recovered, account.address, 'Recovered signer must match');
+  });
+
+  it('should not recover signer for different typed data', async () => {
+    const signature = StakeHelper.signStakeRequest(typedData, account);
+    const otherTypedData = new StakeHelper(web3, brandedToken, gatewayComposer)
+      .getStakeRequestTypedData('200', '1');
+
+    assert.notEqual(
+      StakeHelper.recoverStakeRequestSigner(otherTypedData, signature),
+      account.address,
+      'Recovered signer must not match',
+    );
+  });
+
+  it('should throw an error when signer is invalid', async () => {
+    assert.throws(
+      () => StakeHelper.signStakeRequest(typedData, {}),
+      'Invalid signer. Provide a private key or web3 account.',
+    );
+  });
+
+  it('should throw an error when signature is invalid', async () => {
+    assert.throws(
+      () => StakeHelper.recoverStakeRequestSigner(typedData, {}),
+      'Invalid signature: undefined.',
+    );
+  });
+});
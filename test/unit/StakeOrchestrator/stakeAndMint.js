@@ -0,0 +1,279 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const Contracts = require('../../../lib/Contracts');
+const Metrics = require('../../../utils/Metrics');
+const Spy = require('../../utils/Spy');
+const StakeHelper = require('../../../lib/helpers/stake/gateway_composer/StakeHelper');
+const StakeOrchestrator = require('../../../lib/StakeOrchestrator');
+
+describe('StakeOrchestrator.stakeAndMint()', () => {
+  let originWeb3;
+  let auxiliaryWeb3;
+  let orchestrator;
+  let mosaicFacilitator;
+  let anchor;
+  let metrics;
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000001',
+    brandedToken: '0x0000000000000000000000000000000000000002',
+    gatewayComposer: '0x0000000000000000000000000000000000000003',
+    gateway: '0x0000000000000000000000000000000000000004',
+    coGateway: '0x0000000000000000000000000000000000000005',
+  };
+  const beneficiary = '0x0000000000000000000000000000000000000006';
+  const stakeRequestHash = '0x00000000000000000000000000000000000000000000000000000000000000a1';
+  const messageHash = '0x00000000000000000000000000000000000000000000000000000000000000b1';
+  const acceptStakeRequestReceipt = {
+    status: true,
+    transactionHash: '0x00000000000000000000000000000000000000000000000000000000000000c1',
+    blockNumber: 12,
+  };
+  const params = {
+    stakeVT: '100',
+    mintBT: '200',
+    beneficiary,
+    gasPrice: '1',
+    gasLimit: '2',
+    stakerGatewayNonce: '3',
+    hashLock: '0x00000000000000000000000000000000000000000000000000000000000000d1',
+    unlockSecret: '0x00000000000000000000000000000000000000000000000000000000000000d2',
+  };
+  const txOptions = from => ({ from, gas: '7500000' });
+
+  const createOrchestrator = options => new StakeOrchestrator(
+    originWeb3,
+    auxiliaryWeb3,
+    addresses,
+    Object.assign({
+      worker: '0x348ce564d427a3311b6536bbcff9390d69395b06ed6c486954e971d960fe8709',
+      stakerTxOptions: txOptions('0x0000000000000000000000000000000000000007'),
+      facilitatorTxOptions: txOptions('0x0000000000000000000000000000000000000008'),
+      auxiliaryTxOptions: txOptions('0x0000000000000000000000000000000000000009'),
+      metrics,
+    }, options),
+  );
+
+  const stubCollaborators = () => {
+    sinon.replace(orchestrator.staker, 'requestStake', sinon.fake.resolves({ requestStakeReceipt: {} }));
+    sinon.replace(
+      orchestrator.facilitator,
+      'acceptStakeRequest',
+      sinon.fake.resolves({ acceptStakeRequestReceipt }),
+    );
+    sinon.replace(orchestrator.brandedToken, 'getStakeRequestHash', sinon.fake.resolves(stakeRequestHash));
+    sinon.replace(
+      orchestrator.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves({ stake: '100', nonce: '0' }),
+    );
+    sinon.replace(orchestrator.stakeHelper, 'getStakeRequestTypedData', sinon.fake.returns('typedData'));
+    sinon.replace(orchestrator.gateway, 'getBounty', sinon.fake.resolves('50'));
+    sinon.replace(orchestrator, '_getMosaicFacilitator', sinon.fake.resolves(mosaicFacilitator));
+    sinon.replace(orchestrator, '_getAuxiliaryAnchor', sinon.fake.resolves(anchor));
+  };
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    auxiliaryWeb3 = new Web3();
+    metrics = Metrics.prometheus();
+    mosaicFacilitator = {
+      confirmStakeIntent: sinon.fake.resolves({ status: true, transactionHash: '0xe1' }),
+      performProgressStake: sinon.fake.resolves({ status: true, transactionHash: '0xe2' }),
+      performProgressMint: sinon.fake.resolves({ status: true, transactionHash: '0xe3' }),
+    };
+    anchor = {
+      address: '0x000000000000000000000000000000000000000a',
+      anchorStateRoot: sinon.fake.resolves({ status: true, transactionHash: '0xe0' }),
+      getLatestStateRootBlockHeight: sinon.stub().resolves('0'),
+    };
+    sinon.stub(StakeHelper, 'signStakeRequest').returns({ r: '0xr', s: '0xs', v: 27 });
+    sinon.stub(Contracts, 'getEIP20Gateway').returns({
+      getPastEvents: sinon.fake.resolves([{
+        transactionHash: acceptStakeRequestReceipt.transactionHash,
+        returnValues: {
+          _messageHash: messageHash,
+          _staker: addresses.gatewayComposer,
+          _stakerNonce: '3',
+          _beneficiary: beneficiary,
+          _amount: '200',
+        },
+      }]),
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should run all phases in order and report progress', async () => {
+    sinon.replace(originWeb3.eth, 'getBlock', sinon.fake.resolves({ number: 13, stateRoot: '0xf1' }));
+    const anchorTxOptions = txOptions('0x000000000000000000000000000000000000000b');
+    orchestrator = createOrchestrator({ anchorTxOptions });
+    stubCollaborators();
+    const progress = [];
+    orchestrator.on('progress', event => progress.push(`${event.phase}:${event.status}`));
+
+    const flow = await orchestrator.stakeAndMint(params);
+
+    assert.strictEqual(flow.stakeRequestHash, stakeRequestHash);
+    assert.strictEqual(flow.messageHash, messageHash);
+    assert.strictEqual(flow.unlockSecret, params.unlockSecret);
+    assert.strictEqual(flow.receipts.progressMint.transactionHash, '0xe3');
+    assert.deepEqual(progress, [
+      'requestStake:started', 'requestStake:completed',
+      'acceptStakeRequest:started', 'acceptStakeRequest:completed',
+      'anchor:started', 'anchor:completed',
+      'confirmStakeIntent:started', 'confirmStakeIntent:completed',
+      'progressStake:started', 'progressStake:completed',
+      'progressMint:started', 'progressMint:completed',
+    ]);
+
+    Spy.assert(orchestrator.staker.requestStake, 1, [[
+      '100', '200', addresses.gateway, '1', '2', beneficiary, '3', orchestrator.stakerTxOptions,
+    ]]);
+    Spy.assert(orchestrator.facilitator.acceptStakeRequest, 1);
+    assert.deepEqual(orchestrator.facilitator.acceptStakeRequest.args[0], [
+      stakeRequestHash,
+      { r: '0xr', s: '0xs', v: 27 },
+      '50',
+      params.hashLock,
+      orchestrator.facilitatorTxOptions,
+    ]);
+    Spy.assert(anchor.anchorStateRoot, 1, [[13, '0xf1', anchorTxOptions]]);
+    Spy.assert(mosaicFacilitator.confirmStakeIntent, 1, [[
+      addresses.gatewayComposer, '200', beneficiary, '1', '2', '3', params.hashLock,
+      orchestrator.auxiliaryTxOptions,
+    ]]);
+    Spy.assert(mosaicFacilitator.performProgressStake, 1, [[
+      messageHash, params.unlockSecret, orchestrator.facilitatorTxOptions,
+    ]]);
+    Spy.assert(mosaicFacilitator.performProgressMint, 1, [[
+      messageHash, params.unlockSecret, orchestrator.auxiliaryTxOptions,
+    ]]);
+    assert.include(metrics.metrics(), 'brandedtoken_flows_total{flow="stakeAndMint",outcome="success"} 1\n');
+  });
+
+  it('should create a hash lock if none is given', async () => {
+    const createHashLock = sinon.fake.returns({
+      secret: 'secret',
+      unlockSecret: '0x01',
+      hashLock: '0x02',
+    });
+    anchor.getLatestStateRootBlockHeight.resolves('12');
+    orchestrator = createOrchestrator({ createHashLock });
+    stubCollaborators();
+
+    const flow = await orchestrator.stakeAndMint(Object.assign({}, params, {
+      hashLock: undefined,
+      unlockSecret: undefined,
+    }));
+
+    assert.strictEqual(flow.hashLock, '0x02');
+    assert.strictEqual(flow.unlockSecret, '0x01');
+    Spy.assert(createHashLock, 1, [[]]);
+    Spy.assert(anchor.anchorStateRoot, 0);
+  });
+
+  it('should wait until the anchor has the block of the stake', async () => {
+    anchor.getLatestStateRootBlockHeight.onCall(0).resolves('11');
+    anchor.getLatestStateRootBlockHeight.onCall(1).resolves('12');
+    orchestrator = createOrchestrator({ pollInterval: 1 });
+    stubCollaborators();
+
+    await orchestrator.stakeAndMint(params);
+
+    Spy.assert(anchor.getLatestStateRootBlockHeight, 2);
+    Spy.assert(mosaicFacilitator.confirmStakeIntent, 1);
+  });
+
+  it('should fail when the anchor does not reach the block of the stake', async () => {
+    orchestrator = createOrchestrator({ pollInterval: 1, anchorTimeout: 5 });
+    stubCollaborators();
+
+    await AssertAsync.reject(
+      orchestrator.stakeAndMint(params),
+      `Anchor ${anchor.address} did not anchor block 12 within 5 ms.`,
+    );
+    Spy.assert(mosaicFacilitator.confirmStakeIntent, 0);
+  });
+
+  it('should report failed phase with the unlock secret and stop', async () => {
+    anchor.getLatestStateRootBlockHeight.resolves('12');
+    mosaicFacilitator.performProgressStake = sinon.fake.rejects(new Error('progress failed'));
+    orchestrator = createOrchestrator();
+    stubCollaborators();
+    const failures = [];
+    orchestrator.on('progress', (event) => {
+      if (event.status === 'failed') {
+        failures.push(event);
+      }
+    });
+
+    await AssertAsync.reject(orchestrator.stakeAndMint(params), 'progress failed');
+
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].phase, 'progressStake');
+    assert.strictEqual(failures[0].messageHash, messageHash);
+    assert.strictEqual(failures[0].unlockSecret, params.unlockSecret);
+    Spy.assert(mosaicFacilitator.performProgressMint, 0);
+    const text = metrics.metrics();
+    assert.include(text, 'brandedtoken_flows_total{flow="progressStake",outcome="failure"} 1\n');
+    assert.include(text, 'brandedtoken_flows_total{flow="stakeAndMint",outcome="failure"} 1\n');
+  });
+
+  it('should fail for missing options', () => {
+    assert.throws(
+      () => createOrchestrator({ auxiliaryTxOptions: undefined }),
+      TypeError,
+      "Mandatory option 'auxiliaryTxOptions' is missing or invalid",
+    );
+    assert.throws(
+      () => new StakeOrchestrator(originWeb3, auxiliaryWeb3, Object.assign({}, addresses, { coGateway: '0x1' }), {}),
+      TypeError,
+      'Invalid coGateway address: 0x1.',
+    );
+  });
+
+  it('should fail without unlock secret of the given hash lock', async () => {
+    orchestrator = createOrchestrator();
+
+    await AssertAsync.reject(
+      orchestrator.stakeAndMint(Object.assign({}, params, { unlockSecret: undefined })),
+      "Mandatory Parameter 'unlockSecret' is missing or invalid",
+    );
+  });
+
+  it('should pass numeric gas price and gas limit as strings', async () => {
+    anchor.getLatestStateRootBlockHeight.resolves('12');
+    orchestrator = createOrchestrator();
+    stubCollaborators();
+
+    await orchestrator.stakeAndMint(Object.assign({}, params, {
+      gasPrice: 1,
+      gasLimit: originWeb3.utils.toBN(2),
+    }));
+
+    assert.deepEqual(orchestrator.staker.requestStake.args[0].slice(3, 5), ['1', '2']);
+    assert.deepEqual(mosaicFacilitator.confirmStakeIntent.args[0].slice(3, 5), ['1', '2']);
+  });
+
+  it('should fail for invalid gas price before staking', async () => {
+    orchestrator = createOrchestrator();
+    stubCollaborators();
+
+    await AssertAsync.reject(
+      orchestrator.stakeAndMint(Object.assign({}, params, { gasPrice: 1.5 })),
+      'Invalid gasPrice: 1.5.',
+    );
+    await AssertAsync.reject(
+      orchestrator.stakeAndMint(Object.assign({}, params, { gasLimit: undefined })),
+      'Invalid gasLimit: undefined.',
+    );
+    Spy.assert(orchestrator.staker.requestStake, 0);
+  });
+});
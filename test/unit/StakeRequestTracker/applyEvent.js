@@ -0,0 +1,160 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const StakeRequestTracker = require('../../../lib/StakeRequestTracker');
+
+const { States, Actions } = StakeRequestTracker;
+
+describe('StakeRequestTracker.applyEvent()', () => {
+  let web3;
+  let tracker;
+  let stakeRequestHash;
+  let messageHash;
+  const staker = '0x0000000000000000000000000000000000000003';
+
+  const btEvent = (event, blockNumber, hash) => ({
+    event,
+    blockNumber,
+    transactionHash: web3.utils.sha3(`tx${blockNumber}`),
+    returnValues: {
+      _stakeRequestHash: hash || stakeRequestHash,
+      _staker: staker,
+      _stake: '100',
+    },
+  });
+
+  const gatewayEvent = (event, blockNumber, hash) => ({
+    event,
+    blockNumber,
+    transactionHash: web3.utils.sha3(`tx${blockNumber}`),
+    returnValues: {
+      _messageHash: hash || messageHash,
+    },
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    stakeRequestHash = web3.utils.sha3('stakeRequest');
+    messageHash = web3.utils.sha3('message');
+    tracker = new StakeRequestTracker(stakeRequestHash);
+  });
+
+  it('should track a stake request until minted', async () => {
+    assert.isTrue(tracker.applyEvent(btEvent('StakeRequested', 1), 100));
+    assert.strictEqual(tracker.getState(), States.REQUESTED);
+    assert.strictEqual(tracker.staker, staker, 'Staker must be recorded');
+    assert.deepEqual(tracker.getAllowedActions(), [
+      Actions.ACCEPT_STAKE_REQUEST,
+      Actions.REJECT_STAKE_REQUEST,
+      Actions.REVOKE_STAKE_REQUEST,
+    ]);
+
+    tracker.applyEvent(btEvent('StakeRequestAccepted', 2), 200);
+    tracker.applyEvent(gatewayEvent('StakeIntentDeclared', 2), 200);
+    assert.strictEqual(tracker.getState(), States.STAKED);
+    assert.strictEqual(tracker.messageHash, messageHash, 'Message hash must be recorded');
+
+    tracker.applyEvent(gatewayEvent('MintProgressed', 3), 300);
+    assert.strictEqual(tracker.getState(), States.MINTED);
+    assert.deepEqual(tracker.getAllowedActions(), [Actions.PROGRESS_STAKE]);
+
+    tracker.applyEvent(gatewayEvent('StakeProgressed', 4), 400);
+    assert.strictEqual(tracker.getState(), States.MINTED, 'Minted must stay current state');
+    assert.deepEqual(tracker.getAllowedActions(), []);
+
+    assert.deepEqual(tracker.getTimestamps(), {
+      [States.REQUESTED]: 100,
+      [States.ACCEPTED]: 200,
+      [States.STAKED]: 200,
+      [States.MINTED]: 300,
+      [States.STAKE_PROGRESSED]: 400,
+    });
+  });
+
+  it('should ignore events of other stake requests and messages', async () => {
+    tracker.applyEvent(btEvent('StakeRequested', 1));
+
+    assert.isFalse(tracker.applyEvent(btEvent('StakeRequestAccepted', 2, web3.utils.sha3('other'))));
+    assert.isFalse(tracker.applyEvent(gatewayEvent('StakeIntentDeclared', 2)));
+    assert.strictEqual(tracker.getState(), States.REQUESTED);
+  });
+
+  it('should ignore an unrelated stake intent after acceptance', async () => {
+    tracker.applyEvent(btEvent('StakeRequested', 1));
+    tracker.applyEvent(btEvent('StakeRequestAccepted', 2));
+
+    assert.isFalse(tracker.applyEvent(gatewayEvent('StakeIntentDeclared', 3, web3.utils.sha3('other'))));
+    assert.strictEqual(tracker.getState(), States.ACCEPTED);
+    assert.isNull(tracker.messageHash, 'Message hash must not be recorded');
+
+    assert.isTrue(tracker.applyEvent(gatewayEvent('StakeIntentDeclared', 2)));
+    assert.strictEqual(tracker.messageHash, messageHash);
+  });
+
+  it('should match the stake intent on the staker without accept transaction', async () => {
+    tracker.applyStakeRequest({ staker, stake: '100', nonce: '0' });
+    tracker.applyEvent(Object.assign(btEvent('StakeRequestAccepted', 2), { transactionHash: undefined }));
+    const otherIntent = gatewayEvent('StakeIntentDeclared', 3, web3.utils.sha3('other'));
+    otherIntent.returnValues._staker = '0x0000000000000000000000000000000000000009';
+    const intent = gatewayEvent('StakeIntentDeclared', 2);
+    intent.returnValues._staker = staker;
+
+    assert.isFalse(tracker.applyEvent(otherIntent));
+    assert.isTrue(tracker.applyEvent(intent));
+    assert.strictEqual(tracker.messageHash, messageHash);
+  });
+
+  it('should ignore repeated events', async () => {
+    tracker.applyEvent(btEvent('StakeRequested', 1));
+
+    assert.isFalse(tracker.applyEvent(btEvent('StakeRequested', 1)));
+    assert.strictEqual(tracker.history.length, 1, 'History must not grow');
+  });
+
+  it('should record invalid transition without changing state', async () => {
+    tracker.applyEvent(btEvent('StakeRequested', 1));
+    tracker.applyEvent(btEvent('StakeRequestRevoked', 2));
+
+    assert.isFalse(tracker.applyEvent(btEvent('StakeRequestAccepted', 3)));
+    assert.strictEqual(tracker.getState(), States.REVOKED);
+    assert.deepEqual(tracker.unexpectedTransitions, [{
+      from: States.REVOKED,
+      to: States.ACCEPTED,
+      blockNumber: 3,
+      transactionHash: web3.utils.sha3('tx3'),
+    }]);
+  });
+
+  it('should start from the first event of a partial history', async () => {
+    assert.isTrue(tracker.applyEvent(btEvent('StakeRequestAccepted', 2), 200));
+    assert.isTrue(tracker.applyEvent(gatewayEvent('StakeIntentDeclared', 2), 200));
+
+    assert.strictEqual(tracker.getState(), States.STAKED);
+    assert.strictEqual(tracker.messageHash, messageHash);
+    assert.deepEqual(tracker.getTimestamps(), {
+      [States.ACCEPTED]: 200,
+      [States.STAKED]: 200,
+    });
+    assert.deepEqual(tracker.unexpectedTransitions, []);
+  });
+
+  it('should move to requested on pending stake request read', async () => {
+    const applied = tracker.applyStakeRequest({ staker, stake: '100', nonce: '0' });
+
+    assert.isTrue(applied);
+    assert.strictEqual(tracker.getState(), States.REQUESTED);
+  });
+
+  it('should not change state on empty stake request read', async () => {
+    const applied = tracker.applyStakeRequest({
+      staker: '0x0000000000000000000000000000000000000000',
+      stake: '0',
+      nonce: '0',
+    });
+
+    assert.isFalse(applied);
+    assert.isNull(tracker.getState());
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const UBTHelper = require('../../../lib/helpers/setup/UBTHelper');
+const Utils = require('../../../utils/Utils');
+const AssertAsync = require('../../utils/AssertAsync');
+const Spy = require('../../utils/Spy');
+
+describe('UBTHelper.setCoGateway()', () => {
+  let auxiliaryWeb3;
+  let checkpoint;
+  let currentCoGateway;
+  const ubtAddress = '0x0000000000000000000000000000000000000004';
+  const coGateway = '0x000000000000000000000000000000000000000A';
+  const otherCoGateway = '0x000000000000000000000000000000000000000b';
+  const txOptions = { from: '0x0000000000000000000000000000000000000005' };
+
+  beforeEach(() => {
+    currentCoGateway = '0x0000000000000000000000000000000000000000';
+    auxiliaryWeb3 = {
+      eth: {
+        Contract: function Contract() {
+          this.methods = {
+            coGateway: () => ({ call: () => Promise.resolve(currentCoGateway) }),
+            setCoGateway: address => ({ address }),
+          };
+        },
+      },
+    };
+    checkpoint = { set: sinon.fake() };
+    sinon.stub(Utils, 'sendTransaction').resolves({ status: true });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should set the CoGateway when none is set', async () => {
+    const ubtHelper = new UBTHelper(auxiliaryWeb3, ubtAddress, checkpoint);
+
+    const receipt = await ubtHelper.setCoGateway(coGateway, txOptions);
+
+    assert.deepEqual(receipt, { status: true });
+    Spy.assert(Utils.sendTransaction, 1);
+    Spy.assert(checkpoint.set, 0);
+  });
+
+  it('should skip when the CoGateway is already set', async () => {
+    currentCoGateway = coGateway.toLowerCase();
+    const ubtHelper = new UBTHelper(auxiliaryWeb3, ubtAddress, checkpoint);
+
+    const result = await ubtHelper.setCoGateway(coGateway, txOptions);
+
+    assert.deepEqual(result, { skipped: true });
+    Spy.assert(Utils.sendTransaction, 0);
+  });
+
+  it('should fail when another CoGateway is set', async () => {
+    currentCoGateway = otherCoGateway;
+    const ubtHelper = new UBTHelper(auxiliaryWeb3, ubtAddress, checkpoint);
+
+    await AssertAsync.reject(
+      ubtHelper.setCoGateway(coGateway, txOptions),
+      `CoGateway of ${ubtAddress} is already set to ${otherCoGateway}, cannot set ${coGateway}.`,
+    );
+    Spy.assert(Utils.sendTransaction, 0);
+    Spy.assert(checkpoint.set, 0);
+  });
+});
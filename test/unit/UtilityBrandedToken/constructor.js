@@ -39,7 +39,7 @@ describe('UtilityToken.constructor()', () => {
       instance,
       'Contract instance must match.',
     );
-    Spy.assert(utilityTokenSpy, 1, [[web3, utilityTokenAddress]]);
+    Spy.assert(utilityTokenSpy, 1, [[web3, utilityTokenAddress, undefined]]);
     sinon.restore();
   });
 
@@ -0,0 +1,115 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const Utils = require('../../../utils/Utils');
+
+describe('Utils.dryRun()', () => {
+  let web3;
+  let tx;
+  const from = '0x0000000000000000000000000000000000000003';
+  const contractAddress = '0x0000000000000000000000000000000000000002';
+
+  beforeEach(() => {
+    web3 = { eth: { call: sinon.fake.resolves('0x') } };
+    tx = {
+      _parent: { options: { address: contractAddress } },
+      encodeABI: () => '0x1234',
+    };
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns(web3));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return no problems when checks and call pass', async () => {
+    const check = sinon.fake.resolves(null);
+
+    const problems = await Utils.dryRun(tx, { from, gas: '100000' }, { allowance: check });
+
+    assert.deepEqual(problems, []);
+    Spy.assert(check, 1);
+    Spy.assert(web3.eth.call, 1);
+    assert.deepEqual(web3.eth.call.args[0][0], {
+      from,
+      to: contractAddress,
+      data: '0x1234',
+      value: undefined,
+      gas: '100000',
+    });
+  });
+
+  it('should list failing checks and revert of call', async () => {
+    web3.eth.call = sinon.fake.rejects(
+      new Error('VM Exception while processing transaction: revert Stake request not found.'),
+    );
+
+    const problems = await Utils.dryRun(tx, { from }, {
+      allowance: () => Promise.resolve('Allowance is too low.'),
+      nonce: () => Promise.resolve(null),
+      mintAmount: () => Promise.reject(new Error('Connection refused.')),
+    });
+
+    assert.deepEqual(problems, [
+      { check: 'allowance', message: 'Allowance is too low.' },
+      { check: 'mintAmount', message: 'Connection refused.' },
+      { check: 'call', message: 'Transaction would revert: Stake request not found.' },
+    ]);
+  });
+
+  it('should tell failing call from revert', async () => {
+    web3.eth.call = sinon.fake.rejects(new Error('Invalid JSON RPC response: ""'));
+
+    const problems = await Utils.dryRun(tx, { from });
+
+    assert.deepEqual(problems, [
+      { check: 'call', message: 'Call failed: Invalid JSON RPC response: ""' },
+    ]);
+  });
+
+  it('should be run by sendTransaction with dryRun option', async () => {
+    tx.send = sinon.fake();
+
+    const problems = await Utils.sendTransaction(tx, { from, dryRun: true });
+
+    assert.deepEqual(problems, []);
+    Spy.assert(tx.send, 0);
+    Spy.assert(web3.eth.call, 1);
+  });
+});
+
+describe('Utils.mergeApprovalDryRun()', () => {
+  it('should leave out problems fixed by the approval', () => {
+    const problems = Utils.mergeApprovalDryRun(
+      [],
+      'requestStake',
+      [
+        { check: 'allowance', message: 'Allowance is too low.' },
+        { check: 'nonce', message: 'Nonce mismatch.' },
+        { check: 'call', message: 'Transaction would revert: transferFrom failed.' },
+      ],
+      'allowance',
+    );
+
+    assert.deepEqual(problems, [
+      { step: 'requestStake', check: 'nonce', message: 'Nonce mismatch.' },
+    ]);
+  });
+
+  it('should keep call problem when allowance is sufficient', () => {
+    const problems = Utils.mergeApprovalDryRun(
+      [{ check: 'call', message: 'Transaction would revert.' }],
+      'requestStake',
+      [{ check: 'call', message: 'Transaction would revert: restricted.' }],
+      'allowance',
+    );
+
+    assert.deepEqual(problems, [
+      { step: 'approve', check: 'call', message: 'Transaction would revert.' },
+      { step: 'requestStake', check: 'call', message: 'Transaction would revert: restricted.' },
+    ]);
+  });
+});
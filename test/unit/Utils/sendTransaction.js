@@ -0,0 +1,574 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Metrics = require('../../../utils/Metrics');
+const NonceManager = require('../../../utils/NonceManager');
+const RevertReason = require('../../../utils/RevertReason');
+const { StakeRequestNotFoundError } = require('../../../lib/Errors');
+const Spy = require('../../utils/Spy');
+const Utils = require('../../../utils/Utils');
+
+describe('Utils.sendTransaction() with signer', () => {
+  let web3;
+  let tx;
+  let account;
+  let receipt;
+  let nonceManager;
+  const tokenAddress = '0x0000000000000000000000000000000000000002';
+  const privateKey = '0x348ce564d427a3311b6536bbcff9390d69395b06ed6c486954e971d960fe8709';
+
+  // Returns a PromiEvent like object that emits the receipt.
+  const fakePromiEvent = (value) => {
+    const promiEvent = {
+      on: (name, callback) => {
+        if (name === 'receipt') {
+          setImmediate(() => callback(value));
+        }
+        return promiEvent;
+      },
+      catch: () => promiEvent,
+    };
+    return promiEvent;
+  };
+
+  beforeEach(() => {
+    web3 = new Web3();
+    nonceManager = new NonceManager();
+    account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    const brandedToken = new BrandedToken(web3, tokenAddress);
+    tx = brandedToken.contract.methods.redeem('10');
+    sinon.replace(tx, 'estimateGas', sinon.fake.resolves(50000));
+
+    const redeemedEvent = brandedToken.contract.options.jsonInterface
+      .find(item => item.name === 'Redeemed');
+    receipt = {
+      status: true,
+      logs: [{
+        address: tokenAddress,
+        topics: [redeemedEvent.signature],
+        data: web3.eth.abi.encodeParameters(['address', 'uint256'], [account.address, '5']),
+      }],
+    };
+
+    sinon.replace(web3.eth, 'getTransactionCount', sinon.fake.resolves(7));
+    sinon.replace(web3.eth, 'getGasPrice', sinon.fake.resolves('1000000000'));
+    sinon.replace(web3.eth.net, 'getId', sinon.fake.resolves(3));
+    sinon.replace(web3.eth, 'sendSignedTransaction', sinon.fake.returns(fakePromiEvent(receipt)));
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns(web3));
+    sinon.replaceGetter(NonceManager, 'shared', () => nonceManager);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should sign with private key and send signed transaction', async () => {
+    const result = await Utils.sendTransaction(tx, { signer: privateKey });
+
+    const expectedSignedTx = await web3.eth.accounts.signTransaction(
+      {
+        to: tokenAddress,
+        data: tx.encodeABI(),
+        value: '0x0',
+        nonce: 7,
+        gas: 50000,
+        gasPrice: '1000000000',
+        chainId: 3,
+      },
+      privateKey,
+    );
+    Spy.assert(web3.eth.getTransactionCount, 1, [[account.address, 'pending']]);
+    Spy.assert(web3.eth.sendSignedTransaction, 1, [[expectedSignedTx.rawTransaction]]);
+    assert.strictEqual(result.events.Redeemed.returnValues._redeemer, account.address);
+    assert.strictEqual(result.events.Redeemed.returnValues._valueTokens, '5');
+  });
+
+  it('should use given nonce, gas price and chain id', async () => {
+    await Utils.sendTransaction(tx, {
+      signer: account,
+      nonce: 2,
+      gasPrice: '5',
+      chainId: 1,
+    });
+
+    Spy.assert(web3.eth.getTransactionCount, 0);
+    Spy.assert(web3.eth.getGasPrice, 0);
+    Spy.assert(web3.eth.net.getId, 0);
+    Spy.assert(web3.eth.sendSignedTransaction, 1);
+  });
+
+  it('should sign with custom signer', async () => {
+    const signer = {
+      address: account.address,
+      signTransaction: sinon.fake.resolves({ rawTransaction: '0x1234' }),
+    };
+
+    await Utils.sendTransaction(tx, { signer, from: account.address });
+
+    Spy.assert(signer.signTransaction, 1);
+    assert.strictEqual(signer.signTransaction.args[0][0].from, account.address);
+    assert.strictEqual(signer.signTransaction.args[0][0].nonce, '0x7');
+    Spy.assert(web3.eth.sendSignedTransaction, 1, [['0x1234']]);
+  });
+
+  it('should fail when signer does not match from address', async () => {
+    const from = '0x0000000000000000000000000000000000000001';
+
+    await AssertAsync.reject(
+      Utils.sendTransaction(tx, { signer: privateKey, from }),
+      `Signer address ${account.address} does not match from address ${from}.`,
+    );
+    Spy.assert(web3.eth.sendSignedTransaction, 0);
+  });
+
+  it('should hand out consecutive nonces to concurrent transactions', async () => {
+    await Promise.all([
+      Utils.sendTransaction(tx, { signer: privateKey }),
+      Utils.sendTransaction(tx, { signer: privateKey }),
+    ]);
+
+    Spy.assert(web3.eth.getTransactionCount, 1);
+    Spy.assert(web3.eth.sendSignedTransaction, 2);
+    assert.strictEqual(await nonceManager.getNonce(web3, account.address), 9);
+    assert.notStrictEqual(
+      web3.eth.sendSignedTransaction.args[0][0],
+      web3.eth.sendSignedTransaction.args[1][0],
+      'Transactions must have different nonces',
+    );
+  });
+
+  it('should resend with new nonce when nonce is used', async () => {
+    sinon.restore();
+    sinon.replace(tx, 'estimateGas', sinon.fake.resolves(50000));
+    const getTransactionCount = sinon.stub();
+    getTransactionCount.onFirstCall().resolves(7);
+    getTransactionCount.onSecondCall().resolves(8);
+    sinon.replace(web3.eth, 'getTransactionCount', getTransactionCount);
+    sinon.replace(web3.eth, 'getGasPrice', sinon.fake.resolves('1000000000'));
+    sinon.replace(web3.eth.net, 'getId', sinon.fake.resolves(3));
+    const failingPromiEvent = {
+      on: (name, callback) => {
+        if (name === 'error') {
+          setImmediate(() => callback(new Error('Returned error: nonce too low')));
+        }
+        return failingPromiEvent;
+      },
+      catch: () => failingPromiEvent,
+    };
+    const sendSignedTransaction = sinon.stub();
+    sendSignedTransaction.onFirstCall().returns(failingPromiEvent);
+    sendSignedTransaction.onSecondCall().returns(fakePromiEvent(receipt));
+    sinon.replace(web3.eth, 'sendSignedTransaction', sendSignedTransaction);
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns(web3));
+    sinon.replaceGetter(NonceManager, 'shared', () => nonceManager);
+
+    const result = await Utils.sendTransaction(tx, { signer: privateKey });
+
+    Spy.assert(web3.eth.getTransactionCount, 2);
+    Spy.assert(web3.eth.sendSignedTransaction, 2);
+    assert.strictEqual(result.events.Redeemed.returnValues._valueTokens, '5');
+  });
+});
+
+describe('Utils.sendTransaction() with confirmations', () => {
+  let web3;
+  let tx;
+  const transactionHash = '0x0000000000000000000000000000000000000000000000000000000000000011';
+  const receipt = {
+    status: true,
+    transactionHash,
+    blockHash: '0x00000000000000000000000000000000000000000000000000000000000000a1',
+    blockNumber: 10,
+    logs: [],
+  };
+
+  // Returns a PromiEvent like object that emits the hash and the receipt.
+  const fakePromiEvent = () => {
+    const promiEvent = {
+      on: (name, callback) => {
+        if (name === 'transactionHash') {
+          setImmediate(() => callback(transactionHash));
+        }
+        if (name === 'receipt') {
+          setImmediate(() => setImmediate(() => callback(receipt)));
+        }
+        return promiEvent;
+      },
+      catch: () => promiEvent,
+    };
+    return promiEvent;
+  };
+
+  // Resolves the given values on consecutive calls, repeating the last one.
+  const stubSequence = (values) => {
+    const stub = sinon.stub();
+    values.forEach((value, index) => stub.onCall(index).resolves(value));
+    stub.resolves(values[values.length - 1]);
+    return stub;
+  };
+
+  beforeEach(() => {
+    tx = {
+      estimateGas: sinon.fake.resolves(50000),
+      send: sinon.fake.returns(fakePromiEvent()),
+    };
+    web3 = { eth: {} };
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns(web3));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should emit lifecycle events and resolve on first receipt by default', async () => {
+    const handle = Utils.sendTransaction(tx, { from: '0x1' });
+    const onHash = sinon.spy();
+    const onReceipt = sinon.spy();
+    const onConfirmation = sinon.spy();
+    handle
+      .on('transactionHash', onHash)
+      .on('receipt', onReceipt)
+      .on('confirmation', onConfirmation);
+
+    const result = await handle;
+
+    assert.strictEqual(result, receipt);
+    Spy.assert(onHash, 1, [[transactionHash]]);
+    Spy.assert(onReceipt, 1, [[receipt]]);
+    Spy.assert(onConfirmation, 1, [[1, receipt]]);
+    Spy.assert(tx.send, 1);
+    assert.deepEqual(tx.send.args[0][0], { from: '0x1', gas: 50000 });
+  });
+
+  it('should resolve after the confirmation depth', async () => {
+    web3.eth.getBlockNumber = stubSequence([10, 11, 12]);
+    web3.eth.getTransactionReceipt = sinon.fake.resolves(receipt);
+
+    const handle = Utils.sendTransaction(tx, {
+      confirmations: 3,
+      confirmationPollInterval: 1,
+    });
+    const onConfirmation = sinon.spy();
+    handle.on('confirmation', onConfirmation);
+
+    const result = await handle;
+
+    assert.strictEqual(result.blockHash, receipt.blockHash);
+    Spy.assert(onConfirmation, 3, [[1, receipt], [2, receipt], [3, receipt]]);
+    Spy.assert(web3.eth.getBlockNumber, 3);
+    assert.notProperty(tx.send.args[0][0], 'confirmations');
+    assert.notProperty(tx.send.args[0][0], 'confirmationPollInterval');
+  });
+
+  it('should restart counting when a reorg drops the receipt', async () => {
+    const reorgedReceipt = Object.assign({}, receipt, {
+      blockHash: '0x00000000000000000000000000000000000000000000000000000000000000b2',
+      blockNumber: 11,
+    });
+    web3.eth.getBlockNumber = stubSequence([10, 11, 12]);
+    web3.eth.getTransactionReceipt = stubSequence([null, reorgedReceipt]);
+
+    const handle = Utils.sendTransaction(tx, {
+      confirmations: 2,
+      confirmationPollInterval: 1,
+    });
+    const onReorg = sinon.spy();
+    const onReceipt = sinon.spy();
+    handle.on('reorg', onReorg).on('receipt', onReceipt);
+
+    const result = await handle;
+
+    Spy.assert(onReorg, 1, [[receipt]]);
+    Spy.assert(onReceipt, 2);
+    assert.strictEqual(result.blockHash, reorgedReceipt.blockHash);
+    assert.deepEqual(result.events, {});
+  });
+
+  it('should fail when a dropped transaction is not mined again', async () => {
+    web3.eth.getBlockNumber = sinon.fake.resolves(12);
+    web3.eth.getTransactionReceipt = sinon.fake.resolves(null);
+
+    const handle = Utils.sendTransaction(tx, {
+      confirmations: 6,
+      confirmationPollInterval: 1,
+      confirmationTimeout: 5,
+    });
+    const onError = sinon.spy();
+    handle.on('error', onError);
+
+    await AssertAsync.reject(
+      handle,
+      `Transaction ${transactionHash} was dropped by a reorg after 5 ms.`,
+    );
+    Spy.assert(onError, 1);
+  });
+});
+
+describe('Utils.sendTransaction() with revert', () => {
+  let web3;
+  const transactionHash = '0x0000000000000000000000000000000000000000000000000000000000000011';
+
+  // Returns a PromiEvent like object that emits the hash and the error.
+  const failingPromiEvent = (error) => {
+    const promiEvent = {
+      on: (name, callback) => {
+        if (name === 'transactionHash') {
+          setImmediate(() => callback(transactionHash));
+        }
+        if (name === 'error') {
+          setImmediate(() => setImmediate(() => callback(error)));
+        }
+        return promiEvent;
+      },
+      catch: () => promiEvent,
+    };
+    return promiEvent;
+  };
+
+  const fakeTx = error => ({
+    estimateGas: sinon.fake.resolves(50000),
+    send: sinon.fake.returns(failingPromiEvent(error)),
+  });
+
+  beforeEach(() => {
+    web3 = { eth: {} };
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns(web3));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should reject with typed error of replayed revert reason', async () => {
+    const fakeFetch = sinon.replace(
+      RevertReason,
+      'fetch',
+      sinon.fake.resolves('Stake request not found.'),
+    );
+    const tx = fakeTx(new Error('Transaction has been reverted by the EVM:\n{}'));
+
+    const promise = Utils.sendTransaction(tx, { from: '0x1' });
+
+    await AssertAsync.reject(
+      promise,
+      `Transaction ${transactionHash} reverted: Stake request not found.`,
+    );
+    const error = await promise.catch(err => err);
+    assert.instanceOf(error, StakeRequestNotFoundError);
+    assert.strictEqual(error.transactionHash, transactionHash);
+    Spy.assert(fakeFetch, 1, [[web3, transactionHash]]);
+  });
+
+  it('should reject with other errors unchanged', async () => {
+    const fakeFetch = sinon.replace(RevertReason, 'fetch', sinon.fake.resolves(null));
+    const error = new Error('Returned error: insufficient funds for gas * price + value');
+
+    await AssertAsync.reject(Utils.sendTransaction(fakeTx(error), { from: '0x1' }), error.message);
+    Spy.assert(fakeFetch, 0);
+  });
+});
+
+describe('Utils.sendTransaction() with metrics', () => {
+  let registry;
+  const transactionHash = '0x0000000000000000000000000000000000000000000000000000000000000011';
+
+  // Returns a PromiEvent like object that emits the hash, then the receipt
+  // or the error.
+  const fakePromiEvent = (receipt, error) => {
+    const promiEvent = {
+      on: (name, callback) => {
+        if (name === 'transactionHash') {
+          setImmediate(() => callback(transactionHash));
+        }
+        if ((name === 'receipt' && receipt) || (name === 'error' && error)) {
+          setImmediate(() => setImmediate(() => callback(receipt || error)));
+        }
+        return promiEvent;
+      },
+      catch: () => promiEvent,
+    };
+    return promiEvent;
+  };
+
+  const fakeTx = (receipt, error) => ({
+    _method: { name: 'requestStake' },
+    estimateGas: sinon.fake.resolves(50000),
+    send: sinon.fake.returns(fakePromiEvent(receipt, error)),
+  });
+
+  beforeEach(() => {
+    registry = Metrics.prometheus();
+    Metrics.setGlobal(registry);
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns({ eth: {} }));
+  });
+
+  afterEach(() => {
+    Metrics.setGlobal(null);
+    sinon.restore();
+  });
+
+  it('should report sent and mined transaction with gas used and time to receipt', async () => {
+    const receipt = {
+      status: true,
+      transactionHash,
+      gasUsed: 42000,
+      logs: [],
+    };
+
+    await Utils.sendTransaction(fakeTx(receipt), { from: '0x1' });
+
+    const text = registry.metrics();
+    assert.include(text, 'brandedtoken_transactions_sent_total{method="requestStake"} 1\n');
+    assert.include(text, 'brandedtoken_transactions_mined_total{method="requestStake"} 1\n');
+    assert.include(text, 'brandedtoken_transaction_gas_used_total{method="requestStake"} 42000\n');
+    assert.include(text, 'brandedtoken_transaction_receipt_seconds_count{method="requestStake"} 1\n');
+    assert.notInclude(text, 'brandedtoken_transactions_reverted_total');
+  });
+
+  it('should report reverted and failed transactions', async () => {
+    sinon.replace(RevertReason, 'fetch', sinon.fake.resolves('Stake request not found.'));
+    const revert = new Error('Transaction has been reverted by the EVM:\n{}');
+    const failure = new Error('Returned error: insufficient funds for gas * price + value');
+
+    await Utils.sendTransaction(fakeTx(null, revert), { from: '0x1' }).catch(() => {});
+    await Utils.sendTransaction(fakeTx(null, failure), { from: '0x1' }).catch(() => {});
+
+    const text = registry.metrics();
+    assert.include(text, 'brandedtoken_transactions_sent_total{method="requestStake"} 2\n');
+    assert.include(text, 'brandedtoken_transactions_reverted_total{method="requestStake"} 1\n');
+    assert.include(text, 'brandedtoken_transactions_failed_total{method="requestStake"} 1\n');
+    assert.notInclude(text, 'brandedtoken_transactions_mined_total');
+  });
+
+  it('should report to the metrics of the transaction options', async () => {
+    const receipt = { status: true, transactionHash, logs: [] };
+    const txMetrics = Metrics.prometheus();
+    const tx = fakeTx(receipt);
+
+    await Utils.sendTransaction(tx, { from: '0x1', metrics: txMetrics });
+
+    assert.include(txMetrics.metrics(), 'brandedtoken_transactions_mined_total{method="requestStake"} 1\n');
+    assert.strictEqual(registry.metrics(), '', 'Global metrics must not be reported to');
+    assert.notProperty(tx.send.args[0][0], 'metrics', 'Metrics must not be sent to the node');
+  });
+
+  it('should log to the logger of the transaction options', async () => {
+    const receipt = { status: true, transactionHash, logs: [] };
+    const logger = {
+      debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy(),
+    };
+    const tx = fakeTx(receipt);
+
+    await Utils.sendTransaction(tx, { from: '0x1', logger });
+
+    assert.deepEqual(
+      logger.debug.args.map(([event]) => event),
+      ['transactionSent', 'transactionMined'],
+    );
+    assert.notProperty(tx.send.args[0][0], 'logger', 'Logger must not be sent to the node');
+  });
+
+  it('should leave a rejection of the handle unhandled', async () => {
+    const failure = new Error('Returned error: insufficient funds for gas * price + value');
+    const unhandled = sinon.fake();
+    process.on('unhandledRejection', unhandled);
+
+    const handle = Utils.sendTransaction(fakeTx(null, failure), { from: '0x1' });
+    await new Promise(resolve => handle.once('error', () => setTimeout(resolve, 10)));
+    process.removeListener('unhandledRejection', unhandled);
+
+    Spy.assert(unhandled, 1);
+    assert.strictEqual(unhandled.args[0][0], failure);
+    assert.include(
+      registry.metrics(),
+      'brandedtoken_transactions_failed_total{method="requestStake"} 1\n',
+    );
+  });
+});
+
+describe('Utils.sendTransaction() from node account', () => {
+  let web3;
+  let tx;
+  let nonceManager;
+  const from = '0x0000000000000000000000000000000000000001';
+
+  // Returns a PromiEvent like object that emits the error.
+  const failingPromiEvent = (error) => {
+    const promiEvent = {
+      on: (name, callback) => {
+        if (name === 'error') {
+          setImmediate(() => callback(error));
+        }
+        return promiEvent;
+      },
+      catch: () => promiEvent,
+    };
+    return promiEvent;
+  };
+
+  beforeEach(() => {
+    tx = {
+      estimateGas: sinon.fake.resolves(50000),
+      send: sinon.fake.returns(failingPromiEvent(new Error('Returned error: insufficient funds'))),
+    };
+    nonceManager = {
+      getNonce: sinon.fake.resolves(7),
+      reset: sinon.fake.resolves(),
+    };
+    web3 = { eth: {} };
+    sinon.replace(Utils, '_getWeb3', sinon.fake.returns(web3));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should reject with typed error when gas estimation reverts', async () => {
+    tx.estimateGas = sinon.fake.rejects(
+      new Error('Returned error: VM Exception while processing transaction: revert Stake request not found.'),
+    );
+
+    const promise = Utils.sendTransaction(tx, { from, nonceManager });
+
+    await AssertAsync.reject(promise, 'Transaction reverted: Stake request not found.');
+    assert.instanceOf(await promise.catch(err => err), StakeRequestNotFoundError);
+    Spy.assert(nonceManager.getNonce, 0);
+    Spy.assert(tx.send, 0);
+  });
+
+  it('should reject when gas price strategy fails', async () => {
+    const gasPriceStrategy = sinon.fake.rejects(new Error('Gas price not available.'));
+
+    await AssertAsync.reject(
+      Utils.sendTransaction(tx, { from, gasPriceStrategy }),
+      'Gas price not available.',
+    );
+    Spy.assert(gasPriceStrategy, 1, [[web3]]);
+    Spy.assert(tx.send, 0);
+  });
+
+  it('should reject when nonce manager fails', async () => {
+    nonceManager.getNonce = sinon.fake.rejects(new Error('Invalid JSON RPC response: ""'));
+
+    await AssertAsync.reject(
+      Utils.sendTransaction(tx, { from, nonceManager }),
+      'Invalid JSON RPC response: ""',
+    );
+    Spy.assert(tx.send, 0);
+    Spy.assert(nonceManager.reset, 0);
+  });
+
+  it('should reset managed nonce when sending fails', async () => {
+    await AssertAsync.reject(
+      Utils.sendTransaction(tx, { from, nonceManager }),
+      'Returned error: insufficient funds',
+    );
+    assert.deepEqual(tx.send.args[0][0], { from, gas: 50000, nonce: 7 });
+    Spy.assert(nonceManager.reset, 1, [[web3, from]]);
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const Spy = require('../../utils/Spy');
+const TransactionHandle = require('../../../utils/TransactionHandle');
+const Utils = require('../../../utils/Utils');
+
+describe('Utils.speedUpTransaction() and Utils.cancelTransaction()', () => {
+  let web3;
+  let pendingTx;
+  const transactionHash = `0x${'1'.repeat(64)}`;
+  const receipt = { status: true, transactionHash: `0x${'2'.repeat(64)}` };
+
+  // Returns a PromiEvent like object that emits the receipt.
+  const fakePromiEvent = () => {
+    const promiEvent = {
+      on: (name, callback) => {
+        if (name === 'receipt') {
+          setImmediate(() => callback(receipt));
+        }
+        return promiEvent;
+      },
+      catch: () => promiEvent,
+    };
+    return promiEvent;
+  };
+
+  beforeEach(() => {
+    pendingTx = {
+      from: '0x0000000000000000000000000000000000000001',
+      to: '0x0000000000000000000000000000000000000002',
+      input: '0x095ea7b3',
+      value: '0',
+      gas: 60000,
+      gasPrice: '1000000000',
+      nonce: 12,
+      blockNumber: null,
+    };
+    web3 = {
+      eth: {
+        getTransaction: sinon.fake(() => Promise.resolve(pendingTx)),
+        sendTransaction: sinon.fake(fakePromiEvent),
+      },
+    };
+  });
+
+  it('should re-send pending transaction with bumped gas price', async () => {
+    const result = await Utils.speedUpTransaction(web3, transactionHash);
+
+    assert.strictEqual(result, receipt);
+    Spy.assert(web3.eth.getTransaction, 1, [[transactionHash]]);
+    assert.deepEqual(web3.eth.sendTransaction.args[0][0], {
+      from: pendingTx.from,
+      to: pendingTx.to,
+      data: pendingTx.input,
+      value: pendingTx.value,
+      gas: pendingTx.gas,
+      nonce: pendingTx.nonce,
+      gasPrice: '1100000000',
+    });
+  });
+
+  it('should use higher gas price of strategy', async () => {
+    const gasPriceStrategy = sinon.fake.resolves('3000000000');
+
+    await Utils.speedUpTransaction(web3, transactionHash, { gasPriceStrategy });
+
+    Spy.assert(gasPriceStrategy, 1, [[web3]]);
+    assert.strictEqual(web3.eth.sendTransaction.args[0][0].gasPrice, '3000000000');
+  });
+
+  it('should cancel pending transaction', async () => {
+    await Utils.cancelTransaction(web3, transactionHash, { gasPrice: '2000000000' });
+
+    assert.deepEqual(web3.eth.sendTransaction.args[0][0], {
+      from: pendingTx.from,
+      to: pendingTx.from,
+      data: '0x',
+      value: '0',
+      gas: 21000,
+      nonce: pendingTx.nonce,
+      gasPrice: '2000000000',
+    });
+  });
+
+  it('should settle handle of the pending transaction with the replacement receipt', async () => {
+    const handle = new TransactionHandle()._settle(new Promise(() => {}));
+    const onReceipt = sinon.spy();
+    handle.on('receipt', onReceipt);
+
+    await Utils.speedUpTransaction(web3, transactionHash, { handle });
+
+    assert.strictEqual(await handle, receipt);
+    Spy.assert(onReceipt, 1, [[receipt]]);
+  });
+
+  it('should reject handle of the cancelled transaction', async () => {
+    const handle = new TransactionHandle()._settle(new Promise(() => {}));
+
+    await Utils.cancelTransaction(web3, transactionHash, { handle });
+
+    await AssertAsync.reject(
+      handle,
+      `Transaction ${transactionHash} is cancelled by transaction ${receipt.transactionHash}.`,
+    );
+  });
+
+  it('should leave handle settled by the pending transaction', async () => {
+    const minedReceipt = { status: true, transactionHash };
+    const handle = new TransactionHandle()._settle(Promise.resolve(minedReceipt));
+    await handle;
+
+    await Utils.cancelTransaction(web3, transactionHash, { handle });
+
+    assert.strictEqual(await handle, minedReceipt);
+  });
+
+  it('should fail when transaction is already mined', async () => {
+    pendingTx.blockNumber = 100;
+
+    await AssertAsync.reject(
+      Utils.speedUpTransaction(web3, transactionHash),
+      `Transaction ${transactionHash} is already mined in block 100.`,
+    );
+    Spy.assert(web3.eth.sendTransaction, 0);
+  });
+
+  it('should fail when transaction is not found', async () => {
+    pendingTx = null;
+
+    await AssertAsync.reject(
+      Utils.cancelTransaction(web3, transactionHash),
+      `Transaction ${transactionHash} not found.`,
+    );
+  });
+});
@@ -4,9 +4,11 @@ const Web3 = require('web3');
 const sinon = require('sinon');
 const { assert } = require('chai');
 
+const Metrics = require('../../../utils/Metrics');
 const Staker = require('../../../lib/Staker');
 const Spy = require('../../utils/Spy');
 const AssertAsync = require('../../utils/AssertAsync');
+const { RevertError, InsufficientAllowanceError } = require('../../../lib/Errors');
 
 describe('Staker.requestStake()', () => {
   let staker;
@@ -26,6 +28,10 @@ describe('Staker.requestStake()', () => {
     );
   });
 
+  afterEach(() => {
+    sinon.restore();
+  });
+
   it('should return valid receipts on success ', async () => {
     const fakeApproveReceipt = {
       status: true,
@@ -102,15 +108,21 @@ describe('Staker.requestStake()', () => {
   });
 
   it('should fail if approval for value token fails', async () => {
-    const fakeApproveReceipt = {
-      status: false,
-      transactionHash: originWeb3.utils.sha3('t1'),
+    const error = new RevertError(null, originWeb3.utils.sha3('t1'));
+    const logger = {
+      debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy(),
     };
+    staker.logger = logger;
 
     const fakeValueTokenApprove = sinon.replace(
       staker.valueToken,
       'approve',
-      sinon.fake.resolves(fakeApproveReceipt),
+      sinon.fake.rejects(error),
+    );
+    const fakeGatewayComposerRequestStakeRequest = sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves({ status: true }),
     );
 
     const stakeVTAmountInWei = '100';
@@ -124,33 +136,41 @@ describe('Staker.requestStake()', () => {
       from: '0x0000000000000000000000000000000000000002',
     };
 
-    await AssertAsync.reject(
-      staker.requestStake(
-        stakeVTAmountInWei,
-        mintBTAmountInWei,
-        gatewayAddress,
-        gasPrice,
-        gasLimit,
-        beneficiary,
-        stakerGatewayNonce,
-        txOptions,
-      ),
-      `Approval for value token is failed with transactionHash: ${fakeApproveReceipt.transactionHash}`,
-    );
+    const rejection = await staker.requestStake(
+      stakeVTAmountInWei,
+      mintBTAmountInWei,
+      gatewayAddress,
+      gasPrice,
+      gasLimit,
+      beneficiary,
+      stakerGatewayNonce,
+      txOptions,
+    ).catch(err => err);
 
-    Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, stakeVTAmountInWei, txOptions]]);
+    assert.strictEqual(rejection, error);
+    Spy.assert(fakeValueTokenApprove, 1);
+    assert.deepEqual(
+      fakeValueTokenApprove.args[0],
+      [gatewayComposer, stakeVTAmountInWei, Object.assign({ logger }, txOptions)],
+      'Approve must log to the given logger',
+    );
+    Spy.assert(fakeGatewayComposerRequestStakeRequest, 0);
+    assert.deepEqual(logger.error.args, [['approveForValueToken', {
+      transactionHash: error.transactionHash,
+      error: error.message,
+    }]]);
   });
 
-  it('should fail if acceptStakeRequest fails', async () => {
+  it('should fail if requestStake fails', async () => {
     const fakeApproveReceipt = {
       status: true,
       transactionHash: originWeb3.utils.sha3('t1'),
     };
 
-    const fakeRequestStakeReceipt = {
-      status: false,
-      transactionHash: originWeb3.utils.sha3('t2'),
-    };
+    const error = new InsufficientAllowanceError(
+      'ValueToken.transferFrom returned false.',
+      originWeb3.utils.sha3('t2'),
+    );
 
     const fakeValueTokenApprove = sinon.replace(
       staker.valueToken,
@@ -161,7 +181,7 @@ describe('Staker.requestStake()', () => {
     const fakeGatewayComposerRequestStakeRequest = sinon.replace(
       staker.gatewayComposer,
       'requestStake',
-      sinon.fake.resolves(fakeRequestStakeReceipt),
+      sinon.fake.rejects(error),
     );
 
     const stakeVTAmountInWei = '100';
@@ -175,19 +195,18 @@ describe('Staker.requestStake()', () => {
       from: '0x0000000000000000000000000000000000000002',
     };
 
-    await AssertAsync.reject(
-      staker.requestStake(
-        stakeVTAmountInWei,
-        mintBTAmountInWei,
-        gatewayAddress,
-        gasPrice,
-        gasLimit,
-        beneficiary,
-        stakerGatewayNonce,
-        txOptions,
-      ),
-      `Request stake is failed with transactionHash: ${fakeRequestStakeReceipt.transactionHash}`,
-    );
+    const rejection = await staker.requestStake(
+      stakeVTAmountInWei,
+      mintBTAmountInWei,
+      gatewayAddress,
+      gasPrice,
+      gasLimit,
+      beneficiary,
+      stakerGatewayNonce,
+      txOptions,
+    ).catch(err => err);
+
+    assert.strictEqual(rejection, error);
 
     Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, stakeVTAmountInWei, txOptions]]);
     Spy.assert(
@@ -206,4 +225,122 @@ describe('Staker.requestStake()', () => {
       ],
     );
   });
+
+  it('should merge problems of both steps with dryRun', async () => {
+    const fakeValueTokenApprove = sinon.replace(
+      staker.valueToken,
+      'approve',
+      sinon.fake.resolves([]),
+    );
+    sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves([
+        { check: 'allowance', message: 'Value token allowance 0 is less than stake amount 100.' },
+        { check: 'nonce', message: 'Nonce 1 does not match gateway nonce 2.' },
+        { check: 'call', message: 'Transaction would revert.' },
+      ]),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000002',
+      dryRun: true,
+    };
+
+    const problems = await staker.requestStake(
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000001',
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000003',
+      '1',
+      txOptions,
+    );
+
+    assert.deepEqual(problems, [
+      { step: 'requestStake', check: 'nonce', message: 'Nonce 1 does not match gateway nonce 2.' },
+    ]);
+    Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, '100', txOptions]]);
+  });
+
+  it('should log receipts to the given logger', async () => {
+    const logger = {
+      error: sinon.fake(),
+      warn: sinon.fake(),
+      info: sinon.fake(),
+      debug: sinon.fake(),
+    };
+    staker = new Staker(originWeb3, valueToken, brandedToken, gatewayComposer, logger);
+    const fakeApproveReceipt = {
+      status: true,
+      transactionHash: originWeb3.utils.sha3('t1'),
+      gasUsed: 45000,
+    };
+    const fakeRequestStakeReceipt = {
+      status: true,
+      transactionHash: originWeb3.utils.sha3('t2'),
+      gasUsed: 150000,
+    };
+    sinon.replace(staker.valueToken, 'approve', sinon.fake.resolves(fakeApproveReceipt));
+    sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves(fakeRequestStakeReceipt),
+    );
+
+    await staker.requestStake(
+      '100',
+      '200',
+      '0x0000000000000000000000000000000000000001',
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000003',
+      '1',
+      { from: '0x0000000000000000000000000000000000000002' },
+    );
+
+    Spy.assert(logger.info, 2);
+    assert.deepEqual(logger.info.args[0], ['approveForValueToken', {
+      transactionHash: fakeApproveReceipt.transactionHash,
+      status: true,
+      gasUsed: 45000,
+    }]);
+    assert.deepEqual(logger.info.args[1], ['requestStake', {
+      transactionHash: fakeRequestStakeReceipt.transactionHash,
+      status: true,
+      gasUsed: 150000,
+      stakeVT: '100',
+      mintBT: '200',
+      gateway: '0x0000000000000000000000000000000000000001',
+    }]);
+  });
+
+  it('should report failed flow to the given metrics', async () => {
+    const metrics = Metrics.prometheus();
+    staker = new Staker(originWeb3, valueToken, brandedToken, gatewayComposer, undefined, metrics);
+    const error = new InsufficientAllowanceError('ERC20: transfer amount exceeds allowance');
+    const approve = sinon.replace(staker.valueToken, 'approve', sinon.fake.resolves({ status: true }));
+    const requestStake = sinon.replace(staker.gatewayComposer, 'requestStake', sinon.fake.rejects(error));
+
+    await AssertAsync.reject(
+      staker.requestStake(
+        '100',
+        '200',
+        '0x0000000000000000000000000000000000000001',
+        '100',
+        '100',
+        '0x0000000000000000000000000000000000000003',
+        '1',
+        { from: '0x0000000000000000000000000000000000000002' },
+      ),
+      error.message,
+    );
+
+    const text = metrics.metrics();
+    assert.include(text, 'brandedtoken_flows_total{flow="requestStake",outcome="failure"} 1\n');
+    assert.include(text, 'brandedtoken_flow_duration_seconds_count{flow="requestStake",outcome="failure"} 1\n');
+    const sendOptions = { from: '0x0000000000000000000000000000000000000002', metrics };
+    assert.deepEqual(approve.args[0][2], sendOptions, 'Approve must report to the given metrics');
+    assert.deepEqual(requestStake.args[0][7], sendOptions, 'Request stake must report to the given metrics');
+  });
 });
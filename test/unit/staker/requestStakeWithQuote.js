@@ -0,0 +1,103 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+
+const Staker = require('../../../lib/Staker');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Staker.requestStakeWithQuote()', () => {
+  let staker;
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const gatewayAddress = '0x0000000000000000000000000000000000000001';
+  const beneficiary = '0x0000000000000000000000000000000000000003';
+  const txOptions = {
+    from: '0x0000000000000000000000000000000000000002',
+  };
+
+  beforeEach(() => {
+    staker = new Staker(
+      new Web3(),
+      valueToken,
+      brandedToken,
+      gatewayComposer,
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should request stake with quoted amounts', async () => {
+    const quote = { stakeVT: '2', mintBT: '7' };
+    const fakeRequestStake = sinon.replace(
+      staker,
+      'requestStake',
+      sinon.fake.resolves({}),
+    );
+
+    await staker.requestStakeWithQuote(
+      quote,
+      gatewayAddress,
+      '100',
+      '100',
+      beneficiary,
+      '1',
+      txOptions,
+    );
+
+    Spy.assert(fakeRequestStake, 1, [[
+      quote.stakeVT,
+      quote.mintBT,
+      gatewayAddress,
+      '100',
+      '100',
+      beneficiary,
+      '1',
+      txOptions,
+    ]]);
+  });
+
+  it('should throw an error when quote is invalid', async () => {
+    const quote = { stakeVT: '2' };
+
+    await AssertAsync.reject(
+      staker.requestStakeWithQuote(
+        quote,
+        gatewayAddress,
+        '100',
+        '100',
+        beneficiary,
+        '1',
+        txOptions,
+      ),
+      `Invalid quote: ${JSON.stringify(quote)}.`,
+    );
+  });
+
+  it('should throw an error when quote mints no branded tokens', async () => {
+    const quote = { stakeVT: '1', mintBT: '0' };
+    const fakeRequestStake = sinon.replace(
+      staker,
+      'requestStake',
+      sinon.fake.resolves({}),
+    );
+
+    await AssertAsync.reject(
+      staker.requestStakeWithQuote(
+        quote,
+        gatewayAddress,
+        '100',
+        '100',
+        beneficiary,
+        '1',
+        txOptions,
+      ),
+      `Quote mints no branded tokens: ${JSON.stringify(quote)}.`,
+    );
+    Spy.assert(fakeRequestStake, 0);
+  });
+});
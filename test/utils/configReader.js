@@ -27,6 +27,7 @@ ConfigReader.prototype = {
   gas: 7500000,
   nullBytes32: '0x0000000000000000000000000000000000000000000000000000000000000000',
   originPort: 8546,
+  auxiliaryPort: 8547,
   stakeAmountInWei: '10000000000',
   stakeGasPrice: '7500000',
   stakeGasLimit: '100',
@@ -43,10 +43,12 @@ const dockerSetup = () => {
   }
 
   const waitForOriginNode = waitPort({ port: config.originPort, output: 'silent' });
-  return Promise.all([waitForOriginNode])
+  const waitForAuxiliaryNode = waitPort({ port: config.auxiliaryPort, output: 'silent' });
+  return Promise.all([waitForOriginNode, waitForAuxiliaryNode])
     .then(() => asyncSleep(5000))
     .then(() => ({
       rpcEndpointOrigin: `http://localhost:${config.originPort}`,
+      rpcEndpointAuxiliary: `http://localhost:${config.auxiliaryPort}`,
     }));
 };
 
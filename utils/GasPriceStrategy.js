@@ -0,0 +1,122 @@
+'use strict';
+
+const Web3 = require('web3');
+
+const { toBN } = Web3.utils;
+
+const DEFAULT_PERCENTILE = 60;
+const DEFAULT_BLOCK_COUNT = 20;
+
+/**
+ * Gas price strategies for {@link Utils.sendTransaction}. A strategy is an
+ * async function `(web3) => gasPrice` given as `txOptions.gasPriceStrategy`.
+ * It is used if txOptions has no gasPrice.
+ */
+class GasPriceStrategy {
+  /**
+   * @param {string|number} gasPrice Gas price in wei.
+   *
+   * @returns {Function} Strategy that always returns the gas price.
+   */
+  static fixed(gasPrice) {
+    if (gasPrice === undefined || !toBN(gasPrice).gtn(0)) {
+      throw new TypeError(`Invalid gas price: ${gasPrice}.`);
+    }
+    return () => Promise.resolve(toBN(gasPrice).toString(10));
+  }
+
+  /**
+   * @param {number} [multiplier] Factor the node suggestion is multiplied
+   *                              with, e.g. 1.2 for 20% more. Defaults to 1.
+   *
+   * @returns {Function} Strategy that returns the gas price suggested by the
+   *                     node.
+   */
+  static node(multiplier) {
+    return web3 => web3.eth.getGasPrice()
+      .then(gasPrice => GasPriceStrategy._multiply(gasPrice, multiplier || 1));
+  }
+
+  /**
+   * @param {number} [percentile] Percentile of gas prices, 0 to 100.
+   *                              Defaults to 60.
+   * @param {number} [blockCount] Number of recent blocks. Defaults to 20.
+   *
+   * @returns {Function} Strategy that returns the percentile of gas prices
+   *                     of transactions in recent blocks. It falls back to
+   *                     the node suggestion if the blocks have no
+   *                     transactions.
+   */
+  static percentile(percentile, blockCount) {
+    const percentileValue = percentile === undefined ? DEFAULT_PERCENTILE : percentile;
+    const blocks = blockCount || DEFAULT_BLOCK_COUNT;
+    if (!(percentileValue >= 0 && percentileValue <= 100)) {
+      throw new TypeError(`Invalid percentile: ${percentile}. It should be between 0 and 100`);
+    }
+
+    return async (web3) => {
+      const latestBlockNumber = await web3.eth.getBlockNumber();
+      const firstBlockNumber = Math.max(0, latestBlockNumber - blocks + 1);
+
+      const blockPromises = [];
+      for (let number = firstBlockNumber; number <= latestBlockNumber; number += 1) {
+        blockPromises.push(web3.eth.getBlock(number, true));
+      }
+      const gasPrices = [];
+      (await Promise.all(blockPromises)).forEach((block) => {
+        ((block && block.transactions) || []).forEach((transaction) => {
+          gasPrices.push(toBN(transaction.gasPrice));
+        });
+      });
+
+      if (gasPrices.length === 0) {
+        return web3.eth.getGasPrice();
+      }
+
+      gasPrices.sort((a, b) => a.cmp(b));
+      const index = Math.min(
+        gasPrices.length - 1,
+        Math.floor((percentileValue / 100) * gasPrices.length),
+      );
+      return gasPrices[index].toString(10);
+    };
+  }
+
+  /**
+   * Returns the gas price for a replacement transaction. Nodes accept a
+   * replacement only if its gas price is higher than the pending one by a
+   * minimum bump, 10% for geth and parity.
+   *
+   * @param {string|number} pendingGasPrice Gas price of the pending
+   *                                        transaction.
+   * @param {string|number} [gasPrice] Gas price of a strategy.
+   * @param {number} [bumpPercent] Minimum bump in percent. Defaults to 10.
+   *
+   * @returns {string} The higher of gas price and the bumped pending gas
+   *                   price.
+   */
+  static replacementGasPrice(pendingGasPrice, gasPrice, bumpPercent) {
+    const bump = bumpPercent === undefined ? 10 : bumpPercent;
+    const bumped = toBN(pendingGasPrice)
+      .muln(100 + bump)
+      .addn(99)
+      .divn(100);
+    if (gasPrice !== undefined && toBN(gasPrice).gt(bumped)) {
+      return toBN(gasPrice).toString(10);
+    }
+    return bumped.toString(10);
+  }
+
+  /**
+   * @private
+   */
+  static _multiply(gasPrice, multiplier) {
+    // Multiplies in per mille to keep integer math.
+    return toBN(gasPrice)
+      .muln(Math.round(multiplier * 1000))
+      .divn(1000)
+      .toString(10);
+  }
+}
+
+module.exports = GasPriceStrategy;
@@ -0,0 +1,121 @@
+'use strict';
+
+// Levels by decreasing severity.
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const SILENT = Object.freeze({
+  error: () => {},
+  warn: () => {},
+  info: () => {},
+  debug: () => {},
+});
+
+let globalLogger = SILENT;
+
+/**
+ * Logging of brandedtoken.js. A logger is an object with the methods
+ * `error`, `warn`, `info` and `debug`, each called with an event name and
+ * an object of structured fields, e.g. transactionHash, stakeRequestHash
+ * and gasUsed. Loggers like winston fit this interface.
+ *
+ * Classes that log take an optional logger at construction and fall back
+ * to the global logger, which is silent unless set with
+ * {@link Logger.setGlobal}.
+ */
+class Logger {
+  /**
+   * @returns {Object} Logger that drops all entries.
+   */
+  static get silent() {
+    return SILENT;
+  }
+
+  /**
+   * @returns {Object} Global logger.
+   */
+  static get global() {
+    return globalLogger;
+  }
+
+  /**
+   * Sets the global logger.
+   *
+   * @param {Object} logger Logger, null to restore the silent logger.
+   */
+  static setGlobal(logger) {
+    if (logger) {
+      Logger.validate(logger);
+    }
+    globalLogger = logger || SILENT;
+  }
+
+  /**
+   * @param {Object} [logger] Logger given at construction.
+   *
+   * @returns {Object} The given logger, otherwise the global logger.
+   */
+  static resolve(logger) {
+    return logger || globalLogger;
+  }
+
+  /**
+   * @param {Object} logger Logger to check.
+   *
+   * @throws {TypeError} If the logger misses a level method.
+   */
+  static validate(logger) {
+    const missing = LEVELS.filter(level => !logger || typeof logger[level] !== 'function');
+    if (missing.length > 0) {
+      throw new TypeError(`Invalid logger, it must implement ${missing.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Logger that writes entries up to the given level as JSON lines to the
+   * console, errors and warnings to stderr.
+   *
+   * @param {string} [level] Most verbose level to write. Defaults to info.
+   *
+   * @returns {Object} Console logger.
+   */
+  static console(level) {
+    const maxLevel = LEVELS.indexOf(level || 'info');
+    if (maxLevel === -1) {
+      throw new TypeError(`Invalid log level: ${level}. It should be one of ${LEVELS.join(', ')}.`);
+    }
+
+    const logger = {};
+    LEVELS.forEach((entryLevel, index) => {
+      logger[entryLevel] = (event, fields) => {
+        if (index > maxLevel) {
+          return;
+        }
+        const entry = JSON.stringify(Object.assign(
+          { level: entryLevel, event, time: new Date().toISOString() },
+          fields,
+        ));
+        if (index <= LEVELS.indexOf('warn')) {
+          console.error(entry);
+        } else {
+          console.log(entry);
+        }
+      };
+    });
+    return logger;
+  }
+
+  /**
+   * @param {Object} receipt Transaction receipt.
+   *
+   * @returns {Object} Log fields of the receipt.
+   */
+  static receiptFields(receipt) {
+    return {
+      transactionHash: receipt.transactionHash,
+      status: receipt.status,
+      gasUsed: receipt.gasUsed,
+    };
+  }
+}
+
+module.exports = Logger;
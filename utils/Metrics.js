@@ -0,0 +1,143 @@
+'use strict';
+
+const PrometheusRegistry = require('./PrometheusRegistry');
+
+const METHODS = ['increment', 'observe'];
+
+const NOOP = Object.freeze({
+  increment: () => {},
+  observe: () => {},
+});
+
+// Metrics reported by brandedtoken.js, with their Prometheus help texts.
+const HELP = {
+  brandedtoken_transactions_sent_total: 'Transactions sent, by contract method.',
+  brandedtoken_transactions_mined_total: 'Transactions mined successfully, by contract method.',
+  brandedtoken_transactions_reverted_total: 'Transactions reverted by the EVM, by contract method.',
+  brandedtoken_transactions_failed_total: 'Transactions failed for other reasons than a revert, by contract method.',
+  brandedtoken_transaction_gas_used_total: 'Gas used by mined transactions, by contract method.',
+  brandedtoken_transaction_receipt_seconds: 'Seconds from sending a transaction to its receipt, by contract method.',
+  brandedtoken_flows_total: 'Staker and Facilitator flows, by flow and outcome.',
+  brandedtoken_flow_duration_seconds: 'Seconds of Staker and Facilitator flows, by flow and outcome.',
+};
+
+let globalMetrics = NOOP;
+
+/**
+ * Instrumentation of brandedtoken.js. An instrumentation is an object with
+ * the methods:
+ * - `increment(name, labels, value)`: adds value, defaulting to 1, to a
+ *   counter.
+ * - `observe(name, labels, value)`: records a value, e.g. a duration in
+ *   seconds, in a histogram.
+ *
+ * The transaction layer reports to `txOptions.metrics`, otherwise to the
+ * global instrumentation, which does nothing unless set with
+ * {@link Metrics.setGlobal}. Staker and Facilitator take an optional
+ * instrumentation at construction and pass it on to their transactions. See
+ * {@link Metrics.HELP} for the reported metrics.
+ */
+class Metrics {
+  /**
+   * @returns {Object} Instrumentation that drops all metrics.
+   */
+  static get noop() {
+    return NOOP;
+  }
+
+  /**
+   * @returns {Object} Global instrumentation.
+   */
+  static get global() {
+    return globalMetrics;
+  }
+
+  /**
+   * Sets the global instrumentation.
+   *
+   * @param {Object} metrics Instrumentation, null to restore the no-op
+   *                         instrumentation.
+   */
+  static setGlobal(metrics) {
+    if (metrics) {
+      Metrics.validate(metrics);
+    }
+    globalMetrics = metrics || NOOP;
+  }
+
+  /**
+   * @param {Object} [metrics] Instrumentation given at construction.
+   *
+   * @returns {Object} The given instrumentation, otherwise the global one.
+   */
+  static resolve(metrics) {
+    return metrics || globalMetrics;
+  }
+
+  /**
+   * @param {Object} metrics Instrumentation to check.
+   *
+   * @throws {TypeError} If the instrumentation misses a method.
+   */
+  static validate(metrics) {
+    const missing = METHODS.filter(method => !metrics || typeof metrics[method] !== 'function');
+    if (missing.length > 0) {
+      throw new TypeError(`Invalid metrics, it must implement ${missing.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Measures the duration and outcome of an async flow.
+   *
+   * @param {Object} metrics Instrumentation.
+   * @param {string} flow Name of the flow.
+   * @param {Promise} promise Promise of the flow.
+   *
+   * @returns {Promise} The given promise.
+   */
+  static measureFlow(metrics, flow, promise) {
+    const startedAt = Date.now();
+    const record = (outcome) => {
+      const labels = { flow, outcome };
+      metrics.increment('brandedtoken_flows_total', labels);
+      metrics.observe('brandedtoken_flow_duration_seconds', labels, (Date.now() - startedAt) / 1000);
+    };
+
+    return promise.then((result) => {
+      record('success');
+      return result;
+    }, (error) => {
+      record('failure');
+      return Promise.reject(error);
+    });
+  }
+
+  /**
+   * In-process registry that exports the Prometheus text format, with the
+   * help texts of the reported metrics.
+   *
+   * @param {Object} [options] Options of {@link PrometheusRegistry}.
+   *
+   * @returns {PrometheusRegistry} Registry.
+   */
+  static prometheus(options) {
+    const help = Object.assign({}, HELP, options && options.help);
+    return new PrometheusRegistry(Object.assign({}, options, { help }));
+  }
+
+  /**
+   * @returns {Object} Help texts of the reported metrics by name.
+   */
+  static get HELP() {
+    return HELP;
+  }
+
+  /**
+   * @returns {PrometheusRegistry} Class of the Prometheus registry.
+   */
+  static get PrometheusRegistry() {
+    return PrometheusRegistry;
+  }
+}
+
+module.exports = Metrics;
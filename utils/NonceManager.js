@@ -0,0 +1,120 @@
+'use strict';
+
+// Node errors of transactions whose nonce is already used.
+const NONCE_ERROR_PATTERN = /nonce too low|replacement transaction underpriced|known transaction|already known/i;
+
+let sharedNonceManager;
+
+/**
+ * Hands out nonces per chain and address, so that concurrent transactions
+ * from one account do not collide. The first nonce of an address is its
+ * pending transaction count. After a failed, dropped or replaced
+ * transaction, reset the address to read the pending transaction count
+ * again.
+ *
+ * Utils.sendTransaction uses the shared nonce manager for locally signed
+ * transactions, so all helpers share it.
+ */
+class NonceManager {
+  /**
+   * NonceManager constructor.
+   */
+  constructor() {
+    this.accounts = {};
+    this.chainIds = new WeakMap();
+
+    this.getNonce = this.getNonce.bind(this);
+    this.reset = this.reset.bind(this);
+  }
+
+  /**
+   * Returns the next nonce of an address. Calls are served in order.
+   *
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {string} address Account address.
+   *
+   * @returns {Promise<number>} Promise that resolves to the nonce.
+   */
+  async getNonce(web3, address) {
+    const account = await this._account(web3, address);
+
+    const noncePromise = account.queue.then(async () => {
+      if (account.next === undefined) {
+        account.next = Number(await web3.eth.getTransactionCount(address, 'pending'));
+      }
+      const nonce = account.next;
+      account.next += 1;
+      return nonce;
+    });
+    account.queue = noncePromise.catch(() => {});
+
+    return noncePromise;
+  }
+
+  /**
+   * Forgets the nonces handed out for an address. The next nonce is read
+   * from the pending transaction count again, which fills gaps of dropped
+   * transactions.
+   *
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {string} address Account address.
+   *
+   * @returns {Promise} Promise that resolves once reset.
+   */
+  async reset(web3, address) {
+    const account = await this._account(web3, address);
+
+    account.queue = account.queue.then(() => {
+      account.next = undefined;
+    });
+    return account.queue;
+  }
+
+  /**
+   * @param {Error} error Error of a sent transaction.
+   *
+   * @returns {boolean} True if the transaction failed as its nonce is
+   *                    already used.
+   */
+  static isNonceError(error) {
+    return !!error && NONCE_ERROR_PATTERN.test(error.message);
+  }
+
+  /**
+   * @returns {NonceManager} Nonce manager shared by all helpers.
+   */
+  static get shared() {
+    if (!sharedNonceManager) {
+      sharedNonceManager = new NonceManager();
+    }
+    return sharedNonceManager;
+  }
+
+  /**
+   * Returns the state of an address on the chain of web3. The same address
+   * can be used on origin and auxiliary chains.
+   *
+   * @private
+   */
+  async _account(web3, address) {
+    // Web3 objects of one chain share the provider.
+    const provider = web3.currentProvider || web3;
+    if (!this.chainIds.has(provider)) {
+      const chainIdPromise = web3.eth.net.getId();
+      this.chainIds.set(provider, chainIdPromise);
+      chainIdPromise.catch(() => this.chainIds.delete(provider));
+    }
+    const chainId = await this.chainIds.get(provider);
+    const key = `${chainId}:${address.toLowerCase()}`;
+
+    if (!this.accounts[key]) {
+      this.accounts[key] = {
+        next: undefined,
+        queue: Promise.resolve(),
+      };
+    }
+    return this.accounts[key];
+  }
+}
+
+module.exports = NonceManager;
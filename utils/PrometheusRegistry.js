@@ -0,0 +1,174 @@
+'use strict';
+
+// Default histogram buckets in seconds, from a block on a dev chain to a
+// congested mainnet.
+const DEFAULT_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+
+/**
+ * @param {string} value Label value.
+ *
+ * @returns {string} Value escaped for the Prometheus text format.
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * @param {Object} labels Labels by name.
+ *
+ * @returns {string} Labels in the Prometheus text format, e.g. {a="1",b="2"},
+ *                   empty if there are none.
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * In-process registry of counters and histograms that implements the
+ * instrumentation interface of {@link Metrics} and exports the Prometheus
+ * text format, e.g. for a /metrics endpoint of a facilitator.
+ */
+class PrometheusRegistry {
+  /**
+   * PrometheusRegistry constructor.
+   *
+   * @param {Object} [options] Options.
+   * @param {Array<number>} [options.buckets] Upper bounds of the histogram
+   *                                          buckets, in increasing order.
+   * @param {Object} [options.help] Help texts by metric name.
+   */
+  constructor(options) {
+    const { buckets, help } = options || {};
+    const increasing = Array.isArray(buckets)
+      && buckets.every((bound, i) => i === 0 || bound > buckets[i - 1]);
+    if (buckets !== undefined && !increasing) {
+      throw new TypeError(`Invalid buckets: ${buckets}. They should be in increasing order.`);
+    }
+
+    this.buckets = buckets || DEFAULT_BUCKETS;
+    this.help = Object.assign({}, help);
+    this._metrics = new Map();
+
+    this.increment = this.increment.bind(this);
+    this.observe = this.observe.bind(this);
+    this.metrics = this.metrics.bind(this);
+    this.reset = this.reset.bind(this);
+  }
+
+  /**
+   * Adds a value to a counter.
+   *
+   * @param {string} name Name of the counter.
+   * @param {Object} [labels] Labels of the series.
+   * @param {number} [value] Value to add, defaults to 1.
+   */
+  increment(name, labels, value) {
+    const amount = value === undefined ? 1 : Number(value);
+    if (!(amount >= 0)) {
+      throw new TypeError(`Invalid counter increment: ${value}. It should be a non-negative number.`);
+    }
+
+    const series = this._series(name, 'counter', labels, () => ({ value: 0 }));
+    series.value += amount;
+  }
+
+  /**
+   * Records a value in a histogram.
+   *
+   * @param {string} name Name of the histogram.
+   * @param {Object} labels Labels of the series, may be empty.
+   * @param {number} value Observed value.
+   */
+  observe(name, labels, value) {
+    const amount = Number(value);
+    if (Number.isNaN(amount)) {
+      throw new TypeError(`Invalid observation: ${value}. It should be a number.`);
+    }
+
+    const series = this._series(name, 'histogram', labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (amount <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += amount;
+    series.count += 1;
+  }
+
+  /**
+   * @returns {string} All metrics in the Prometheus text format.
+   */
+  metrics() {
+    const lines = [];
+    this._metrics.forEach((metric, name) => {
+      if (this.help[name]) {
+        lines.push(`# HELP ${name} ${this.help[name].replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      }
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      metric.series.forEach(({ labels, data }) => {
+        if (metric.type === 'counter') {
+          lines.push(`${name}${formatLabels(labels)} ${data.value}`);
+          return;
+        }
+
+        this.buckets.forEach((bound, index) => {
+          const bucketLabels = Object.assign({}, labels, { le: String(bound) });
+          lines.push(`${name}_bucket${formatLabels(bucketLabels)} ${data.counts[index]}`);
+        });
+        const infLabels = Object.assign({}, labels, { le: '+Inf' });
+        lines.push(`${name}_bucket${formatLabels(infLabels)} ${data.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${data.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${data.count}`);
+      });
+    });
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Removes all recorded metrics.
+   */
+  reset() {
+    this._metrics.clear();
+  }
+
+  /**
+   * Returns the data of a series, created if it is new.
+   *
+   * @private
+   */
+  _series(name, type, labels, create) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new TypeError(`Invalid metric name: ${name}.`);
+    }
+
+    let metric = this._metrics.get(name);
+    if (!metric) {
+      metric = { type, series: new Map() };
+      this._metrics.set(name, metric);
+    } else if (metric.type !== type) {
+      throw new TypeError(`Metric ${name} is a ${metric.type}, not a ${type}.`);
+    }
+
+    const seriesLabels = Object.assign({}, labels);
+    const key = formatLabels(seriesLabels);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { labels: seriesLabels, data: create() };
+      metric.series.set(key, series);
+    }
+    return series.data;
+  }
+}
+
+module.exports = PrometheusRegistry;
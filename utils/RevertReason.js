@@ -0,0 +1,131 @@
+'use strict';
+
+const Web3 = require('web3');
+const {
+  RevertError,
+  StakeRequestNotFoundError,
+  InsufficientAllowanceError,
+  RestrictedActorError,
+} = require('../lib/Errors');
+
+// Selector of Error(string), the ABI encoding of revert reasons.
+const ERROR_SELECTOR = '0x08c379a0';
+
+// Typed errors by revert reasons of BrandedToken, GatewayComposer and value
+// tokens. The first match wins.
+const REASON_ERRORS = [
+  [/stake ?request.*(not found|not exist|invalid)/i, StakeRequestNotFoundError],
+  [/allowance|transferFrom/i, InsufficientAllowanceError],
+  [/restricted/i, RestrictedActorError],
+];
+
+/**
+ * Decodes revert reasons of failed transactions and maps them to the errors
+ * of {@link Errors}.
+ */
+class RevertReason {
+  /**
+   * @param {string} data Return data of a reverted call.
+   *
+   * @returns {string|null} Revert reason, null if the data is no
+   *                        Error(string).
+   */
+  static decode(data) {
+    if (typeof data !== 'string' || !data.toLowerCase().startsWith(ERROR_SELECTOR)) {
+      return null;
+    }
+    return new Web3().eth.abi.decodeParameter('string', `0x${data.slice(ERROR_SELECTOR.length)}`);
+  }
+
+  /**
+   * Reads the revert reason from a node error, e.g. of gas estimation.
+   * Ganache and geth report the reason in the message or the error data.
+   *
+   * @param {Error} error Error of web3.
+   *
+   * @returns {string|null} Revert reason, null if the error has none.
+   */
+  static fromError(error) {
+    if (!error) {
+      return null;
+    }
+
+    const reason = RevertReason.decode(error.data)
+      || RevertReason.decode(error.data && error.data.data);
+    if (reason) {
+      return reason;
+    }
+
+    const match = /(?:\brevert\s+|\breverted:\s*)(.+)$/m.exec(error.message || '');
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * @param {Error} error Error of web3.
+   *
+   * @returns {boolean} True if the error is of a reverted transaction or
+   *                    call.
+   */
+  static isRevert(error) {
+    return !!error && (/\brevert/i.test(error.message || '') || RevertReason.fromError(error) !== null);
+  }
+
+  /**
+   * Replays the transaction with eth_call at its block to read the revert
+   * reason, as receipts do not contain it.
+   *
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {string} transactionHash Hash of the reverted transaction.
+   *
+   * @returns {Promise<string|null>} Promise that resolves to the revert
+   *                                 reason, null if there is none.
+   */
+  static async fetch(web3, transactionHash) {
+    const [tx, receipt] = await Promise.all([
+      web3.eth.getTransaction(transactionHash),
+      web3.eth.getTransactionReceipt(transactionHash),
+    ]);
+    if (!tx || !receipt) {
+      return null;
+    }
+
+    const call = {
+      from: tx.from,
+      to: tx.to,
+      data: tx.input,
+      value: tx.value,
+      gas: tx.gas,
+    };
+    return web3.eth.call(call, receipt.blockNumber)
+      .then(RevertReason.decode, RevertReason.fromError);
+  }
+
+  /**
+   * @param {string|null} reason Revert reason.
+   * @param {string} [transactionHash] Hash of the reverted transaction.
+   * @param {Object} [receipt] Receipt of the reverted transaction.
+   *
+   * @returns {RevertError} Typed error of the reason, RevertError if the
+   *                        reason is unknown.
+   */
+  static toError(reason, transactionHash, receipt) {
+    const match = REASON_ERRORS.find(([pattern]) => reason && pattern.test(reason));
+    const ErrorClass = match ? match[1] : RevertError;
+    return new ErrorClass(reason, transactionHash, receipt);
+  }
+
+  /**
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {Object} receipt Receipt with status false.
+   *
+   * @returns {Promise<RevertError>} Promise that resolves to the typed error
+   *                                 of the revert reason.
+   */
+  static async fromReceipt(web3, receipt) {
+    const reason = await RevertReason.fetch(web3, receipt.transactionHash)
+      .catch(() => null);
+    return RevertReason.toError(reason, receipt.transactionHash, receipt);
+  }
+}
+
+module.exports = RevertReason;
@@ -0,0 +1,73 @@
+'use strict';
+
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Signs transactions locally, so that transactions can be sent without an
+ * unlocked account on the node. A signer is one of:
+ * - a private key string,
+ * - a web3 account object, i.e. `{ address, privateKey }`,
+ * - an object with `address` and an async `signTransaction(tx)` method,
+ *   e.g. a hardware wallet or key management service client,
+ * - an async function `(tx) => rawTransaction`.
+ *
+ * Custom signers resolve to the raw transaction string, or to an object with
+ * `rawTransaction`.
+ */
+class Signer {
+  /**
+   * Signer constructor.
+   *
+   * @param {string|Object|Function} signer Private key, account, or custom
+   *                                        signer.
+   * @param {Object} accounts web3.eth.accounts object used to sign with
+   *                          private keys.
+   */
+  constructor(signer, accounts) {
+    if (typeof signer === 'string') {
+      if (!PRIVATE_KEY_PATTERN.test(signer)) {
+        throw new TypeError('Invalid signer: private key must be 32 bytes hex.');
+      }
+      const privateKey = signer.startsWith('0x') ? signer : `0x${signer}`;
+      this.address = accounts.privateKeyToAccount(privateKey).address;
+      this.signFunction = tx => accounts.signTransaction(tx, privateKey);
+    } else if (signer && typeof signer.privateKey === 'string') {
+      this.address = signer.address || accounts.privateKeyToAccount(signer.privateKey).address;
+      this.signFunction = tx => accounts.signTransaction(tx, signer.privateKey);
+    } else if (signer && typeof signer.signTransaction === 'function') {
+      this.address = signer.address;
+      this.signFunction = tx => signer.signTransaction(tx);
+    } else if (typeof signer === 'function') {
+      this.signFunction = signer;
+    } else {
+      throw new TypeError(`Invalid signer: ${signer}.`);
+    }
+
+    this.signTransaction = this.signTransaction.bind(this);
+  }
+
+  /**
+   * Signs a fully populated transaction.
+   *
+   * @param {Object} tx Transaction with from, to, data, value, nonce, gas,
+   *                    gasPrice and chainId.
+   *
+   * @returns {Promise<string>} Promise that resolves to the raw transaction.
+   */
+  async signTransaction(tx) {
+    if (this.address && tx.from && this.address.toLowerCase() !== tx.from.toLowerCase()) {
+      const err = new Error(`Signer address ${this.address} does not match from address ${tx.from}.`);
+      return Promise.reject(err);
+    }
+
+    const signed = await this.signFunction(tx);
+    const rawTransaction = typeof signed === 'string' ? signed : signed && signed.rawTransaction;
+    if (!rawTransaction) {
+      const err = new Error('Signer did not return a raw transaction.');
+      return Promise.reject(err);
+    }
+    return rawTransaction;
+  }
+}
+
+module.exports = Signer;
@@ -0,0 +1,82 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Handle of a transaction sent with Utils.sendTransaction. It is a promise
+ * of the receipt, so it can be awaited, and an event emitter of the
+ * transaction lifecycle, like the web3 PromiEvent:
+ *
+ * - `transactionHash` (hash): the transaction is sent.
+ * - `receipt` (receipt): the transaction is mined. It is emitted again if
+ *   the transaction is mined in another block after a reorg.
+ * - `confirmation` (confirmations, receipt): a block is added on top of the
+ *   block of the receipt. The block of the receipt is the first
+ *   confirmation.
+ * - `reorg` (receipt): the block of the receipt left the chain.
+ * - `error` (error): the transaction failed. Only emitted if there are
+ *   listeners, the promise is rejected anyway.
+ */
+class TransactionHandle extends EventEmitter {
+  /**
+   * TransactionHandle constructor.
+   */
+  constructor() {
+    super();
+
+    this.settled = false;
+    this.promise = new Promise((onResolve, onReject) => {
+      this._onResolve = onResolve;
+      this._onReject = onReject;
+    });
+
+    this.then = this.then.bind(this);
+    this.catch = this.catch.bind(this);
+  }
+
+  /**
+   * @param {Function} onFulfilled Called with the receipt.
+   * @param {Function} [onRejected] Called with the error.
+   *
+   * @returns {Promise} Promise of the callback results.
+   */
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  /**
+   * @param {Function} onRejected Called with the error.
+   *
+   * @returns {Promise} Promise of the callback result.
+   */
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+
+  /**
+   * Settles the handle with the outcome of the given promise, unless it is
+   * settled already, e.g. by a replacement transaction.
+   *
+   * @private
+   */
+  _settle(promise) {
+    promise.then((receipt) => {
+      if (!this.settled) {
+        this.settled = true;
+        this._onResolve(receipt);
+      }
+    }, (error) => {
+      if (this.settled) {
+        return;
+      }
+      this.settled = true;
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      this._onReject(error);
+    });
+    return this;
+  }
+}
+
+module.exports = TransactionHandle;
@@ -1,5 +1,24 @@
 'use strict';
 
+const Web3 = require('web3');
+const GasPriceStrategy = require('./GasPriceStrategy');
+const Logger = require('./Logger');
+const Metrics = require('./Metrics');
+const NonceManager = require('./NonceManager');
+const RevertReason = require('./RevertReason');
+const Signer = require('./Signer');
+const TransactionHandle = require('./TransactionHandle');
+const OfflineTransactionBuilder = require('../lib/helpers/transaction/OfflineTransactionBuilder');
+const { RevertError } = require('../lib/Errors');
+
+// Times a locally signed transaction is resent with a new nonce, if its
+// nonce was used by another transaction meanwhile.
+const MAX_NONCE_RETRIES = 3;
+
+// Defaults for waiting for confirmations, the timeout is the one of web3.
+const CONFIRMATION_POLL_INTERVAL = 1000;
+const CONFIRMATION_TIMEOUT = 750000;
+
 /**
  * This class includes the functions shared among various classes.
 
@@ -8,25 +27,643 @@ class Utils {
   /**
    * This function sends ethereum transaction.
    *
+   * If txOptions has a `signer`, the transaction is signed locally and sent
+   * with sendSignedTransaction, so the from account need not be unlocked on
+   * the node. See {@link Signer} for supported signers. Missing gas price
+   * and chain id are read from the node. Missing nonces are handed out by
+   * `txOptions.nonceManager`, defaulting to the shared {@link NonceManager},
+   * and the transaction is resent with a new nonce if it collides.
+   *
+   * Without a signer, the node or web3 wallet assigns the nonce, unless a
+   * `txOptions.nonceManager` is given, e.g. for web3 wallet accounts.
+   *
+   * Without gasPrice, `txOptions.gasPriceStrategy` sets the gas price, see
+   * {@link GasPriceStrategy}.
+   *
+   * With `txOptions.confirmations`, the receipt is only resolved once that
+   * many blocks, including the block of the receipt, are mined. Meanwhile
+   * the receipt is checked for reorgs; if its block leaves the chain, the
+   * count restarts when the transaction is mined again.
+   *
+   * With `txOptions.dryRun`, nothing is sent, see {@link Utils.dryRun}.
+   *
+   * Sent, mined and reorged transactions are logged to `txOptions.logger`,
+   * defaulting to the global {@link Logger}. Sent, mined, reverted and
+   * failed transactions, their gas
+   * used and the time to the receipt are reported to `txOptions.metrics`,
+   * defaulting to the global {@link Metrics}, labelled with the contract
+   * method.
+   *
    * @param {Object} tx Raw transaction object generated from web3.
-   * @param {Object} txOption Transaction options.
+   * @param {Object} txOption Transaction options. Besides the web3 send
+   *                          options:
+   *                          {
+   *                            confirmations: confirmation depth, defaults
+   *                                           to 0, i.e. the first receipt,
+   *                            confirmationPollInterval: milliseconds
+   *                                                      between checks of
+   *                                                      the chain, defaults
+   *                                                      to 1000,
+   *                            confirmationTimeout: milliseconds to wait for
+   *                                                 the confirmations,
+   *                                                 defaults to 750000,
+   *                            logger: logger, see {@link Logger},
+   *                            metrics: instrumentation, see
+   *                                     {@link Metrics}
+   *                          }
    *
-   * @returns {Promise<Object>} Promise object of transaction receipt in case of
-   *                            success otherwise error.
+   * @returns {TransactionHandle} Handle that resolves to the transaction
+   *                              receipt in case of success otherwise
+   *                              rejects, and emits the transactionHash,
+   *                              receipt, confirmation and reorg events.
+   *                              Reverted transactions reject with a
+   *                              {@link RevertError} of the revert reason.
    */
-  static async sendTransaction(tx, txOption) {
-    return new Promise(async (onResolve, onReject) => {
-      const txOptions = Object.assign({}, txOption);
-      if (!txOptions.gas) {
-        txOptions.gas = await tx.estimateGas(txOptions);
+  static sendTransaction(tx, txOption) {
+    if (txOption && txOption.dryRun) {
+      return Utils.dryRun(tx, txOption);
+    }
+
+    const txOptions = Object.assign({}, txOption);
+    const confirmationOptions = {
+      confirmations: txOptions.confirmations || 0,
+      pollInterval: txOptions.confirmationPollInterval || CONFIRMATION_POLL_INTERVAL,
+      timeout: txOptions.confirmationTimeout || CONFIRMATION_TIMEOUT,
+    };
+    const logger = Logger.resolve(txOptions.logger);
+    const metrics = Metrics.resolve(txOptions.metrics);
+    delete txOptions.confirmations;
+    delete txOptions.confirmationPollInterval;
+    delete txOptions.confirmationTimeout;
+    delete txOptions.logger;
+    delete txOptions.metrics;
+
+    const handle = new TransactionHandle();
+    let transactionHash;
+    handle.once('transactionHash', (hash) => {
+      transactionHash = hash;
+      logger.debug('transactionSent', { transactionHash, from: txOptions.from });
+    });
+    Utils._reportMetrics(tx, handle, metrics);
+    handle.on('receipt', (receipt) => {
+      logger.debug('transactionMined', Object.assign(Logger.receiptFields(receipt), {
+        blockNumber: receipt.blockNumber,
+      }));
+    });
+    handle.on('reorg', (receipt) => {
+      logger.warn('transactionReorg', {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+      });
+    });
+
+    const receiptPromise = (txOptions.signer
+      ? Utils._sendSignedTransaction(tx, txOptions, handle)
+      : Utils._sendNodeTransaction(tx, txOptions, handle))
+      .then((receipt) => {
+        if (receipt.status === false) {
+          return Utils._rejectReverted(tx, null, receipt.transactionHash, receipt);
+        }
+        return receipt;
+      }, error => Utils._rejectReverted(tx, error, transactionHash));
+
+    return handle._settle(receiptPromise.then((receipt) => {
+      handle.emit('receipt', receipt);
+      handle.emit('confirmation', 1, receipt);
+      if (confirmationOptions.confirmations <= 1) {
+        return receipt;
       }
+      return Utils._waitForConfirmations(tx, receipt, confirmationOptions, handle);
+    }));
+  }
 
+  /**
+   * Simulates the transaction without spending gas: runs the given checks
+   * and an eth_call of the transaction from the sender.
+   *
+   * @param {Object} tx Raw transaction object generated from web3.
+   * @param {Object} txOptions Transaction options, from is mandatory.
+   * @param {Object} [checks] Checks by name. A check is an async function
+   *                          that returns a problem message, or null if the
+   *                          check passes.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to the detected
+   *                                   problems, empty if the transaction
+   *                                   would succeed:
+   *                                   [{
+   *                                     check: name of the check, `call`
+   *                                            for the eth_call,
+   *                                     message: description of the problem
+   *                                   }]
+   */
+  static async dryRun(tx, txOptions, checks) {
+    const problems = await Utils.runChecks(checks);
+
+    const web3 = Utils._getWeb3(tx);
+    const call = {
+      from: txOptions.from,
+      to: tx._parent.options.address || undefined,
+      data: tx.encodeABI(),
+      value: txOptions.value,
+      gas: txOptions.gas,
+    };
+    const revertMessage = reason => (reason
+      ? `Transaction would revert: ${reason}`
+      : 'Transaction would revert.');
+    const message = await web3.eth.call(call).then(
+      (result) => {
+        const reason = RevertReason.decode(result);
+        return reason === null ? null : revertMessage(reason);
+      },
+      error => (RevertReason.isRevert(error)
+        ? revertMessage(RevertReason.fromError(error))
+        : `Call failed: ${error.message}`),
+    );
+    if (message) {
+      problems.push({ check: 'call', message });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Combines the dry runs of an approval and of the transaction that spends
+   * the allowance, adding the `step` to the problems. If the allowance check
+   * of the transaction fails, the approval would fix it, but the eth_call of
+   * the transaction can only succeed after the approval. So both problems
+   * are left out.
+   *
+   * @param {Array<Object>} approveProblems Problems of the approval.
+   * @param {string} step Name of the transaction.
+   * @param {Array<Object>} problems Problems of the transaction.
+   * @param {string} allowanceCheck Name of the allowance check of the
+   *                                transaction.
+   *
+   * @returns {Array<Object>} Problems of both steps.
+   */
+  static mergeApprovalDryRun(approveProblems, step, problems, allowanceCheck) {
+    const approvalPending = problems.some(problem => problem.check === allowanceCheck);
+    const stepProblems = problems.filter(
+      problem => !approvalPending || (problem.check !== allowanceCheck && problem.check !== 'call'),
+    );
+
+    return approveProblems
+      .map(problem => Object.assign({ step: 'approve' }, problem))
+      .concat(stepProblems.map(problem => Object.assign({ step }, problem)));
+  }
+
+  /**
+   * Runs the checks in parallel. A check that fails to run is reported as
+   * problem with the error message.
+   *
+   * @param {Object} [checks] Checks by name, see {@link Utils.dryRun}.
+   *
+   * @returns {Promise<Array<Object>>} Promise that resolves to the problems
+   *                                   in the order of the checks.
+   */
+  static async runChecks(checks) {
+    const names = Object.keys(checks || {});
+    const messages = await Promise.all(
+      names.map(name => Promise.resolve()
+        .then(checks[name])
+        .catch(error => error.message)),
+    );
+
+    return names
+      .map((name, index) => ({ check: name, message: messages[index] }))
+      .filter(problem => !!problem.message);
+  }
+
+  /**
+   * Sends the transaction from an account of the node or web3 wallet.
+   *
+   * @private
+   */
+  static async _sendNodeTransaction(tx, txOption, handle) {
+    const txOptions = Object.assign({}, txOption);
+    const { nonceManager, gasPriceStrategy } = txOptions;
+    delete txOptions.nonceManager;
+    delete txOptions.gasPriceStrategy;
+    const managedNonce = !!nonceManager && txOptions.nonce === undefined;
+
+    if (!txOptions.gas) {
+      txOptions.gas = await tx.estimateGas(txOptions);
+    }
+    if (!txOptions.gasPrice && gasPriceStrategy) {
+      txOptions.gasPrice = await gasPriceStrategy(Utils._getWeb3(tx));
+    }
+    // The nonce is taken last, so that failed reads leave no gap.
+    if (managedNonce) {
+      txOptions.nonce = await nonceManager.getNonce(Utils._getWeb3(tx), txOptions.from);
+    }
+
+    return new Promise((onResolve, onReject) => {
       tx.send(txOptions)
+        .on('transactionHash', hash => handle.emit('transactionHash', hash))
+        .on('receipt', receipt => onResolve(receipt))
+        .on('error', error => onReject(error))
+        .catch(exception => onReject(exception));
+    }).catch(async (error) => {
+      if (managedNonce) {
+        await nonceManager.reset(Utils._getWeb3(tx), txOptions.from);
+      }
+      return Promise.reject(error);
+    });
+  }
+
+  /**
+   * Signs the transaction with the signer of the transaction options and
+   * sends it. Events of the receipt are decoded like web3 does for send.
+   *
+   * @private
+   */
+  static async _sendSignedTransaction(tx, txOption, handle, retries = MAX_NONCE_RETRIES) {
+    const web3 = Utils._getWeb3(tx);
+    const signer = new Signer(txOption.signer, web3.eth.accounts);
+    const txOptions = Object.assign({}, txOption);
+    const nonceManager = txOptions.nonceManager || NonceManager.shared;
+    const gasPriceStrategy = txOptions.gasPriceStrategy || GasPriceStrategy.node();
+    delete txOptions.signer;
+    delete txOptions.nonceManager;
+    delete txOptions.gasPriceStrategy;
+    txOptions.from = txOptions.from || signer.address;
+
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const err = new TypeError(`Invalid from address ${txOptions.from} in transaction options.`);
+      return Promise.reject(err);
+    }
+
+    const [gas, gasPrice, chainId] = await Promise.all([
+      txOptions.gas || tx.estimateGas(txOptions),
+      txOptions.gasPrice || gasPriceStrategy(web3),
+      txOptions.chainId || web3.eth.net.getId(),
+    ]);
+
+    // The nonce is taken last, so that failed reads leave no gap.
+    const managedNonce = txOptions.nonce === undefined;
+    const nonce = managedNonce
+      ? await nonceManager.getNonce(web3, txOptions.from)
+      : txOptions.nonce;
+
+    return OfflineTransactionBuilder.build(tx, {
+      from: txOptions.from,
+      value: txOptions.value,
+      nonce,
+      gas,
+      gasPrice,
+      chainId,
+    })
+      .then(signer.signTransaction)
+      .then(rawTransaction => new Promise((onResolve, onReject) => {
+        web3.eth.sendSignedTransaction(rawTransaction)
+          .on('transactionHash', hash => handle.emit('transactionHash', hash))
+          .on('receipt', receipt => onResolve(Utils._decodeEvents(web3, tx, receipt)))
+          .on('error', error => onReject(error))
+          .catch(exception => onReject(exception));
+      }))
+      .catch(async (error) => {
+        if (!managedNonce) {
+          return Promise.reject(error);
+        }
+
+        // The nonce may be unused, which would hold back later transactions.
+        await nonceManager.reset(web3, txOptions.from);
+        if (NonceManager.isNonceError(error) && retries > 0) {
+          return Utils._sendSignedTransaction(tx, txOption, handle, retries - 1);
+        }
+        return Promise.reject(error);
+      });
+  }
+
+  /**
+   * Rejects with the typed error of the revert reason if the transaction
+   * was reverted, otherwise with the given error.
+   *
+   * @private
+   */
+  static async _rejectReverted(tx, error, transactionHash, receipt) {
+    if (error && !RevertReason.isRevert(error)) {
+      return Promise.reject(error);
+    }
+
+    let reason = RevertReason.fromError(error);
+    if (reason === null && transactionHash) {
+      reason = await RevertReason.fetch(Utils._getWeb3(tx), transactionHash)
+        .catch(() => null);
+    }
+    return Promise.reject(RevertReason.toError(reason, transactionHash, receipt));
+  }
+
+  /**
+   * Polls the chain until the receipt has the given number of
+   * confirmations. A receipt that disappears or moves to another block is
+   * reported as reorg and the count restarts with the new receipt.
+   *
+   * @private
+   */
+  static _waitForConfirmations(tx, receipt, options, handle) {
+    const web3 = Utils._getWeb3(tx);
+    const { transactionHash } = receipt;
+    const startedAt = Date.now();
+    let currentReceipt = receipt;
+    let confirmations = 1;
+
+    return new Promise((onResolve, onReject) => {
+      const check = async () => {
+        const [blockNumber, latestReceipt] = await Promise.all([
+          web3.eth.getBlockNumber(),
+          web3.eth.getTransactionReceipt(transactionHash),
+        ]);
+
+        const latestBlockHash = latestReceipt ? latestReceipt.blockHash : null;
+        const currentBlockHash = currentReceipt ? currentReceipt.blockHash : null;
+        if (latestBlockHash !== currentBlockHash) {
+          if (currentReceipt) {
+            handle.emit('reorg', currentReceipt);
+          }
+          confirmations = 0;
+          currentReceipt = latestReceipt ? Utils._decodeEvents(web3, tx, latestReceipt) : null;
+          if (currentReceipt) {
+            handle.emit('receipt', currentReceipt);
+          }
+        }
+
+        if (currentReceipt) {
+          const depth = blockNumber - currentReceipt.blockNumber + 1;
+          if (depth > confirmations) {
+            confirmations = depth;
+            handle.emit('confirmation', confirmations, currentReceipt);
+          }
+          if (confirmations >= options.confirmations) {
+            onResolve(currentReceipt);
+            return;
+          }
+        }
+
+        if (Date.now() - startedAt >= options.timeout) {
+          const reason = currentReceipt
+            ? `has ${confirmations} of ${options.confirmations} confirmations`
+            : 'was dropped by a reorg';
+          onReject(new Error(
+            `Transaction ${transactionHash} ${reason} after ${options.timeout} ms.`,
+          ));
+          return;
+        }
+
+        setTimeout(() => check().catch(onReject), options.pollInterval);
+      };
+
+      check().catch(onReject);
+    });
+  }
+
+  /**
+   * Speeds up a pending transaction by re-sending it with the same nonce and
+   * a higher gas price.
+   *
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {string} transactionHash Hash of the pending transaction.
+   * @param {Object} [options] Replacement options:
+   *                           {
+   *                             gasPrice: gas price in wei, optional,
+   *                             gasPriceStrategy: gas price strategy, used
+   *                                               if gasPrice is not given,
+   *                             bumpPercent: minimum gas price bump in
+   *                                          percent, defaults to 10,
+   *                             signer: signer of the sender, optional,
+   *                             handle: handle of the pending transaction
+   *                                     from Utils.sendTransaction, optional
+   *                           }
+   *                           The gas price is at least the pending gas
+   *                           price plus the minimum bump.
+   *
+   * The handle of the pending transaction does not settle once it is
+   * replaced, so callers must abandon it, or pass it as `handle` to settle
+   * it with the receipt of the replacement.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt of the
+   *                            replacement transaction.
+   */
+  static speedUpTransaction(web3, transactionHash, options) {
+    return Utils._replaceTransaction(web3, transactionHash, options, pendingTx => ({
+      from: pendingTx.from,
+      to: pendingTx.to,
+      data: pendingTx.input,
+      value: pendingTx.value,
+      gas: pendingTx.gas,
+    })).then((receipt) => {
+      const handle = options && options.handle;
+      if (handle && !handle.settled) {
+        handle.emit('receipt', receipt);
+        handle._settle(Promise.resolve(receipt));
+      }
+      return receipt;
+    });
+  }
+
+  /**
+   * Cancels a pending transaction by sending a zero value transaction to
+   * the sender itself with the same nonce and a higher gas price.
+   *
+   * @param {Web3} web3 Web3 object of the chain.
+   * @param {string} transactionHash Hash of the pending transaction.
+   * @param {Object} [options] Replacement options, see speedUpTransaction.
+   *                           A given `handle` of the pending transaction
+   *                           rejects once it is cancelled.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt of the
+   *                            cancel transaction.
+   */
+  static cancelTransaction(web3, transactionHash, options) {
+    return Utils._replaceTransaction(web3, transactionHash, options, pendingTx => ({
+      from: pendingTx.from,
+      to: pendingTx.from,
+      data: '0x',
+      value: '0',
+      gas: 21000,
+    })).then((receipt) => {
+      const handle = options && options.handle;
+      if (handle) {
+        const err = new Error(
+          `Transaction ${transactionHash} is cancelled by transaction ${receipt.transactionHash}.`,
+        );
+        handle._settle(Promise.reject(err));
+      }
+      return receipt;
+    });
+  }
+
+  /**
+   * Sends a replacement of a pending transaction.
+   *
+   * @private
+   */
+  static async _replaceTransaction(web3, transactionHash, options, buildReplacement) {
+    const replaceOptions = options || {};
+    const pendingTx = await web3.eth.getTransaction(transactionHash);
+    if (!pendingTx) {
+      const err = new Error(`Transaction ${transactionHash} not found.`);
+      return Promise.reject(err);
+    }
+    if (pendingTx.blockNumber !== null && pendingTx.blockNumber !== undefined) {
+      const err = new Error(
+        `Transaction ${transactionHash} is already mined in block ${pendingTx.blockNumber}.`,
+      );
+      return Promise.reject(err);
+    }
+
+    let { gasPrice } = replaceOptions;
+    if (!gasPrice && replaceOptions.gasPriceStrategy) {
+      gasPrice = await replaceOptions.gasPriceStrategy(web3);
+    }
+
+    const replacementTx = Object.assign(buildReplacement(pendingTx), {
+      nonce: pendingTx.nonce,
+      gasPrice: GasPriceStrategy.replacementGasPrice(
+        pendingTx.gasPrice,
+        gasPrice,
+        replaceOptions.bumpPercent,
+      ),
+    });
+
+    let promiEvent;
+    if (replaceOptions.signer) {
+      const signer = new Signer(replaceOptions.signer, web3.eth.accounts);
+      replacementTx.chainId = await web3.eth.net.getId();
+      const rawTransaction = await signer.signTransaction(replacementTx);
+      promiEvent = web3.eth.sendSignedTransaction(rawTransaction);
+    } else {
+      promiEvent = web3.eth.sendTransaction(replacementTx);
+    }
+
+    return new Promise((onResolve, onReject) => {
+      promiEvent
         .on('receipt', receipt => onResolve(receipt))
         .on('error', error => onReject(error))
         .catch(exception => onReject(exception));
     });
   }
+
+  /**
+   * Returns a copy of the transaction options with the given instrumentation
+   * of a helper, e.g. `{ logger, metrics }`, for
+   * {@link Utils.sendTransaction}.
+   * Missing ones are left out, so the transaction falls back to the global
+   * ones. Without any, the given options are returned.
+   *
+   * @param {Object} txOptions Transaction options.
+   * @param {Object} instrumentation Instrumentation by option name.
+   *
+   * @returns {Object} Transaction options.
+   */
+  static instrumentTxOptions(txOptions, instrumentation) {
+    const options = Object.keys(instrumentation).filter(option => instrumentation[option]);
+    if (options.length === 0) {
+      return txOptions;
+    }
+
+    const instrumentedTxOptions = Object.assign({}, txOptions);
+    options.forEach((option) => {
+      instrumentedTxOptions[option] = instrumentation[option];
+    });
+    return instrumentedTxOptions;
+  }
+
+  /**
+   * Reports the outcome of the transaction of the handle to the metrics.
+   * Failures are taken from the error event, so that a rejection of the
+   * handle stays unhandled if the caller does not handle it.
+   *
+   * @private
+   */
+  static _reportMetrics(tx, handle, metrics) {
+    const labels = { method: Utils._methodName(tx) };
+    let sentAt;
+    const reportGasUsed = (receipt) => {
+      if (receipt && receipt.gasUsed !== undefined) {
+        metrics.increment('brandedtoken_transaction_gas_used_total', labels, Number(receipt.gasUsed));
+      }
+    };
+
+    handle.once('transactionHash', () => {
+      sentAt = Date.now();
+      metrics.increment('brandedtoken_transactions_sent_total', labels);
+    });
+    // Receipts are emitted again after reorgs, only the first one counts.
+    handle.once('receipt', (receipt) => {
+      metrics.increment('brandedtoken_transactions_mined_total', labels);
+      reportGasUsed(receipt);
+      if (sentAt !== undefined) {
+        metrics.observe('brandedtoken_transaction_receipt_seconds', labels, (Date.now() - sentAt) / 1000);
+      }
+    });
+    handle.once('error', (error) => {
+      if (error instanceof RevertError) {
+        metrics.increment('brandedtoken_transactions_reverted_total', labels);
+        reportGasUsed(error.receipt);
+      } else {
+        metrics.increment('brandedtoken_transactions_failed_total', labels);
+      }
+    });
+  }
+
+  /**
+   * Returns the contract method of the raw transaction, `deploy` for
+   * contract deployments.
+   *
+   * @private
+   */
+  static _methodName(tx) {
+    if (tx._method && tx._method.name) {
+      return tx._method.name;
+    }
+    return tx._deployData ? 'deploy' : 'unknown';
+  }
+
+  /**
+   * Adds the decoded events of the contract to the receipt as `events`, in
+   * the same format as web3 send does.
+   *
+   * @private
+   */
+  static _decodeEvents(web3, tx, receipt) {
+    const jsonInterface = (tx._parent && tx._parent.options.jsonInterface) || [];
+    const eventAbis = jsonInterface.filter(item => item.type === 'event');
+    const events = {};
+
+    (receipt.logs || []).forEach((log, index) => {
+      const eventAbi = eventAbis.find(item => item.signature === log.topics[0]);
+      if (!eventAbi) {
+        events[index] = log;
+        return;
+      }
+
+      const event = Object.assign({}, log, {
+        event: eventAbi.name,
+        signature: eventAbi.signature,
+        returnValues: web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1)),
+      });
+      if (!events[event.event]) {
+        events[event.event] = event;
+      } else if (Array.isArray(events[event.event])) {
+        events[event.event].push(event);
+      } else {
+        events[event.event] = [events[event.event], event];
+      }
+    });
+
+    return Object.assign({}, receipt, { events });
+  }
+
+  /**
+   * Returns a web3 object connected to the provider of the contract of the
+   * raw transaction.
+   *
+   * @private
+   */
+  static _getWeb3(tx) {
+    return new Web3(tx._parent.currentProvider);
+  }
 }
 
 module.exports = Utils;